@@ -1,10 +1,47 @@
 /* ── State ─────────────────────────────────────────────────────────── */
 let parsedRows = [];
 let isCreating = false;
+let dryRunResults = null;
+let dryRunSeq     = 0;
+let dryRunTimer   = null;
+let currentJob    = null;
+let uploadedFileName = null;
 let allProperties    = [];
+let archivedProperties = null;
+let objectRecordTotal  = null;
+let sortState          = { key: null, dir: 1 };
 let usageContext     = null;
 let analysisStarted  = false;
 let pendingDelete    = [];
+let bulkEditNames    = [];
+let bulkEditPlan     = [];
+let optionsProperty  = null;
+let dependencyGraph  = null;
+let graphSelection   = null;
+let targetPortal     = null;
+let migrationSource  = null;
+let migrationSelections = {};
+let migrationPlan    = null;
+let schemaFile       = null;
+let schemaPlan       = null;
+let customObjectFile = null;
+let pipelineFile     = null;
+let pipelinePlan     = null;
+
+// Where a property can be referenced. `kind` names the table column and the
+// server's <kind>Properties / <kind>Count fields; `type` keys the details.
+const USAGE_SOURCES = [
+  { kind: 'workflow',    type: 'workflows',    column: 'Workflows',    label: 'Workflows',             noun: 'workflows' },
+  { kind: 'form',        type: 'forms',        column: 'Forms',        label: 'Forms',                 noun: 'forms' },
+  { kind: 'list',        type: 'lists',        column: 'Lists',        label: 'Lists',                 noun: 'lists' },
+  { kind: 'pipeline',    type: 'pipelines',    column: 'Pipelines',    label: 'Pipelines',             noun: 'pipelines' },
+  { kind: 'report',      type: 'reports',      column: 'Reports',      label: 'Reports',               noun: 'reports' },
+  { kind: 'email',       type: 'emails',       column: 'Emails',       label: 'Marketing Emails',      noun: 'emails' },
+  { kind: 'calculation', type: 'calculations', column: 'Calculations', label: 'Calculated Properties', noun: 'calculated properties' },
+  { kind: 'schema',      type: 'schemas',      column: 'Schemas',      label: 'Custom Object Schemas', noun: 'custom object schemas' },
+  { kind: 'sequence',    type: 'sequences',    column: 'Sequences',    label: 'Sequences',             noun: 'sequences' },
+  { kind: 'chatflow',    type: 'chatflows',    column: 'Chatflows',    label: 'Chatflows',             noun: 'chatflows' },
+];
 
 /* ── Auth init ─────────────────────────────────────────────────────── */
 async function initAuth() {
@@ -12,8 +49,10 @@ async function initAuth() {
     // Check for OAuth error redirect
     const params = new URLSearchParams(window.location.search);
     const authError = params.get('auth_error');
-    if (authError) {
-      window.history.replaceState({}, '', '/');
+    const tab = params.get('tab');
+    if (authError || tab) window.history.replaceState({}, '', '/');
+    // A failed target-portal connection leaves the main one in place
+    if (authError && tab !== 'migrate') {
       showAuthConnect(authError);
       return;
     }
@@ -23,7 +62,13 @@ async function initAuth() {
 
     if (data.connected) {
       showAuthConnected(data.portalId, data.hubDomain);
+      renderTargetPortal(data.target);
       await loadObjectTypes();
+      restoreImportJobs();
+      if (tab === 'migrate') {
+        switchTab('migrate');
+        if (authError) showMigrateError(authError);
+      }
     } else {
       showAuthConnect(null);
     }
@@ -39,6 +84,8 @@ function showAuthConnect(errorMsg) {
   document.getElementById('tab-nav').style.display        = 'none';
   document.getElementById('panel-create').style.display   = 'none';
   document.getElementById('panel-manage').style.display   = 'none';
+  document.getElementById('panel-migrate').style.display  = 'none';
+  document.getElementById('panel-code').style.display     = 'none';
 
   document.getElementById('connection-subtitle').textContent =
     'Connect your HubSpot account to get started';
@@ -61,6 +108,8 @@ function showAuthConnected(portalId, hubDomain) {
   document.getElementById('tab-nav').style.display        = '';
   document.getElementById('panel-create').style.display   = '';
   document.getElementById('panel-manage').style.display   = 'none';
+  document.getElementById('panel-migrate').style.display  = 'none';
+  document.getElementById('panel-code').style.display     = 'none';
 
   document.getElementById('portal-id').textContent  = portalId  || '—';
   document.getElementById('hub-domain').textContent = hubDomain || '—';
@@ -82,20 +131,27 @@ function handleUnauth() {
 
 /* ── CSV template download ─────────────────────────────────────────── */
 function downloadTemplate() {
-  const rows = [
-    ['Name', 'Type', 'Description', 'Options'],
-    ['Lead Source',          'Drop-down Select',     'How the contact discovered us',           'Website;Referral;Social Media;Email Campaign;Event'],
-    ['Preferred Contact',    'Radio Select',          'Preferred communication channel',         'Phone;Email;Text Message'],
-    ['Product Interests',    'Multiple Checkboxes',   'Products the contact is interested in',   'Product A;Product B;Product C'],
-    ['Job Title',            'Single Line Text',      'Contact job title',                       ''],
-    ['Notes',                'Multi-line Text',       'Additional notes about the contact',      ''],
-    ['Office Phone',         'Phone Number',          'Primary office phone number',             ''],
-    ['Website',              'URL',                   'Company or personal website URL',         ''],
-    ['Bio',                  'Rich Text',             'Formatted biography or description',      ''],
-    ['Annual Revenue',       'Number',                'Annual revenue amount in USD',            ''],
-    ['Contract Date',        'Date Picker',           'Date the contract was signed',            ''],
-    ['Meeting Scheduled',    'Date and Time Picker',  'Date and time of the next meeting',       ''],
+  const columns = ['Name', 'Type', 'Object', 'Description', 'Options', 'Option Values', 'Internal Name', 'Group', 'Group Label', 'Form Field', 'Hidden', 'Display Order', 'Number Format', 'Formula', 'File Visibility', 'Unique', 'Min Length', 'Max Length', 'Min Value', 'Max Value', 'Pattern'];
+  const examples = [
+    { Name: 'Lead Source',       Type: 'Drop-down Select',     Description: 'How the contact discovered us',         Options: 'Website;Referral;Social Media;Email Campaign;Event', 'Option Values': 'WEB;REF;SOC;EML;EVT', 'Internal Name': 'lead_source_code', 'Form Field': 'true' },
+    { Name: 'Preferred Contact', Type: 'Radio Select',         Description: 'Preferred communication channel',       Options: 'Phone=P;Email=E;Text Message=T', 'Form Field': 'true' },
+    { Name: 'Product Interests', Type: 'Multiple Checkboxes',  Description: 'Products the contact is interested in', Options: 'Product A;Product B;Product C' },
+    { Name: 'Job Title',         Type: 'Single Line Text',     Description: 'Contact job title', 'Display Order': '1', 'Max Length': '100' },
+    { Name: 'Customer Code',     Type: 'Single Line Text',     Description: 'Code from the billing system', Unique: 'true', Pattern: '^[A-Z]{3}-\\d{4}$' },
+    { Name: 'Notes',             Type: 'Multi-line Text',      Description: 'Additional notes about the contact', 'Form Field': 'false' },
+    { Name: 'Office Phone',      Type: 'Phone Number',         Description: 'Primary office phone number' },
+    { Name: 'Website',           Type: 'URL',                  Description: 'Company or personal website URL' },
+    { Name: 'Bio',               Type: 'Rich Text',            Description: 'Formatted biography or description' },
+    { Name: 'Annual Revenue',    Type: 'Number',               Description: 'Annual revenue amount in USD', 'Internal Name': 'annual_revenue_usd', 'Number Format': 'currency', Group: 'finance_details', 'Group Label': 'Finance Details', 'Min Value': '0' },
+    { Name: 'Contract Date',     Type: 'Date Picker',          Description: 'Date the contract was signed' },
+    { Name: 'Meeting Scheduled', Type: 'Date and Time Picker', Description: 'Date and time of the next meeting', Hidden: 'true' },
+    { Name: 'Newsletter Opt In', Type: 'Single Checkbox',      Description: 'Contact agreed to receive the newsletter', Options: 'Yes;No' },
+    { Name: 'Signed NDA',        Type: 'File',                 Description: 'Uploaded copy of the signed NDA', 'File Visibility': 'private' },
+    { Name: 'Account Manager',   Type: 'HubSpot User',         Description: 'User responsible for the account' },
+    { Name: 'Account Tier',      Type: 'Drop-down Select',     Description: 'Commercial tier of the company', Object: 'companies', Options: 'Gold;Silver;Bronze' },
+    { Name: 'Revenue Per Seat',  Type: 'Calculation',          Description: 'Annual revenue divided by seats', Formula: 'annual_revenue_usd / seats', 'Number Format': 'currency', Group: 'finance_details' },
   ];
+  const rows = [columns, ...examples.map((ex) => columns.map((col) => ex[col] || ''))];
   const csv = rows.map((r) => r.map(escapeCSV).join(',')).join('\r\n');
   downloadBlob(csv, 'hubspot-properties-template.csv', 'text/csv');
 }
@@ -130,20 +186,24 @@ function handleDrop(e) {
 function handleFileSelect(e) { const file = e.target.files[0]; if (file) processFile(file); }
 
 /* ── File processing ───────────────────────────────────────────────── */
+const PROPERTY_FILE_TYPES = /\.(csv|xlsx|json|ya?ml)$/i;
+
 async function processFile(file) {
-  if (!file.name.endsWith('.csv')) { showCSVError(['Please upload a .csv file.']); return; }
+  if (!PROPERTY_FILE_TYPES.test(file.name)) { showCSVError(['Please upload a .csv, .xlsx, .json or .yaml file.']); return; }
   clearPreview();
   showCSVError(null);
   const formData = new FormData();
   formData.append('file', file);
   document.getElementById('dropzone').querySelector('.dz-primary').textContent = 'Parsing…';
   try {
-    const res  = await fetch('/api/parse-csv', { method: 'POST', body: formData });
+    const res  = await fetch('/api/parse-file', { method: 'POST', body: formData });
     const data = await res.json();
-    if (!data.success) { showCSVError(data.errors || ['Failed to parse CSV.']); resetDropzone(); return; }
+    if (!data.success) { showCSVError(data.errors || ['Failed to parse file.']); resetDropzone(); return; }
     parsedRows = data.data;
+    uploadedFileName = file.name;
     renderPreview(parsedRows);
     updateCreateBtn();
+    runDryRun();
   } catch (err) {
     showCSVError([`Network error: ${err.message}`]);
     resetDropzone();
@@ -151,16 +211,18 @@ async function processFile(file) {
 }
 
 function resetDropzone() {
-  document.getElementById('dropzone').querySelector('.dz-primary').textContent = 'Drag & drop your CSV here';
+  document.getElementById('dropzone').querySelector('.dz-primary').textContent = 'Drag & drop your file here';
   document.getElementById('fileInput').value = '';
 }
 
 function clearFile() {
   parsedRows = [];
+  dryRunResults = null;
   clearPreview();
   showCSVError(null);
   resetDropzone();
   updateCreateBtn();
+  if (isCreating) return;
   document.getElementById('resultsSection').style.display  = 'none';
   document.getElementById('progressSection').style.display = 'none';
 }
@@ -177,12 +239,13 @@ function showCSVError(errors) {
 
 /* ── Preview table ─────────────────────────────────────────────────── */
 function renderPreview(rows) {
-  document.getElementById('previewCount').textContent = `${rows.length} propert${rows.length === 1 ? 'y' : 'ies'} ready to create`;
+  document.getElementById('previewCount').textContent = `${rows.length} propert${rows.length === 1 ? 'y' : 'ies'} — checking against portal…`;
   const tbody = document.getElementById('previewBody');
   tbody.innerHTML = '';
   rows.forEach((row, i) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td class="muted">${i + 1}</td><td><strong>${esc(row.Name)}</strong></td><td>${typeBadge(row.Type)}</td><td class="${row.Description ? '' : 'muted'}">${row.Description ? esc(row.Description) : '—'}</td><td class="${row.Options ? 'options-cell' : 'muted'}" title="${esc(row.Options || '')}">${row.Options ? esc(row.Options) : '—'}</td>`;
+    const options = row.Formula ? `= ${row.Formula}` : row.OptionValues ? `${row.Options} → ${row.OptionValues}` : row.Options;
+    tr.innerHTML = `<td class="muted">${i + 1}</td><td><strong>${esc(row.Name)}</strong>${row.InternalName ? `<span class="prop-internal">${esc(row.InternalName)}</span>` : ''}</td><td>${typeBadge(row.Type)}</td><td class="${row.Object ? '' : 'muted'}" id="preview-object-${i}">${row.Object ? esc(row.Object) : 'Selected'}</td><td class="${row.Group ? '' : 'muted'}">${row.Group ? esc(row.GroupLabel || row.Group) : 'Default'}</td><td class="${row.Description ? '' : 'muted'}">${row.Description ? esc(row.Description) : '—'}</td><td class="${options ? 'options-cell' : 'muted'}" title="${esc(options || '')}">${options ? esc(options) : '—'}</td><td id="preview-status-${i}"><span class="badge badge-pending">Checking…</span></td>`;
     tbody.appendChild(tr);
   });
   document.getElementById('csvPreview').style.display = 'block';
@@ -193,79 +256,375 @@ function clearPreview() {
   document.getElementById('previewBody').innerHTML = '';
 }
 
+/* ── Dry run ───────────────────────────────────────────────────────── */
+function scheduleDryRun() {
+  clearTimeout(dryRunTimer);
+  dryRunTimer = setTimeout(runDryRun, 400);
+}
+
+async function runDryRun() {
+  if (parsedRows.length === 0) return;
+  const seq = ++dryRunSeq;
+  const objectType = getObjectType();
+  dryRunResults = null;
+  updateCreateBtn();
+  renderPreview(parsedRows);
+  renderNewGroups([]);
+  try {
+    const res = await fetch('/api/dry-run', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ objectType, rows: parsedRows, defaultGroup: objectTypeDefaultGroups[objectType] || null }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (seq !== dryRunSeq) return;
+    if (!data.success) throw new Error(data.error || 'Dry run failed.');
+    dryRunResults = data.results;
+    renderDryRun(data.results, data.counts);
+    renderNewGroups(data.newGroups || []);
+  } catch (err) {
+    if (seq !== dryRunSeq) return;
+    document.getElementById('previewCount').textContent = `Could not check against portal: ${err.message}`;
+    parsedRows.forEach((_, i) => {
+      document.getElementById(`preview-status-${i}`).innerHTML = '<span class="badge badge-error">Not checked</span>';
+    });
+  }
+  updateCreateBtn();
+}
+
+function renderNewGroups(groups) {
+  const box = document.getElementById('newGroups');
+  if (!groups.length) { box.style.display = 'none'; box.innerHTML = ''; return; }
+  box.style.display = 'block';
+  const multiObject = new Set(groups.map((g) => g.objectType)).size > 1;
+  box.innerHTML = `<strong>${groups.length} property group${groups.length === 1 ? '' : 's'} will be created:</strong><ul>${groups.map((g) =>
+    `<li>${multiObject ? `${esc(g.objectLabel)}: ` : ''}${esc(g.label)} <span class="prop-internal">${esc(g.name)}</span></li>`).join('')}</ul>`;
+}
+
+function renderDryRun(results, counts) {
+  const badges = {
+    new:      ['badge-success',  'New'],
+    exists:   ['badge-pending',  'Exists'],
+    conflict: ['badge-progress', 'Conflict'],
+    invalid:  ['badge-error',    'Invalid'],
+  };
+  results.forEach((r, i) => {
+    const [cls, label] = badges[r.status];
+    const reason = r.reason ? `<span class="row-reason" title="${esc(r.reason)}">${esc(r.reason)}</span>` : '';
+    document.getElementById(`preview-status-${i}`).innerHTML = `<span class="badge ${cls}">${label}</span>${reason}`;
+    if (r.objectLabel) document.getElementById(`preview-object-${i}`).textContent = r.objectLabel;
+  });
+  const n = parsedRows.length;
+  document.getElementById('previewCount').textContent =
+    `${n} propert${n === 1 ? 'y' : 'ies'} — ${counts.new} new, ${counts.exists} already exist, ${counts.conflict} conflict, ${counts.invalid} invalid`;
+}
+
+/* ── Import mode ───────────────────────────────────────────────────── */
+function isUpsertMode() {
+  return document.getElementById('upsertMode').checked;
+}
+
+// Dry-run statuses that are sent to the import job in the current mode
+function importableStatuses() {
+  return isUpsertMode() ? ['new', 'exists', 'conflict'] : ['new'];
+}
+
+function onImportModeChange() {
+  const removals = document.getElementById('allowOptionRemovals');
+  removals.disabled = !isUpsertMode();
+  if (removals.disabled) removals.checked = false;
+  updateCreateBtn();
+}
+
 /* ── Create button state ───────────────────────────────────────────── */
 function updateCreateBtn() {
-  document.getElementById('createBtn').disabled = parsedRows.length === 0 || isCreating;
+  const statuses  = importableStatuses();
+  const creatable = (dryRunResults || []).filter((r) => statuses.includes(r.status)).length;
+  document.getElementById('createBtn').disabled = parsedRows.length === 0 || isCreating || creatable === 0;
 }
 
 /* ── Property creation ─────────────────────────────────────────────── */
 async function createProperties() {
   await loadObjectTypes();
   const objectType = getObjectType();
-  if (parsedRows.length === 0) return;
+  if (parsedRows.length === 0 || !dryRunResults) return;
 
   isCreating = true;
   updateCreateBtn();
   document.getElementById('createBtn').textContent = 'Creating…';
+  document.getElementById('progressSection').style.display = 'block';
+  updateProgress(0, parsedRows.length, 'Starting import…');
+
+  // Only rows the dry run marked importable are sent; the job records the rest as skipped
+  const statuses = importableStatuses();
+  const skip = [];
+  dryRunResults.forEach((r, index) => {
+    if (!statuses.includes(r.status)) skip.push({ index, reason: r.reason || 'Skipped' });
+  });
 
-  const progressSection = document.getElementById('progressSection');
-  const resultsSection  = document.getElementById('resultsSection');
-  const resultsBody     = document.getElementById('resultsBody');
-  const resultsSummary  = document.getElementById('resultsSummary');
-
-  progressSection.style.display = 'block';
-  resultsSection.style.display  = 'block';
-  resultsBody.innerHTML         = '';
-  resultsSummary.innerHTML      = '';
+  let job;
+  try {
+    const res = await fetch('/api/import-jobs', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        objectType,
+        rows:                parsedRows,
+        skip,
+        fileName:            uploadedFileName,
+        defaultGroup:        objectTypeDefaultGroups[objectType] || null,
+        mode:                isUpsertMode() ? 'upsert' : 'create',
+        allowOptionRemovals: document.getElementById('allowOptionRemovals').checked,
+      }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || 'Could not start import.');
+    job = data.job;
+  } catch (err) {
+    updateProgress(0, parsedRows.length, `Import failed to start: ${err.message}`);
+    finishCreating();
+    return;
+  }
 
-  parsedRows.forEach((row, i) => {
-    const tr = document.createElement('tr');
-    tr.id = `result-row-${i}`;
-    tr.innerHTML = `<td class="muted">${i + 1}</td><td><strong>${esc(row.Name)}</strong></td><td>${typeBadge(row.Type)}</td><td class="muted" id="result-iname-${i}">—</td><td id="result-status-${i}"><span class="badge badge-pending">Pending</span></td><td id="result-detail-${i}"></td>`;
-    resultsBody.appendChild(tr);
-  });
+  await watchImportJob(job);
+}
 
-  let successCount = 0, failCount = 0;
-  const total = parsedRows.length;
+/* ── Import jobs ───────────────────────────────────────────────────── */
+function isJobActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
 
-  for (let i = 0; i < total; i++) {
-    const row = parsedRows[i];
-    document.getElementById(`result-status-${i}`).innerHTML = '<span class="badge badge-progress">Creating…</span>';
-    updateProgress(i, total, `Creating property ${i + 1} of ${total}: "${row.Name}"`);
+/**
+ * Shows a job in the results table and, while it runs, polls it until it
+ * stops. Used for new imports and for jobs re-attached after a reload.
+ */
+async function watchImportJob(job) {
+  currentJob = job;
+  isCreating = isJobActive(job);
+  updateCreateBtn();
+  if (isCreating) document.getElementById('createBtn').textContent = 'Creating…';
+  document.getElementById('recentImports').style.display = 'none';
+  document.getElementById('progressSection').style.display = 'block';
+  renderJobTable(job);
+  renderJobRows(job);
+  updateJobControls(job);
+
+  while (isJobActive(job)) {
+    await sleep(1000);
+    if (currentJob?.id !== job.id) return;
     try {
-      const res  = await fetch('/api/create-property', {
-        method:  'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body:    JSON.stringify({ objectType, property: row, defaultGroup: objectTypeDefaultGroups[objectType] || null }),
-      });
+      const res  = await fetch(`/api/import-jobs/${encodeURIComponent(job.id)}`);
       if (res.status === 401) { handleUnauth(); return; }
       const data = await res.json();
-      if (data.success) {
-        successCount++;
-        document.getElementById(`result-status-${i}`).innerHTML = '<span class="badge badge-success">✓ Created</span>';
-        document.getElementById(`result-iname-${i}`).innerHTML  = `<span class="success-detail">${esc(data.internalName || '')}</span>`;
-        document.getElementById(`result-detail-${i}`).innerHTML = '';
-      } else {
-        failCount++;
-        document.getElementById(`result-status-${i}`).innerHTML  = '<span class="badge badge-error">✗ Failed</span>';
-        document.getElementById(`result-detail-${i}`).innerHTML  = `<span class="error-detail" title="${esc(data.error || '')}">${esc(data.error || 'Unknown error')}</span>`;
-      }
+      if (!data.success) throw new Error(data.error);
+      job = currentJob = data.job;
+      if (data.unauthenticated) { handleUnauth(); return; }
     } catch (err) {
-      failCount++;
-      document.getElementById(`result-status-${i}`).innerHTML  = '<span class="badge badge-error">✗ Failed</span>';
-      document.getElementById(`result-detail-${i}`).innerHTML  = `<span class="error-detail">Network error: ${esc(err.message)}</span>`;
+      updateProgress(job.processed, job.total, `Lost contact with import job: ${err.message}`);
+      finishCreating();
+      return;
     }
+    renderJobRows(job);
+    updateJobControls(job);
+  }
+
+  renderJobOutcome(job);
+  finishCreating();
+  if (parsedRows.length) runDryRun();
+}
+
+function renderJobTable(job) {
+  const resultsBody = document.getElementById('resultsBody');
+  document.getElementById('resultsSection').style.display = 'block';
+  document.getElementById('resultsSummary').innerHTML = '';
+  resultsBody.innerHTML = '';
+
+  // Group result rows under a heading per object when the file targets several
+  const labels = new Map(job.objects.map((o) => [o.objectType, o.label]));
+  const objectOrder = [];
+  const rowsByObject = new Map();
+  for (const row of job.rows) {
+    const key = row.objectType || '';
+    if (!rowsByObject.has(key)) { rowsByObject.set(key, []); objectOrder.push(key); }
+    rowsByObject.get(key).push(row);
+  }
+  const multiObject = objectOrder.length > 1;
+  for (const key of objectOrder) {
+    if (multiObject) {
+      const head = document.createElement('tr');
+      head.className = 'object-row';
+      head.innerHTML = `<td colspan="6"><strong>${esc(labels.get(key) || 'Unknown object')}</strong><span class="object-summary" data-object="${esc(key)}"></span></td>`;
+      resultsBody.appendChild(head);
+    }
+    for (const row of rowsByObject.get(key)) {
+      const i = row.index;
+      const tr = document.createElement('tr');
+      tr.id = `result-row-${i}`;
+      tr.innerHTML = `<td class="muted">${i + 1}</td><td><strong>${esc(row.name)}</strong></td><td>${typeBadge(row.type)}</td><td class="muted" id="result-iname-${i}">—</td><td id="result-status-${i}"><span class="badge badge-pending">Pending</span></td><td id="result-detail-${i}"></td>`;
+      resultsBody.appendChild(tr);
+    }
+  }
+}
+
+function renderJobRows(job) {
+  for (const row of job.rows) {
+    const i = row.index;
+    const statusEl = document.getElementById(`result-status-${i}`);
+    if (!statusEl) continue;
+    const detailEl = document.getElementById(`result-detail-${i}`);
+    if (row.status === 'creating' || row.status === 'updating') {
+      statusEl.innerHTML = `<span class="badge badge-progress">${row.status === 'creating' ? 'Creating…' : 'Updating…'}</span>`;
+    } else if (row.status === 'created' || row.status === 'updated' || row.status === 'unchanged') {
+      const labels = { created: '✓ Created', updated: '✓ Updated', unchanged: '= Unchanged' };
+      statusEl.innerHTML = `<span class="badge ${row.status === 'unchanged' ? 'badge-pending' : 'badge-success'}">${labels[row.status]}</span>`;
+      document.getElementById(`result-iname-${i}`).innerHTML = `<span class="success-detail">${esc(row.internalName || '')}</span>`;
+      detailEl.innerHTML = row.warning ? `<span class="warn-detail" title="${esc(row.warning)}">${esc(row.warning)}</span>` : '';
+    } else if (row.status === 'failed') {
+      statusEl.innerHTML = '<span class="badge badge-error">✗ Failed</span>';
+      detailEl.innerHTML = `<span class="error-detail" title="${esc(row.error || '')}">${esc(row.error || 'Unknown error')}</span>`;
+    } else if (row.status === 'skipped' || row.status === 'cancelled') {
+      statusEl.innerHTML = `<span class="badge badge-pending">${row.status === 'skipped' ? 'Skipped' : 'Cancelled'}</span>`;
+      detailEl.innerHTML = row.error ? `<span class="error-detail" title="${esc(row.error)}">${esc(row.error)}</span>` : '';
+    } else {
+      statusEl.innerHTML = '<span class="badge badge-pending">Pending</span>';
+      detailEl.innerHTML = '';
+    }
+  }
+  for (const obj of job.objects) {
+    const el = document.querySelector(`.object-summary[data-object="${CSS.escape(obj.objectType)}"]`);
+    if (el) el.textContent = ` — ${obj.processed} of ${obj.total} processed: ${jobSummaryText({ ...obj, mode: job.mode, groups: [] })}`;
+  }
+  const stopping = job.stopRequested === 'cancel' ? ' — cancelling…' : job.stopRequested === 'pause' ? ' — pausing…' : '';
+  updateProgress(job.processed, job.total, `Processed ${job.processed} of ${job.total} — ${jobSummaryText(job)}${stopping}`);
+}
+
+function renderJobOutcome(job) {
+  const outcome = {
+    completed: `Done — ${jobSummaryText(job)}`,
+    paused:    `Paused — ${jobSummaryText(job)}. ${job.error || 'Resume to continue.'}`,
+    cancelled: `Cancelled — ${jobSummaryText(job)}`,
+    failed:    `Import stopped: ${job.error}`,
+  };
+  updateProgress(job.processed, job.total, outcome[job.status] || jobSummaryText(job));
+  document.getElementById('resultsSummary').innerHTML = `
+    <div class="summary-stat total"><span class="stat-number">${job.total}</span><span class="stat-label">Total</span></div>
+    <div class="summary-stat success"><span class="stat-number">${job.created}</span><span class="stat-label">Created</span></div>
+    ${job.mode === 'upsert' ? `
+    <div class="summary-stat updated"><span class="stat-number">${job.updated}</span><span class="stat-label">Updated</span></div>
+    <div class="summary-stat total"><span class="stat-number">${job.unchanged}</span><span class="stat-label">Unchanged</span></div>` : ''}
+    <div class="summary-stat failed"><span class="stat-number">${job.failed}</span><span class="stat-label">Failed</span></div>
+    ${job.skipped ? `<div class="summary-stat total"><span class="stat-number">${job.skipped}</span><span class="stat-label">Skipped</span></div>` : ''}
+    ${job.cancelled ? `<div class="summary-stat total"><span class="stat-number">${job.cancelled}</span><span class="stat-label">Cancelled</span></div>` : ''}`;
+  updateJobControls(job);
+}
+
+function updateJobControls(job) {
+  const active = isJobActive(job);
+  const resumeBtn = document.getElementById('resumeJobBtn');
+  document.getElementById('jobControls').style.display = active || job.retryable ? '' : 'none';
+  document.getElementById('pauseJobBtn').style.display  = active ? '' : 'none';
+  document.getElementById('cancelJobBtn').style.display = active || job.status === 'paused' ? '' : 'none';
+  document.getElementById('pauseJobBtn').disabled  = !!job.stopRequested;
+  document.getElementById('cancelJobBtn').disabled = job.stopRequested === 'cancel';
+  resumeBtn.style.display = !active && job.retryable ? '' : 'none';
+  resumeBtn.textContent = job.status === 'paused'
+    ? `Resume (${job.retryable} left)`
+    : `Retry ${job.retryable} unfinished row${job.retryable === 1 ? '' : 's'}`;
+}
+
+async function sendJobAction(action) {
+  if (!currentJob) return null;
+  try {
+    const res  = await fetch(`/api/import-jobs/${encodeURIComponent(currentJob.id)}/${action}`, { method: 'POST' });
+    if (res.status === 401) { handleUnauth(); return null; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    return data.job;
+  } catch (err) {
+    updateProgress(currentJob.processed, currentJob.total, `Could not ${action} the import: ${err.message}`);
+    return null;
+  }
+}
+
+async function pauseImportJob() {
+  const job = await sendJobAction('pause');
+  if (job) { currentJob = job; updateJobControls(job); renderJobRows(job); }
+}
+
+async function cancelImportJob() {
+  const job = await sendJobAction('cancel');
+  if (!job) return;
+  currentJob = job;
+  if (isJobActive(job)) { updateJobControls(job); renderJobRows(job); return; }
+  renderJobRows(job);
+  renderJobOutcome(job);
+}
+
+async function resumeImportJob() {
+  const job = await sendJobAction('resume');
+  if (job) await watchImportJob(job);
+}
+
+/**
+ * After a reload or reconnect: re-attaches to a running import, or lists
+ * recent imports that can still be resumed or retried.
+ */
+async function restoreImportJobs() {
+  let jobs;
+  try {
+    const res  = await fetch('/api/import-jobs');
+    const data = await res.json();
+    if (!data.success) return;
+    jobs = data.jobs;
+  } catch {
+    return;
+  }
+
+  const running = jobs.find(isJobActive);
+  if (running) {
+    const res  = await fetch(`/api/import-jobs/${encodeURIComponent(running.id)}`);
+    const data = await res.json();
+    if (data.success) watchImportJob(data.job);
+    return;
+  }
+
+  const box = document.getElementById('recentImports');
+  const resumable = jobs.filter((j) => j.retryable > 0);
+  if (resumable.length === 0) { box.style.display = 'none'; return; }
+  box.innerHTML = `<strong>Unfinished imports</strong><ul>${resumable.map((j) => `
+    <li class="recent-import">
+      <span>${esc(j.fileName || j.objectType)} — ${esc(j.status)}, ${j.created + j.updated + j.unchanged} of ${j.total - j.skipped} done · ${esc(formatDate(j.createdAt))}</span>
+      <button class="btn btn-outline btn-sm" onclick="openImportJob('${esc(j.id)}')">View</button>
+    </li>`).join('')}</ul>`;
+  box.style.display = '';
+}
+
+async function openImportJob(id) {
+  try {
+    const res  = await fetch(`/api/import-jobs/${encodeURIComponent(id)}`);
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    await watchImportJob(data.job);
+  } catch (err) {
+    showCSVError([`Could not open import: ${err.message}`]);
   }
+}
 
-  updateProgress(total, total, `Done — ${successCount} created, ${failCount} failed`);
-  resultsSummary.innerHTML = `
-    <div class="summary-stat total"><span class="stat-number">${total}</span><span class="stat-label">Total</span></div>
-    <div class="summary-stat success"><span class="stat-number">${successCount}</span><span class="stat-label">Created</span></div>
-    <div class="summary-stat failed"><span class="stat-number">${failCount}</span><span class="stat-label">Failed</span></div>`;
+function jobSummaryText(job) {
+  const groups = job.groups.filter((g) => g.status === 'created').length;
+  const counts = job.mode === 'upsert'
+    ? `${job.created} created, ${job.updated} updated, ${job.unchanged} unchanged, ${job.failed} failed`
+    : `${job.created} created, ${job.failed} failed`;
+  return groups ? `${groups} group${groups === 1 ? '' : 's'} created; ${counts}` : counts;
+}
 
+function finishCreating() {
   isCreating = false;
   const btn = document.getElementById('createBtn');
-  btn.disabled = false;
+  updateCreateBtn();
   btn.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg> Create Properties in HubSpot`;
 }
 
@@ -290,6 +649,10 @@ function typeBadge(type) {
     'Number':               ['badge-number',   '# Number'],
     'Date Picker':          ['badge-date',     '📅 Date'],
     'Date and Time Picker': ['badge-date',     '⊙ DateTime'],
+    'Single Checkbox':      ['badge-checkbox', '☑ Boolean'],
+    'File':                 ['badge-pending',  '📎 File'],
+    'HubSpot User':         ['badge-dropdown', '👤 User'],
+    'Calculation':          ['badge-number',   'ƒ Calculation'],
   };
   const [cls, label] = map[type] || ['badge-pending', type];
   return `<span class="badge ${cls}">${label}</span>`;
@@ -301,24 +664,31 @@ function esc(str) {
 }
 
 /* ── Tab navigation ────────────────────────────────────────────────── */
+const TABS = ['create', 'manage', 'migrate', 'code', 'pipelines'];
+
 function switchTab(tab) {
-  document.getElementById('panel-create').style.display = tab === 'create' ? '' : 'none';
-  document.getElementById('panel-manage').style.display = tab === 'manage' ? '' : 'none';
-  document.getElementById('tab-create').classList.toggle('active', tab === 'create');
-  document.getElementById('tab-manage').classList.toggle('active', tab === 'manage');
+  for (const name of TABS) {
+    document.getElementById(`panel-${name}`).style.display = tab === name ? '' : 'none';
+    document.getElementById(`tab-${name}`).classList.toggle('active', tab === name);
+  }
+  if (tab === 'migrate') openMigrateTab();
+  if (tab === 'code') openSchemaTab();
+  if (tab === 'pipelines') openPipelinesTab();
 }
 
 function onObjectTypeChange() {
-  allProperties = []; usageContext = null; analysisStarted = false;
+  allProperties = []; archivedProperties = null; objectRecordTotal = null; usageContext = null; analysisStarted = false;
   document.getElementById('propsTableCard').style.display  = 'none';
   document.getElementById('propsEmpty').style.display      = 'none';
   document.getElementById('filterBar').style.display       = 'none';
   document.getElementById('bulkBar').style.display         = 'none';
   document.getElementById('analyzeBtn').disabled           = true;
   document.getElementById('exportBtn').disabled            = true;
+  document.getElementById('graphBtn').disabled             = true;
   document.getElementById('analyzeProgress').style.display = 'none';
   document.getElementById('analyzeWarnings').style.display = 'none';
   document.getElementById('mgmtSubtitle').textContent      = 'Load properties to get started';
+  if (parsedRows.length && !isCreating) scheduleDryRun();
 }
 
 /* ── Object types ──────────────────────────────────────────────────── */
@@ -345,12 +715,111 @@ async function loadObjectTypes() {
   } catch { /* silent — HTML defaults remain */ }
 }
 
+/* ── Custom objects ────────────────────────────────────────────────── */
+function openCustomObjectModal() {
+  customObjectFile = null;
+  document.getElementById('customObjectFileName').textContent = 'No file chosen';
+  document.getElementById('customObjectStatus').textContent = '';
+  showCustomObjectDefinition(null);
+  document.getElementById('customObjectModal').style.display = 'flex';
+}
+
+async function selectCustomObjectFile(e) {
+  customObjectFile = e.target.files[0] || null;
+  e.target.value = '';
+  document.getElementById('customObjectFileName').textContent = customObjectFile ? customObjectFile.name : 'No file chosen';
+  document.getElementById('customObjectStatus').textContent = '';
+  showCustomObjectDefinition(null);
+  if (!customObjectFile) return;
+
+  const form = new FormData();
+  form.append('file', customObjectFile);
+  try {
+    const res  = await fetch('/api/parse-object-definition', { method: 'POST', body: form });
+    const data = await res.json();
+    if (!data.success) { showCustomObjectDefinition(null, data.errors); return; }
+    showCustomObjectDefinition(data);
+  } catch (err) {
+    showCustomObjectDefinition(null, [`Could not read the file: ${err.message}`]);
+  }
+}
+
+// Shows the parsed definition, or the problems that keep it from being created
+function showCustomObjectDefinition(parsed, errors = []) {
+  const errorBox = document.getElementById('customObjectErrors');
+  errorBox.style.display = errors.length ? 'block' : 'none';
+  errorBox.innerHTML = errors.length === 1
+    ? esc(errors[0])
+    : `<strong>${errors.length} errors found:</strong><ul>${errors.map((e) => `<li>${esc(e)}</li>`).join('')}</ul>`;
+
+  const summary = document.getElementById('customObjectSummary');
+  summary.style.display = parsed ? 'block' : 'none';
+  document.getElementById('customObjectCreateBtn').disabled = !parsed;
+  if (!parsed) { summary.innerHTML = ''; return; }
+
+  const { definition, properties } = parsed;
+  const list = (names) => names?.length ? names.map(esc).join(', ') : '—';
+  summary.innerHTML = `
+    <div><strong>${esc(definition.labels.singular)}</strong> / ${esc(definition.labels.plural)} <span class="prop-internal">${esc(definition.name)}</span></div>
+    <dl>
+      <dt>Primary display</dt><dd>${esc(definition.primaryDisplayProperty)}</dd>
+      <dt>Secondary display</dt><dd>${list(definition.secondaryDisplayProperties)}</dd>
+      <dt>Required</dt><dd>${list(definition.requiredProperties)}</dd>
+      <dt>Searchable</dt><dd>${list(definition.searchableProperties)}</dd>
+      <dt>Associated with</dt><dd>${list(definition.associatedObjects)}</dd>
+    </dl>
+    <ul>${properties.map((p) => `<li>${typeBadge(p.Type)} ${esc(p.Name)}${p.Group ? ` <span class="backup-meta">${esc(p.Group)}</span>` : ''}</li>`).join('')}</ul>`;
+}
+
+async function createCustomObject() {
+  const btn = document.getElementById('customObjectCreateBtn');
+  const statusEl = document.getElementById('customObjectStatus');
+  btn.disabled = true;
+  statusEl.textContent = 'Creating object…';
+
+  const form = new FormData();
+  form.append('file', customObjectFile);
+  try {
+    const res = await fetch('/api/custom-objects', { method: 'POST', body: form });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) {
+      statusEl.textContent = '';
+      document.getElementById('customObjectErrors').style.display = 'block';
+      document.getElementById('customObjectErrors').textContent = data.error;
+      btn.disabled = false;
+      return;
+    }
+
+    document.getElementById('customObjectModal').style.display = 'none';
+    await loadObjectTypes();
+    const select = document.getElementById('objectType');
+    if (![...select.options].some((o) => o.value === data.objectType.value)) {
+      select.add(new Option(data.objectType.label, data.objectType.value));
+    }
+    select.value = data.objectType.value;
+    document.getElementById('objectTypeManual').value = '';
+    onObjectTypeChange();
+    switchTab('create');
+    showCSVError([]);
+    await watchImportJob(data.job);
+  } catch (err) {
+    statusEl.textContent = `Create failed: ${err.message}`;
+    btn.disabled = false;
+  }
+}
+
+function closeCustomObjectModal(e) {
+  if (e && e.target !== document.getElementById('customObjectModal')) return;
+  document.getElementById('customObjectModal').style.display = 'none';
+}
+
 /* ── Load properties ───────────────────────────────────────────────── */
 async function loadProperties() {
   await loadObjectTypes();
   const objectType = getObjectType();
 
-  allProperties = []; usageContext = null; analysisStarted = false;
+  allProperties = []; archivedProperties = null; objectRecordTotal = null; usageContext = null; analysisStarted = false;
 
   const btn = document.getElementById('loadPropsBtn');
   btn.disabled    = true;
@@ -362,19 +831,17 @@ async function loadProperties() {
   document.getElementById('bulkBar').style.display         = 'none';
   document.getElementById('analyzeBtn').disabled           = true;
   document.getElementById('exportBtn').disabled            = true;
+  document.getElementById('graphBtn').disabled             = true;
   document.getElementById('analyzeProgress').style.display = 'none';
   document.getElementById('analyzeWarnings').style.display = 'none';
 
   try {
-    const res  = await fetch(`/api/list-properties?objectType=${encodeURIComponent(objectType)}`);
+    const res  = await fetch(`/api/list-properties?objectType=${encodeURIComponent(objectType)}&snapshot=true`);
     if (res.status === 401) { handleUnauth(); return; }
     const data = await res.json();
     if (!data.success) { alert(`Failed to load properties: ${data.error}`); return; }
 
-    allProperties = data.properties.map((p) => ({
-      ...p, _recordCount: null, _inWorkflow: null, _inForm: null,
-      _inList: null, _inPipeline: null, _inReport: null, _inEmail: null,
-    }));
+    allProperties = data.properties.map(trackedProperty);
 
     renderPropertiesTable(visibleProperties());
     document.getElementById('analyzeBtn').disabled    = false;
@@ -391,6 +858,14 @@ async function loadProperties() {
   }
 }
 
+// A loaded property plus the analysis results the table tracks for it
+function trackedProperty(property) {
+  return {
+    ...property, _recordCount: null, _lastWrittenAt: null,
+    _usage: Object.fromEntries(USAGE_SOURCES.map((source) => [source.kind, null])),
+  };
+}
+
 /* ── Render table ──────────────────────────────────────────────────── */
 function renderPropertiesTable(props) {
   const card  = document.getElementById('propsTableCard');
@@ -399,7 +874,12 @@ function renderPropertiesTable(props) {
   tbody.innerHTML = '';
   if (props.length === 0) { card.style.display = 'none'; empty.style.display = 'block'; return; }
   card.style.display = 'block'; empty.style.display = 'none';
-  for (const prop of props) tbody.appendChild(buildPropertyRow(prop));
+  document.getElementById('modifiedHeader').textContent = isArchivedView() ? 'Archived' : 'Last Modified';
+  document.querySelectorAll('#propsTable th[data-sort]').forEach((th) => {
+    th.classList.toggle('sorted-asc',  sortState.key === th.dataset.sort && sortState.dir === 1);
+    th.classList.toggle('sorted-desc', sortState.key === th.dataset.sort && sortState.dir === -1);
+  });
+  for (const prop of props) tbody.appendChild(prop.archived ? buildArchivedRow(prop) : buildPropertyRow(prop));
   updateSelectAllState();
   updateBulkBar();
 }
@@ -418,14 +898,30 @@ function buildPropertyRow(prop) {
     <td class="muted">${esc(prop.groupName || '—')}</td>
     <td class="col-source"><span class="badge ${isSystem ? 'badge-system' : 'badge-custom'}">${isSystem ? 'System' : 'Custom'}</span></td>
     <td class="col-usage" id="usage-records-${esc(prop.name)}">${usageCellHtml(prop._recordCount, 'records')}</td>
-    <td class="col-usage" id="usage-workflow-${esc(prop.name)}">${usageCellHtml(prop._inWorkflow, 'workflow', prop.name)}</td>
-    <td class="col-usage" id="usage-form-${esc(prop.name)}">${usageCellHtml(prop._inForm, 'form', prop.name)}</td>
-    <td class="col-usage" id="usage-list-${esc(prop.name)}">${usageCellHtml(prop._inList, 'list', prop.name)}</td>
-    <td class="col-usage" id="usage-pipeline-${esc(prop.name)}">${usageCellHtml(prop._inPipeline, 'pipeline', prop.name)}</td>
-    <td class="col-usage" id="usage-report-${esc(prop.name)}">${usageCellHtml(prop._inReport, 'report', prop.name)}</td>
-    <td class="col-usage" id="usage-email-${esc(prop.name)}">${usageCellHtml(prop._inEmail, 'email', prop.name)}</td>
+    <td class="col-usage" id="usage-fill-${esc(prop.name)}">${usageCellHtml(fillRate(prop), 'fill')}</td>
+    <td class="col-date" id="usage-written-${esc(prop.name)}">${usageCellHtml(prop._lastWrittenAt, 'written')}</td>
+    ${USAGE_SOURCES.map(({ kind }) => `<td class="col-usage" id="usage-${kind}-${esc(prop.name)}">${usageCellHtml(prop._usage[kind], kind, prop.name)}</td>`).join('')}
     <td class="col-date">${formatDate(prop.updatedAt)}</td>
-    <td class="col-actions"><button class="btn-icon" title="${canDelete ? 'Delete property' : 'System properties cannot be deleted'}" ${canDelete ? `onclick="deleteSingleProperty('${esc(prop.name)}')"` : 'disabled'}><svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg></button></td>`;
+    <td class="col-actions">${prop.options?.length ? `<button class="btn-icon" title="Option usage" onclick="showOptionUsage('${esc(prop.name)}')"><svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/><line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/></svg></button>` : ''}<button class="btn-icon" title="${canDelete ? 'Delete property' : 'System properties cannot be deleted'}" ${canDelete ? `onclick="deleteSingleProperty('${esc(prop.name)}')"` : 'disabled'}><svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg></button></td>`;
+  return tr;
+}
+
+function buildArchivedRow(prop) {
+  const tr = document.createElement('tr');
+  tr.id = `prop-row-${prop.name}`;
+  tr.dataset.name = prop.name;
+  tr.innerHTML = `
+    <td class="col-cb"><input type="checkbox" class="prop-cb" data-name="${esc(prop.name)}" onchange="onRowCheckChange()"/></td>
+    <td><span class="prop-label">${esc(prop.label || prop.name)}</span><span class="prop-internal">${esc(prop.name)}</span></td>
+    <td>${propTypeBadge(prop.fieldType, prop.type)}</td>
+    <td class="muted">${esc(prop.groupName || '—')}</td>
+    <td class="col-source"><span class="badge badge-archived">Archived</span></td>
+    <td class="col-usage"><span class="usage-none">—</span></td>
+    <td class="col-usage"><span class="usage-none">—</span></td>
+    <td class="col-date"><span class="usage-none">—</span></td>
+    ${USAGE_SOURCES.map(() => '<td class="col-usage"><span class="usage-none">—</span></td>').join('')}
+    <td class="col-date">${formatDate(prop.archivedAt)}</td>
+    <td class="col-actions"><button class="btn-icon" title="Restore property" onclick="restoreProperties(['${esc(prop.name)}'])"><svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg></button></td>`;
   return tr;
 }
 
@@ -437,9 +933,18 @@ function usageCellHtml(value, kind, propName) {
     const n = Number(value);
     return `<span class="usage-count ${n > 0 ? 'has-values' : 'no-values'}">${n > 0 ? n.toLocaleString() : '0'}</span>`;
   }
+  if (kind === 'fill') {
+    return `<span class="usage-count ${value > 0 ? 'has-values' : 'no-values'}" title="Share of all records with a value">${formatFillRate(value)}</span>`;
+  }
+  if (kind === 'written') {
+    if (value === 'loading') return '<span class="usage-spinner">⏳</span>';
+    if (value === 'error')   return '<span class="usage-error">error</span>';
+    if (value === 'never')   return '<span class="usage-none">Never</span>';
+    return `<span title="Last change to a record that has a value">${formatDate(value)}</span>`;
+  }
   if (value === true) {
-    const typeMap = { workflow: 'workflows', form: 'forms', list: 'lists', pipeline: 'pipelines', report: 'reports', email: 'emails' };
-    if (propName && typeMap[kind]) return `<button class="usage-check-btn" title="Click to see where" onclick="showUsageDetails('${esc(propName)}', '${typeMap[kind]}')">✓</button>`;
+    const source = USAGE_SOURCES.find((s) => s.kind === kind);
+    if (propName && source) return `<button class="usage-check-btn" title="Click to see where" onclick="showUsageDetails('${esc(propName)}', '${source.type}')">✓</button>`;
     return '<span class="usage-check" title="Used">✓</span>';
   }
   if (value === false) return '<span class="usage-cross" title="Not found">✕</span>';
@@ -449,16 +954,40 @@ function usageCellHtml(value, kind, propName) {
 function updateUsageCell(propName, kind, value) {
   const prop = allProperties.find((p) => p.name === propName);
   if (prop) {
-    if (kind === 'records')  prop._recordCount = value;
-    if (kind === 'workflow') prop._inWorkflow  = value;
-    if (kind === 'form')     prop._inForm      = value;
-    if (kind === 'list')     prop._inList      = value;
-    if (kind === 'pipeline') prop._inPipeline  = value;
-    if (kind === 'report')   prop._inReport    = value;
-    if (kind === 'email')    prop._inEmail     = value;
+    if (kind === 'records')      prop._recordCount   = value;
+    else if (kind === 'written') prop._lastWrittenAt = value;
+    else                         prop._usage[kind]   = value;
   }
   const cell = document.getElementById(`usage-${kind}-${propName}`);
   if (cell) cell.innerHTML = usageCellHtml(value, kind, propName);
+  if (kind === 'records' && prop) updateFillCell(prop);
+}
+
+function updateFillCell(prop) {
+  const cell = document.getElementById(`usage-fill-${prop.name}`);
+  if (cell) cell.innerHTML = usageCellHtml(fillRate(prop), 'fill');
+}
+
+/**
+ * Share of the object's records that have a value, once both counts are in.
+ */
+function fillRate(prop) {
+  const count = prop._recordCount;
+  if (!objectRecordTotal || count === null || count === 'loading' || count === 'error') return null;
+  return Number(count) / objectRecordTotal;
+}
+
+function formatFillRate(rate) {
+  if (rate === 0) return '0%';
+  if (rate < 0.001) return '<0.1%';
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function isUsedSomewhere(prop) {
+  return USAGE_SOURCES.some(({ kind }) => prop._usage[kind] === true);
+}
+function isUnusedEverywhere(prop) {
+  return USAGE_SOURCES.every(({ kind }) => prop._usage[kind] === false);
 }
 
 function propTypeBadge(fieldType, type) {
@@ -470,6 +999,7 @@ function propTypeBadge(fieldType, type) {
     number: ['badge-number','# Number'],
     date: type === 'datetime' ? ['badge-date','⊙ DateTime'] : ['badge-date','📅 Date'],
     file: ['badge-pending','📎 File'],
+    calculation_equation: ['badge-number','ƒ Calculation'], calculation_score: ['badge-number','★ Score'],
   };
   const [cls, label] = map[fieldType] || ['badge-pending', fieldType || '—'];
   return `<span class="badge ${cls}">${label}</span>`;
@@ -480,34 +1010,142 @@ function visibleProperties() {
   const search      = (document.getElementById('searchProps')?.value || '').toLowerCase();
   const filterSrc   = document.getElementById('filterSource')?.value || 'all';
   const filterUsage = document.getElementById('filterUsage')?.value  || 'all';
+  const filterFill  = Number(document.getElementById('filterFill')?.value) || null;
+  const filterDays  = document.getElementById('filterRecency')?.value || 'all';
 
-  return allProperties.filter((p) => {
+  if (filterSrc === 'archived') {
+    return sortProperties((archivedProperties || []).filter((p) =>
+      !search || `${p.label} ${p.name} ${p.groupName}`.toLowerCase().includes(search)));
+  }
+
+  return sortProperties(allProperties.filter((p) => {
     if (search && !`${p.label} ${p.name} ${p.groupName}`.toLowerCase().includes(search)) return false;
     if (filterSrc === 'custom' &&  p.hubspotDefined) return false;
     if (filterSrc === 'system' && !p.hubspotDefined) return false;
     if (filterUsage === 'unused') {
-      if (!analysisStarted) return !p.hubspotDefined;
-      return !p.hubspotDefined &&
-        (p._recordCount === null || Number(p._recordCount) === 0) &&
-        p._inWorkflow !== true && p._inForm !== true && p._inList !== true &&
-        p._inPipeline !== true && p._inReport !== true && p._inEmail !== true;
+      if (p.hubspotDefined) return false;
+      if (analysisStarted && !((p._recordCount === null || Number(p._recordCount) === 0) && !isUsedSomewhere(p))) return false;
+    }
+    if (filterUsage === 'used' && !(Number(p._recordCount) > 0 || isUsedSomewhere(p))) return false;
+    if (filterFill !== null) {
+      const rate = fillRate(p);
+      if (rate === null || rate >= filterFill) return false;
     }
-    if (filterUsage === 'used') {
-      return Number(p._recordCount) > 0 || p._inWorkflow === true || p._inForm === true ||
-        p._inList === true || p._inPipeline === true || p._inReport === true || p._inEmail === true;
+    if (filterDays !== 'all') {
+      const written = p._lastWrittenAt;
+      if (written === null || written === 'loading' || written === 'error') return false;
+      if (filterDays === 'never') return written === 'never';
+      if (written !== 'never' && Date.now() - Date.parse(written) < Number(filterDays) * 86400000) return false;
     }
     return true;
-  });
+  }));
 }
 
-function filterProperties() {
-  const vis = visibleProperties();
+const SORT_VALUES = {
+  name:     (p) => (p.label || p.name).toLowerCase(),
+  records:  (p) => (typeof p._recordCount === 'number' ? p._recordCount : null),
+  fill:     (p) => fillRate(p),
+  written:  (p) => (p._lastWrittenAt === 'never' ? 0 : Date.parse(p._lastWrittenAt) || null),
+  modified: (p) => Date.parse(p.archived ? p.archivedAt : p.updatedAt) || null,
+};
+
+// Properties without a value for the sort column stay at the end either way
+function sortProperties(props) {
+  const valueOf = SORT_VALUES[sortState.key];
+  if (!valueOf) return props;
+  return props
+    .map((p) => ({ p, v: valueOf(p) }))
+    .sort((a, b) => {
+      if (a.v === null || b.v === null) return (a.v === null) - (b.v === null);
+      return (a.v < b.v ? -1 : a.v > b.v ? 1 : 0) * sortState.dir;
+    })
+    .map(({ p }) => p);
+}
+
+function sortBy(key) {
+  sortState = { key, dir: sortState.key === key ? -sortState.dir : 1 };
+  filterProperties();
+}
+
+function isArchivedView() {
+  return document.getElementById('filterSource')?.value === 'archived';
+}
+
+async function filterProperties() {
+  if (isArchivedView() && archivedProperties === null) await loadArchivedProperties();
+  for (const id of ['filterUsage', 'filterFill', 'filterRecency']) document.getElementById(id).disabled = isArchivedView();
+  clearSelection();
+  const vis   = visibleProperties();
+  const total = isArchivedView() ? (archivedProperties || []).length : allProperties.length;
   renderPropertiesTable(vis);
-  document.getElementById('filterCount').textContent = `${vis.length} of ${allProperties.length} shown`;
+  document.getElementById('filterCount').textContent = `${vis.length} of ${total} shown`;
+}
+
+/* ── Archived properties ───────────────────────────────────────────── */
+async function loadArchivedProperties() {
+  try {
+    const res  = await fetch(`/api/list-properties?objectType=${encodeURIComponent(getObjectType())}&archived=true`);
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) { alert(`Failed to load archived properties: ${data.error}`); return; }
+    archivedProperties = data.properties;
+  } catch (err) {
+    alert(`Network error: ${err.message}`);
+  }
+}
+
+function restoreSelected() {
+  const names = [...document.querySelectorAll('.prop-cb:checked')].map((cb) => cb.dataset.name);
+  if (names.length) restoreProperties(names);
+}
+
+/**
+ * Re-creates archived properties from their archived definitions. Restored
+ * ones move back into the regular property list.
+ */
+async function restoreProperties(names) {
+  const fillEl = document.getElementById('analyzeProgressFill');
+  const textEl = document.getElementById('analyzeProgressText');
+  document.getElementById('analyzeProgress').style.display = 'block';
+  fillEl.style.width = '0%';
+  textEl.textContent = `Restoring ${names.length} propert${names.length === 1 ? 'y' : 'ies'}…`;
+
+  let data;
+  try {
+    const res = await fetch('/api/restore-properties', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ objectType: getObjectType(), propertyNames: names }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    data = await res.json();
+    if (!data.success) throw new Error(data.error);
+  } catch (err) {
+    textEl.textContent = `Restore failed: ${err.message}`;
+    return;
+  }
+
+  const restored = data.results.filter((r) => r.success);
+  const failed   = data.results.filter((r) => !r.success);
+  const warned   = restored.filter((r) => r.warning);
+  archivedProperties = (archivedProperties || []).filter((p) => !restored.some((r) => r.name === p.name));
+  for (const { property } of restored) allProperties.push(trackedProperty(property));
+  allProperties.sort((a, b) => (a.label || a.name).localeCompare(b.label || b.name));
+
+  fillEl.style.width = '100%';
+  textEl.textContent = `Restored ${restored.length} propert${restored.length === 1 ? 'y' : 'ies'}` +
+    (failed.length ? `, ${failed.length} failed: ${failed.map((r) => `${r.name} (${r.error})`).join('; ')}` : '.') +
+    (warned.length ? ` ${warned.map((r) => `${r.name}: ${r.warning}`).join('; ')}` : '');
+  const custom = allProperties.filter((p) => !p.hubspotDefined).length;
+  document.getElementById('mgmtSubtitle').textContent = `${allProperties.length} properties (${custom} custom)`;
+  filterProperties();
 }
 
 /* ── Analyze usage ─────────────────────────────────────────────────── */
-async function analyzeUsage() {
+/**
+ * Streams the analysis from the server: usage sources first (cached per
+ * portal unless `refresh`), then record counts for each custom property.
+ */
+async function analyzeUsage(refresh = false) {
   if (!allProperties.length) { alert('Load properties first.'); return; }
   analysisStarted = true;
 
@@ -520,77 +1158,114 @@ async function analyzeUsage() {
 
   progressEl.style.display = 'block';
   warningsEl.style.display = 'none';
+  document.getElementById('usageContextInfo').style.display = 'none';
   fillEl.style.width = '0%';
-  textEl.textContent = 'Fetching workflows and forms…';
+  textEl.textContent = refresh ? 'Re-reading usage sources…' : 'Loading usage sources…';
+
+  const customProps = allProperties.filter((p) => !p.hubspotDefined);
+  const total = customProps.length;
+  let checked = 0;
+  for (const prop of customProps) {
+    updateUsageCell(prop.name, 'records', 'loading');
+    updateUsageCell(prop.name, 'written', 'loading');
+  }
+
+  const handlers = {
+    context(ctx) {
+      applyUsageContext(ctx);
+      const found = USAGE_SOURCES.map(({ kind, noun }) => `${ctx[`${kind}Count`] ?? 0} ${noun}`).join(', ');
+      textEl.textContent = `Found ${found}. Checking records…`;
+      fillEl.style.width = '10%';
+    },
+    objectTotal(msg) {
+      objectRecordTotal = msg.error ? null : msg.total;
+      for (const prop of allProperties) updateFillCell(prop);
+    },
+    records(msg) {
+      checked++;
+      updateUsageCell(msg.name, 'records', msg.error ? 'error' : msg.total);
+      updateUsageCell(msg.name, 'written', msg.error ? 'error' : (msg.lastWrittenAt || 'never'));
+      fillEl.style.width = Math.round(10 + (checked / total) * 90) + '%';
+      textEl.textContent = `Checking records: ${checked} / ${total}`;
+    },
+  };
 
-  let ctx;
   try {
-    const res = await fetch('/api/fetch-usage-context', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const res = await fetch('/api/analyze-usage', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ objectType: getObjectType(), propertyNames: customProps.map((p) => p.name), refresh }),
+    });
     if (res.status === 401) { handleUnauth(); return; }
-    ctx = await res.json();
-  } catch (err) { textEl.textContent = `Network error: ${err.message}`; analyzeBtn.disabled = false; return; }
+    if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+
+    let failure = null;
+    await readNdjson(res, (msg) => {
+      if (msg.type === 'error') failure = msg;
+      else handlers[msg.type]?.(msg);
+    });
+    if (failure?.unauthenticated) { handleUnauth(); return; }
+    if (failure) throw new Error(failure.error);
+  } catch (err) {
+    textEl.textContent = `Analysis stopped: ${err.message}`;
+    for (const prop of customProps) {
+      if (prop._recordCount === 'loading')   updateUsageCell(prop.name, 'records', null);
+      if (prop._lastWrittenAt === 'loading') updateUsageCell(prop.name, 'written', null);
+    }
+    analyzeBtn.disabled = false;
+    return;
+  }
 
+  fillEl.style.width = '100%';
+  const unusedCount = allProperties.filter((p) =>
+    !p.hubspotDefined && Number(p._recordCount) === 0 && isUnusedEverywhere(p)
+  ).length;
+  textEl.textContent = total === 0
+    ? 'Analysis complete — no custom properties to check.'
+    : `Analysis complete — ${unusedCount} unused custom propert${unusedCount === 1 ? 'y' : 'ies'} found.`;
+  analyzeBtn.disabled = false;
+  filterProperties();
+}
+
+function applyUsageContext(ctx) {
+  const warningsEl = document.getElementById('analyzeWarnings');
   if (ctx.warnings?.length) {
     warningsEl.style.display = 'block';
     warningsEl.innerHTML = `<strong>Some checks were skipped (missing API scopes):</strong><ul>${ctx.warnings.map((w) => `<li>${esc(w)}</li>`).join('')}</ul>`;
   }
 
-  const wfSet       = new Set(ctx.workflowProperties  || []);
-  const formSet     = new Set(ctx.formProperties       || []);
-  const listSet     = new Set(ctx.listProperties       || []);
-  const pipelineSet = new Set(ctx.pipelineProperties   || []);
-  const reportSet   = new Set(ctx.reportProperties     || []);
-  const emailSet    = new Set(ctx.emailProperties      || []);
-  usageContext = { wfSet, formSet, listSet, pipelineSet, reportSet, emailSet, usageDetails: ctx.propertyUsageDetails || {} };
-
-  textEl.textContent = `Found ${ctx.workflowCount} workflows, ${ctx.formCount} forms, ${ctx.listCount} lists, ${ctx.pipelineCount} pipelines, ${ctx.reportCount} reports, ${ctx.emailCount} emails. Checking records…`;
-  fillEl.style.width = '10%';
+  const usedBy = Object.fromEntries(USAGE_SOURCES.map(({ kind }) => [kind, new Set(ctx[`${kind}Properties`] || [])]));
+  usageContext = { usedBy, usageDetails: ctx.propertyUsageDetails || {} };
+  dependencyGraph = null;
+  document.getElementById('graphBtn').disabled = false;
 
   for (const prop of allProperties) {
-    updateUsageCell(prop.name, 'workflow',  wfSet.has(prop.name));
-    updateUsageCell(prop.name, 'form',      formSet.has(prop.name));
-    updateUsageCell(prop.name, 'list',      listSet.has(prop.name));
-    updateUsageCell(prop.name, 'pipeline',  pipelineSet.has(prop.name));
-    updateUsageCell(prop.name, 'report',    reportSet.has(prop.name));
-    updateUsageCell(prop.name, 'email',     emailSet.has(prop.name));
+    for (const { kind } of USAGE_SOURCES) updateUsageCell(prop.name, kind, usedBy[kind].has(prop.name));
   }
 
-  const customProps = allProperties.filter((p) => !p.hubspotDefined);
-  const total = customProps.length;
-
-  if (total === 0) {
-    fillEl.style.width = '100%';
-    textEl.textContent = 'Analysis complete — no custom properties to check.';
-    analyzeBtn.disabled = false;
-    filterProperties();
-    return;
-  }
+  const info = document.getElementById('usageContextInfo');
+  info.innerHTML = `Usage sources analyzed ${esc(new Date(ctx.analyzedAt).toLocaleString())}${ctx.cached ? ' (cached)' : ''}
+    <button class="btn btn-outline btn-sm" onclick="analyzeUsage(true)">Refresh sources</button>`;
+  info.style.display = '';
+}
 
-  for (let i = 0; i < total; i++) {
-    const prop = customProps[i];
-    fillEl.style.width = Math.round(10 + (i / total) * 88) + '%';
-    textEl.textContent = `Checking records: ${i + 1} / ${total} — "${prop.label || prop.name}"`;
-    updateUsageCell(prop.name, 'records', 'loading');
-    try {
-      const res  = await fetch('/api/check-property-records', {
-        method: 'POST', headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ objectType: getObjectType(), propertyName: prop.name }),
-      });
-      const data = await res.json();
-      updateUsageCell(prop.name, 'records', data.success ? data.total : 'error');
-    } catch { updateUsageCell(prop.name, 'records', 'error'); }
-    if (i < total - 1) await sleep(120);
+/**
+ * Reads a newline-delimited JSON response, calling `onMessage` per line as
+ * it arrives.
+ */
+async function readNdjson(res, onMessage) {
+  const reader  = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) if (line.trim()) onMessage(JSON.parse(line));
+    if (done) break;
   }
-
-  fillEl.style.width = '100%';
-  const unusedCount = allProperties.filter((p) =>
-    !p.hubspotDefined && Number(p._recordCount) === 0 &&
-    p._inWorkflow === false && p._inForm === false && p._inList === false &&
-    p._inPipeline === false && p._inReport === false && p._inEmail === false
-  ).length;
-  textEl.textContent = `Analysis complete — ${unusedCount} unused custom propert${unusedCount === 1 ? 'y' : 'ies'} found.`;
-  analyzeBtn.disabled = false;
-  filterProperties();
+  if (buffer.trim()) onMessage(JSON.parse(buffer));
 }
 
 function sleep(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
@@ -614,6 +1289,11 @@ function updateBulkBar() {
   const bar     = document.getElementById('bulkBar');
   if (checked.length === 0) { bar.style.display = 'none'; return; }
   bar.style.display = 'flex';
+  const archived = isArchivedView();
+  document.getElementById('selectUnusedBtn').style.display    = archived ? 'none' : '';
+  document.getElementById('bulkEditBtn').style.display        = archived ? 'none' : '';
+  document.getElementById('deleteSelectedBtn').style.display  = archived ? 'none' : '';
+  document.getElementById('restoreSelectedBtn').style.display = archived ? '' : 'none';
   document.getElementById('bulkCount').textContent = `${checked.length} propert${checked.length === 1 ? 'y' : 'ies'} selected`;
 }
 function clearSelection() {
@@ -627,9 +1307,7 @@ function selectUnused() {
   let count = 0;
   for (const prop of vis) {
     if (prop.hubspotDefined) continue;
-    const isUnused = (prop._recordCount === null || Number(prop._recordCount) === 0) &&
-      prop._inWorkflow !== true && prop._inForm !== true && prop._inList !== true &&
-      prop._inPipeline !== true && prop._inReport !== true && prop._inEmail !== true;
+    const isUnused = (prop._recordCount === null || Number(prop._recordCount) === 0) && !isUsedSomewhere(prop);
     const cb = document.querySelector(`.prop-cb[data-name="${CSS.escape(prop.name)}"]`);
     if (cb && isUnused) { cb.checked = true; count++; }
   }
@@ -651,7 +1329,7 @@ function showDeleteModal(names) {
   document.getElementById('deleteModalBody').innerHTML =
     `You are about to permanently delete ${n} propert${n === 1 ? 'y' : 'ies'}` +
     (n <= 5 ? `: ${examples}` : ` including ${examples} and ${n - 5} more`) +
-    `.<br/><br/>This action <strong>cannot be undone</strong>.`;
+    `.<br/><br/>A backup of their definitions and record values is saved first; restore it from <strong>Backups</strong>.`;
   document.getElementById('deleteModal').style.display = 'flex';
 }
 function closeDeleteModal(e) {
@@ -669,6 +1347,20 @@ async function confirmDelete() {
   document.getElementById('analyzeProgress').style.display = 'block';
   fillEl.style.width = '0%';
 
+  // Nothing is deleted unless the backup was saved
+  textEl.textContent = `Backing up ${names.length} propert${names.length === 1 ? 'y' : 'ies'} and their values…`;
+  try {
+    const backup = await takeBackup(objectType, names, (b) => {
+      fillEl.style.width = `${Math.round((b.propertiesDone / b.propertyNames.length) * 100)}%`;
+      textEl.textContent = backupProgressText(b);
+    });
+    if (!backup) return;
+    fillEl.style.width = '0%';
+  } catch (err) {
+    textEl.textContent = `Backup failed, nothing was deleted: ${err.message}`;
+    return;
+  }
+
   let deleted = 0, failed = 0;
   for (let i = 0; i < names.length; i++) {
     const propName = names[i];
@@ -686,6 +1378,7 @@ async function confirmDelete() {
         const row = document.getElementById(`prop-row-${propName}`);
         if (row) { row.classList.add('row-deleted'); setTimeout(() => row.remove(), 1200); }
         allProperties = allProperties.filter((p) => p.name !== propName);
+        archivedProperties = null;
       } else { failed++; }
     } catch { failed++; }
   }
@@ -698,13 +1391,1175 @@ async function confirmDelete() {
   filterProperties();
 }
 
+/* ── Dependency graph ──────────────────────────────────────────────── */
+const GRAPH_ROW    = 26;
+const GRAPH_WIDTH  = 760;
+const GRAPH_NODE_W = 230;
+
+/**
+ * Turns the per-property usage details into property and asset nodes joined
+ * by reference edges, so either side can be looked up from the other.
+ */
+function buildDependencyGraph(usageDetails) {
+  const properties = new Map();
+  const assets     = new Map();
+  for (const [propName, byType] of Object.entries(usageDetails)) {
+    for (const [type, names] of Object.entries(byType)) {
+      for (const name of names) {
+        const key = `${type}:${name}`;
+        if (!assets.has(key)) assets.set(key, { key, type, name, properties: new Set() });
+        if (!properties.has(propName)) {
+          const prop = allProperties.find((p) => p.name === propName);
+          properties.set(propName, { key: propName, name: propName, label: prop?.label || propName, assets: new Set() });
+        }
+        assets.get(key).properties.add(propName);
+        properties.get(propName).assets.add(key);
+      }
+    }
+  }
+  return { properties, assets };
+}
+
+function openDependencyGraph() {
+  if (!usageContext) return;
+  dependencyGraph ??= buildDependencyGraph(usageContext.usageDetails);
+  graphSelection = null;
+  const types = new Set([...dependencyGraph.assets.values()].map((a) => a.type));
+  document.getElementById('graphTypeFilter').innerHTML = '<option value="all">All Sources</option>' +
+    USAGE_SOURCES.filter((s) => types.has(s.type)).map((s) => `<option value="${s.type}">${esc(s.label)}</option>`).join('');
+  document.getElementById('graphSearch').value = '';
+  document.getElementById('graphModal').style.display = 'flex';
+  renderDependencyGraph();
+}
+
+/**
+ * The property–asset edges left by the source type filter (`all` for every
+ * type) and the lowercase search text: an edge stays when either end matches.
+ */
+function graphEdges({ properties, assets }, search, type) {
+  const edges = [];
+  for (const asset of assets.values()) {
+    if (type !== 'all' && asset.type !== type) continue;
+    for (const propName of asset.properties) {
+      const prop = properties.get(propName);
+      if (search && ![asset.name, prop.name, prop.label].some((t) => t.toLowerCase().includes(search))) continue;
+      edges.push({ prop: propName, asset: asset.key });
+    }
+  }
+  return edges;
+}
+
+function renderDependencyGraph() {
+  const search = document.getElementById('graphSearch').value.toLowerCase();
+  const type   = document.getElementById('graphTypeFilter').value;
+  const { properties, assets } = dependencyGraph;
+  const edges = graphEdges(dependencyGraph, search, type);
+  const typeOrder = USAGE_SOURCES.map((s) => s.type);
+  const propList  = [...new Set(edges.map((e) => e.prop))].map((k) => properties.get(k))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  const assetList = [...new Set(edges.map((e) => e.asset))].map((k) => assets.get(k))
+    .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.name.localeCompare(b.name));
+
+  // Assets are grouped under a label row per source type
+  const propY  = new Map(propList.map((p, i) => [p.key, (i + 1) * GRAPH_ROW]));
+  const assetY = new Map();
+  let row = 0, lastType = null;
+  const typeLabels = [];
+  for (const asset of assetList) {
+    if (asset.type !== lastType) { row++; typeLabels.push({ type: asset.type, y: row * GRAPH_ROW }); lastType = asset.type; }
+    assetY.set(asset.key, ++row * GRAPH_ROW);
+  }
+  const height = (Math.max(propList.length, row) + 1) * GRAPH_ROW;
+  const x1 = GRAPH_NODE_W, x2 = GRAPH_WIDTH - GRAPH_NODE_W;
+  const label = (text) => esc(text.length > 30 ? `${text.slice(0, 29)}…` : text);
+
+  const edgeSvg = edges.map((e) => {
+    const y1 = propY.get(e.prop), y2 = assetY.get(e.asset);
+    return `<path class="graph-edge" data-prop="${esc(e.prop)}" data-asset="${esc(e.asset)}" d="M${x1},${y1} C${(x1 + x2) / 2},${y1} ${(x1 + x2) / 2},${y2} ${x2},${y2}"/>`;
+  }).join('');
+  const propSvg = propList.map((p, i) => `
+    <g class="graph-node" data-key="${esc(p.key)}" onclick="selectGraphNode('property', ${i})">
+      <title>${esc(p.label)} (${esc(p.name)})</title>
+      <rect x="4" y="${propY.get(p.key) - 10}" width="${GRAPH_NODE_W - 4}" height="20"/>
+      <text x="12" y="${propY.get(p.key) + 4}">${label(p.label)}</text>
+    </g>`).join('');
+  const assetSvg = assetList.map((a, i) => `
+    <g class="graph-node asset" data-key="${esc(a.key)}" onclick="selectGraphNode('asset', ${i})">
+      <title>${esc(a.name)}</title>
+      <rect x="${x2}" y="${assetY.get(a.key) - 10}" width="${GRAPH_NODE_W - 4}" height="20"/>
+      <text x="${x2 + 8}" y="${assetY.get(a.key) + 4}">${label(a.name)}</text>
+    </g>`).join('');
+  const typeSvg = typeLabels.map(({ type: t, y }) =>
+    `<text class="graph-type-label" x="${x2}" y="${y + 4}">${esc(USAGE_SOURCES.find((s) => s.type === t)?.label || t)}</text>`).join('');
+
+  document.getElementById('graphCanvas').innerHTML = edges.length
+    ? `<svg width="${GRAPH_WIDTH}" height="${height}" xmlns="http://www.w3.org/2000/svg">${edgeSvg}${typeSvg}${propSvg}${assetSvg}</svg>`
+    : '<p class="usage-detail-none graph-empty">No references match.</p>';
+  const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  document.getElementById('graphCount').textContent =
+    `${count(propList.length, 'property', 'properties')} · ${count(assetList.length, 'asset', 'assets')} · ${count(edges.length, 'reference', 'references')}`;
+  dependencyGraph.view = { propList, assetList };
+  applyGraphSelection();
+}
+
+function selectGraphNode(kind, index) {
+  const { propList, assetList } = dependencyGraph.view;
+  graphSelection = { kind, key: (kind === 'property' ? propList : assetList)[index].key };
+  applyGraphSelection();
+}
+
+function selectGraphKey(kind, key) {
+  graphSelection = { kind, key };
+  applyGraphSelection();
+}
+
+/**
+ * Highlights the selected node with its neighbours and lists them in the
+ * side panel: the assets a property is used in, or the properties an asset
+ * depends on.
+ */
+function applyGraphSelection() {
+  const canvas = document.getElementById('graphCanvas');
+  const detail = document.getElementById('graphDetail');
+  const { properties, assets } = dependencyGraph;
+  const node = graphSelection && (graphSelection.kind === 'property' ? properties : assets).get(graphSelection.key);
+
+  canvas.classList.toggle('has-selection', !!node);
+  canvas.querySelectorAll('.graph-node, .graph-edge').forEach((el) => el.classList.remove('active'));
+  if (!node) {
+    detail.innerHTML = '<p class="usage-detail-none">Click a property to see where it is used, or an asset to see every property it depends on.</p>';
+    return;
+  }
+
+  const neighbours = graphSelection.kind === 'property' ? node.assets : node.properties;
+  const edgeAttr   = graphSelection.kind === 'property' ? 'prop' : 'asset';
+  canvas.querySelectorAll('.graph-node').forEach((el) => {
+    if (el.dataset.key === node.key || neighbours.has(el.dataset.key)) el.classList.add('active');
+  });
+  canvas.querySelectorAll('.graph-edge').forEach((el) => {
+    if (el.dataset[edgeAttr] === node.key) el.classList.add('active');
+  });
+
+  if (graphSelection.kind === 'property') {
+    const byType = USAGE_SOURCES
+      .map((s) => ({ label: s.label, names: [...node.assets].map((k) => assets.get(k)).filter((a) => a.type === s.type) }))
+      .filter((g) => g.names.length);
+    detail.innerHTML = `<h3>${esc(node.label)}</h3><span class="prop-internal">${esc(node.name)}</span>` +
+      byType.map((g) => `<h4>${esc(g.label)}</h4><ul>${g.names.map((a) =>
+        `<li onclick="selectGraphKey('asset', ${esc(JSON.stringify(a.key))})">${esc(a.name)}</li>`).join('')}</ul>`).join('');
+  } else {
+    const source = USAGE_SOURCES.find((s) => s.type === node.type);
+    const props  = [...node.properties].map((k) => properties.get(k)).sort((a, b) => a.label.localeCompare(b.label));
+    detail.innerHTML = `<h3>${esc(node.name)}</h3><span class="prop-internal">${esc(source?.label || node.type)}</span>` +
+      `<h4>Depends on ${props.length} propert${props.length === 1 ? 'y' : 'ies'} of this object</h4><ul>${props.map((p) =>
+        `<li onclick="selectGraphKey('property', ${esc(JSON.stringify(p.key))})" title="${esc(p.name)}">${esc(p.label)}</li>`).join('')}</ul>`;
+  }
+}
+
+function closeGraphModal(e) {
+  if (e && e.target !== document.getElementById('graphModal')) return;
+  document.getElementById('graphModal').style.display = 'none';
+}
+
+/* ── Bulk edit ─────────────────────────────────────────────────────── */
+async function openBulkEdit() {
+  bulkEditNames = [...document.querySelectorAll('.prop-cb:checked')].map((cb) => cb.dataset.name);
+  if (!bulkEditNames.length) return;
+  document.getElementById('bulkEditTitle').textContent = `Edit ${bulkEditNames.length} propert${bulkEditNames.length === 1 ? 'y' : 'ies'}`;
+  document.getElementById('bulkEditStatus').textContent = '';
+  document.getElementById('bulkEditModal').style.display = 'flex';
+  renderBulkEditInputs();
+
+  // Existing groups only feed the suggestions; any new name is created on apply
+  try {
+    const res  = await fetch(`/api/list-property-groups?objectType=${encodeURIComponent(getObjectType())}`);
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (data.success) {
+      document.getElementById('bulkEditGroupList').innerHTML = data.groups
+        .map((g) => `<option value="${esc(g.name)}">${esc(g.label)}</option>`).join('');
+    }
+  } catch { /* suggestions are optional */ }
+}
+
+function renderBulkEditInputs() {
+  const action = document.getElementById('bulkEditAction').value;
+  const inputs = {
+    'group': `<input id="bulkEditValue" list="bulkEditGroupList" placeholder="Group internal name" oninput="renderBulkEditPreview()"/>
+      <input id="bulkEditGroupLabel" placeholder="Label, if it is a new group"/>`,
+    'description-set':    '<textarea id="bulkEditValue" placeholder="New description" oninput="renderBulkEditPreview()"></textarea>',
+    'description-append': '<textarea id="bulkEditValue" placeholder="Text to append" oninput="renderBulkEditPreview()"></textarea>',
+    'form-show': '',
+    'form-hide': '',
+    'label-replace': `<input id="bulkEditFind" placeholder="Find" oninput="renderBulkEditPreview()"/>
+      <input id="bulkEditValue" placeholder="Replace with" oninput="renderBulkEditPreview()"/>`,
+  };
+  const groupList = document.getElementById('bulkEditGroupList')?.innerHTML || '';
+  document.getElementById('bulkEditInputs').innerHTML = inputs[action] + `<datalist id="bulkEditGroupList">${groupList}</datalist>`;
+  renderBulkEditPreview();
+}
+
+/**
+ * The field the current action changes on `prop`, with its value before and
+ * after. `after` equals `before` when the action leaves the property alone.
+ */
+function bulkEditChange(prop) {
+  const action = document.getElementById('bulkEditAction').value;
+  const value  = document.getElementById('bulkEditValue')?.value ?? '';
+  switch (action) {
+    case 'group':
+      return { field: 'groupName', before: prop.groupName, after: value.trim() || prop.groupName };
+    case 'description-set':
+      return { field: 'description', before: prop.description || '', after: value };
+    case 'description-append': {
+      const before = prop.description || '';
+      return { field: 'description', before, after: value ? (before ? `${before} ${value}` : value) : before };
+    }
+    case 'form-show':
+    case 'form-hide':
+      return { field: 'formField', before: !!prop.formField, after: action === 'form-show' };
+    case 'label-replace': {
+      const find = document.getElementById('bulkEditFind')?.value || '';
+      const before = prop.label || '';
+      return { field: 'label', before, after: find ? before.split(find).join(value) : before };
+    }
+  }
+  return null;
+}
+
+function bulkEditValueText(field, value) {
+  if (field === 'formField') return value ? 'Shown in forms' : 'Hidden from forms';
+  return value === '' ? '(empty)' : String(value);
+}
+
+function renderBulkEditPreview() {
+  bulkEditPlan = bulkEditNames
+    .map((name) => allProperties.find((p) => p.name === name))
+    .filter(Boolean)
+    .map((prop) => ({ prop, ...bulkEditChange(prop) }));
+
+  document.getElementById('bulkEditPreview').innerHTML = bulkEditPlan.map(({ prop, field, before, after }) => {
+    const changed = before !== after;
+    return `<tr class="${changed ? '' : 'unchanged'}" id="bulk-edit-${esc(prop.name)}">
+      <td><span class="prop-label">${esc(prop.label || prop.name)}</span><span class="prop-internal">${esc(prop.name)}</span></td>
+      <td>${esc(bulkEditValueText(field, before))}</td>
+      <td class="${changed ? 'bulk-edit-after' : ''}">${esc(bulkEditValueText(field, after))}</td>
+      <td class="bulk-edit-result">${changed ? '' : 'No change'}</td>
+    </tr>`;
+  }).join('');
+  document.getElementById('bulkEditApplyBtn').disabled = !bulkEditPlan.some((c) => c.before !== c.after);
+}
+
+/**
+ * PATCHes the properties the preview shows as changed and fills in the
+ * result of each.
+ */
+async function applyBulkEdit() {
+  const changes = bulkEditPlan.filter((c) => c.before !== c.after);
+  const applyBtn = document.getElementById('bulkEditApplyBtn');
+  const statusEl = document.getElementById('bulkEditStatus');
+  applyBtn.disabled = true;
+  statusEl.textContent = `Updating ${changes.length} propert${changes.length === 1 ? 'y' : 'ies'}…`;
+
+  // The label only applies to the group typed in, should it be a new one
+  const groupName  = document.getElementById('bulkEditAction').value === 'group' ? document.getElementById('bulkEditValue').value.trim() : '';
+  const groupLabel = document.getElementById('bulkEditGroupLabel')?.value.trim();
+  let data;
+  try {
+    const res = await fetch('/api/bulk-update-properties', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        objectType:  getObjectType(),
+        updates:     changes.map(({ prop, field, after }) => ({ name: prop.name, changes: { [field]: after } })),
+        groupLabels: groupName && groupLabel ? { [groupName]: groupLabel } : {},
+      }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    data = await res.json();
+    if (!data.success) throw new Error(data.error);
+  } catch (err) {
+    statusEl.textContent = `Bulk edit failed: ${err.message}`;
+    applyBtn.disabled = false;
+    return;
+  }
+
+  for (const result of data.results) {
+    const cell = document.querySelector(`#bulk-edit-${CSS.escape(result.name)} .bulk-edit-result`);
+    if (cell) cell.innerHTML = result.success ? '<span class="usage-check">✓</span>' : `<span class="usage-error">${esc(result.error)}</span>`;
+    const prop = allProperties.find((p) => p.name === result.name);
+    if (result.success && prop) Object.assign(prop, result.property);
+  }
+  const failed = data.results.filter((r) => !r.success).length;
+  statusEl.textContent = `Updated ${data.results.length - failed} propert${data.results.length - failed === 1 ? 'y' : 'ies'}` +
+    (data.createdGroups.length ? `, created group ${data.createdGroups.join(', ')}` : '') +
+    (failed ? `, ${failed} failed.` : '.');
+  filterProperties();
+}
+
+function closeBulkEditModal(e) {
+  if (e && e.target !== document.getElementById('bulkEditModal')) return;
+  document.getElementById('bulkEditModal').style.display = 'none';
+}
+
+/* ── Option usage ──────────────────────────────────────────────────── */
+async function showOptionUsage(propName) {
+  const prop = allProperties.find((p) => p.name === propName);
+  optionsProperty = prop;
+  document.getElementById('optionsTitle').textContent   = `"${prop?.label || propName}" — Options`;
+  document.getElementById('optionsSummary').textContent = 'Counting records per option…';
+  document.getElementById('optionsStatus').textContent  = '';
+  document.getElementById('optionsBody').innerHTML      = '';
+  document.getElementById('optionsModal').style.display = 'flex';
+  await renderOptionUsage();
+}
+
+async function renderOptionUsage() {
+  const prop      = optionsProperty;
+  const summaryEl = document.getElementById('optionsSummary');
+  try {
+    const res = await fetch('/api/option-usage', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ objectType: getObjectType(), propertyName: prop.name }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+
+    const unused = data.options.filter((o) => o.count === 0).length;
+    summaryEl.textContent = `${data.total.toLocaleString()} records have a value` +
+      (unused ? `; ${unused} option${unused === 1 ? ' is' : 's are'} not used by any record.` : '.') +
+      (data.property.multiSelect ? ' A record can hold several options, so counts can add up to more than the total.' : '');
+    if (data.mergeBlocked) document.getElementById('optionsStatus').textContent = data.mergeBlocked;
+    // Merging rewrites record values and edits the definition, so only custom enumerations qualify
+    const canMerge = !prop.hubspotDefined && data.property.type === 'enumeration' && !data.mergeBlocked;
+    document.getElementById('optionsBody').innerHTML = data.options.map((option, i) => `
+      <tr class="${option.count === 0 ? 'unchanged' : ''}">
+        <td><span class="prop-label">${esc(option.label)}</span><span class="prop-internal">${esc(option.value)}</span></td>
+        <td><span class="usage-count ${option.count > 0 ? 'has-values' : 'no-values'}">${option.count.toLocaleString()}</span></td>
+        <td>${canMerge ? `<div class="option-merge">
+          <select id="merge-target-${i}">${data.options.filter((o) => o.value !== option.value)
+            .map((o) => `<option value="${esc(o.value)}">${esc(o.label)}</option>`).join('')}</select>
+          <button class="btn btn-outline btn-sm" onclick="mergeOption(${esc(JSON.stringify(option.value))}, document.getElementById('merge-target-${i}').value)">Merge</button>
+        </div>` : '—'}</td>
+      </tr>`).join('');
+  } catch (err) {
+    summaryEl.textContent = `Could not count options: ${err.message}`;
+  }
+}
+
+/**
+ * Moves every record from option `from` to `to`, then drops `from`.
+ */
+async function mergeOption(from, to) {
+  const prop     = optionsProperty;
+  const labelOf  = (value) => prop.options.find((o) => o.value === value)?.label || value;
+  if (!confirm(`Rewrite every record with "${labelOf(from)}" to "${labelOf(to)}" and remove "${labelOf(from)}"?`)) return;
+
+  const statusEl = document.getElementById('optionsStatus');
+  statusEl.textContent = `Merging "${labelOf(from)}" into "${labelOf(to)}"…`;
+  document.querySelectorAll('#optionsBody button').forEach((btn) => { btn.disabled = true; });
+  try {
+    const res = await fetch('/api/merge-options', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ objectType: getObjectType(), propertyName: prop.name, from, to }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    statusEl.textContent = `Rewrote ${data.updatedRecords.toLocaleString()} records. ` + (data.optionRemoved
+      ? `Removed "${labelOf(from)}".`
+      : `${data.failedRecords.length} records could not be rewritten, so "${labelOf(from)}" was kept.`);
+    if (data.optionRemoved) prop.options = prop.options.filter((o) => o.value !== from);
+  } catch (err) {
+    statusEl.textContent = `Merge failed: ${err.message}`;
+  }
+  await renderOptionUsage();
+}
+
+function closeOptionsModal(e) {
+  if (e && e.target !== document.getElementById('optionsModal')) return;
+  document.getElementById('optionsModal').style.display = 'none';
+}
+
+/* ── Backups ───────────────────────────────────────────────────────── */
+/**
+ * Starts a backup of the properties and polls it until it finishes, passing
+ * each progress update to `onProgress`. Resolves to the backup, or null when
+ * the session expired; throws when the backup failed or was cancelled.
+ */
+async function takeBackup(objectType, propertyNames, onProgress) {
+  const res = await fetch('/api/backups', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ objectType, propertyNames }),
+  });
+  if (res.status === 401) { handleUnauth(); return null; }
+  let data = await res.json();
+  if (!data.success) throw new Error(data.error);
+
+  while (data.backup.status === 'running') {
+    onProgress(data.backup);
+    await sleep(1000);
+    const pollRes = await fetch(`/api/backups/${encodeURIComponent(data.backup.id)}`);
+    if (pollRes.status === 401) { handleUnauth(); return null; }
+    data = await pollRes.json();
+    if (!data.success) throw new Error(data.error);
+  }
+  if (data.unauthenticated) { handleUnauth(); return null; }
+  if (data.backup.status !== 'completed') throw new Error(data.backup.error || `Backup ${data.backup.status}.`);
+  return data.backup;
+}
+
+function backupProgressText(backup) {
+  const total = backup.propertyNames.length;
+  return `Backing up: ${backup.propertiesDone} of ${total} propert${total === 1 ? 'y' : 'ies'} done, ${backup.valueCount.toLocaleString()} values saved…`;
+}
+
+async function showBackups() {
+  document.getElementById('backupsStatus').textContent = '';
+  document.getElementById('backupsModal').style.display = 'flex';
+  await renderBackups();
+}
+
+async function renderBackups() {
+  const list = document.getElementById('backupsList');
+  list.innerHTML = '<li class="usage-detail-none">Loading…</li>';
+  try {
+    const res  = await fetch('/api/backups');
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    list.innerHTML = data.backups.length ? data.backups.map((b) => `
+      <li class="backup-item">
+        <div>
+          <strong>${esc(b.propertyNames.slice(0, 3).join(', '))}${b.propertyNames.length > 3 ? ` +${b.propertyNames.length - 3} more` : ''}</strong>
+          <div class="backup-meta">${esc(b.objectType)} · ${esc(new Date(b.createdAt).toLocaleString())} · ${b.valueCount.toLocaleString()} values${b.restoredAt ? ` · restored ${esc(new Date(b.restoredAt).toLocaleString())}` : ''}</div>
+          ${b.status === 'running' ? `<div class="backup-meta">In progress: ${b.propertiesDone} of ${b.propertyNames.length} properties</div>` : ''}
+          ${b.status === 'failed' || b.status === 'cancelled' ? `<div class="usage-error">${esc(b.status === 'cancelled' ? 'Cancelled' : `Failed: ${b.error || 'unknown error'}`)}</div>` : ''}
+        </div>
+        <div class="backup-actions">
+          ${b.status === 'completed' ? `
+          <a class="btn btn-outline btn-sm" href="/api/backups/${encodeURIComponent(b.id)}/download">Download</a>
+          <button class="btn btn-primary btn-sm" onclick="restoreBackup('${esc(b.id)}')">Restore</button>` : ''}
+          ${b.status === 'running' ? `<button class="btn btn-outline btn-sm" onclick="cancelBackup('${esc(b.id)}')">Cancel</button>` : ''}
+        </div>
+      </li>`).join('') : '<li class="usage-detail-none">No backups yet</li>';
+  } catch (err) {
+    list.innerHTML = `<li class="usage-detail-none">Could not load backups: ${esc(err.message)}</li>`;
+  }
+}
+
+/**
+ * Re-creates the backup's properties and writes their values back.
+ */
+async function restoreBackup(id) {
+  const statusEl = document.getElementById('backupsStatus');
+  statusEl.textContent = 'Restoring properties and values…';
+  document.querySelectorAll('#backupsList button').forEach((btn) => { btn.disabled = true; });
+  try {
+    const res = await fetch(`/api/backups/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    const created = data.properties.filter((p) => p.status === 'created').length;
+    const failed  = data.properties.filter((p) => p.status === 'failed');
+    const warned  = data.properties.filter((p) => p.warning);
+    statusEl.textContent = `Re-created ${created} propert${created === 1 ? 'y' : 'ies'}, wrote ${data.updatedValues.toLocaleString()} values` +
+      (failed.length ? `. Failed: ${failed.map((p) => `${p.name} (${p.error})`).join('; ')}` : '') +
+      (warned.length ? `. ${warned.map((p) => `${p.name}: ${p.warning}`).join('; ')}` : '') +
+      (data.failedValues.length ? `. ${data.failedValues.length.toLocaleString()} values could not be written.` : '.');
+    archivedProperties = null;
+  } catch (err) {
+    statusEl.textContent = `Restore failed: ${err.message}`;
+  }
+  await renderBackups();
+}
+
+/**
+ * Stops a running backup; a delete waiting on it then doesn't go ahead.
+ */
+async function cancelBackup(id) {
+  const res  = await fetch(`/api/backups/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+  const data = await res.json();
+  document.getElementById('backupsStatus').textContent = data.success ? 'Cancelling the backup…' : `Cancel failed: ${data.error}`;
+  await renderBackups();
+}
+
+function closeBackupsModal(e) {
+  if (e && e.target !== document.getElementById('backupsModal')) return;
+  document.getElementById('backupsModal').style.display = 'none';
+}
+
+/* ── Change timeline ───────────────────────────────────────────────── */
+async function showTimeline() {
+  document.getElementById('timelineTitle').textContent = `Change Timeline — ${getObjectType()}`;
+  document.getElementById('timelineStatus').textContent = '';
+  document.getElementById('timelineModal').style.display = 'flex';
+  await renderTimeline();
+}
+
+async function renderTimeline() {
+  const list = document.getElementById('timelineList');
+  list.innerHTML = '<li class="usage-detail-none">Loading…</li>';
+  try {
+    const res  = await fetch(`/api/snapshots/timeline?objectType=${encodeURIComponent(getObjectType())}`);
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    list.innerHTML = data.timeline.length ? data.timeline.map((entry) => `
+      <li class="timeline-entry">
+        <div class="backup-meta">${esc(new Date(entry.takenAt).toLocaleString())} · ${entry.trigger === 'manual' ? 'snapshot' : 'loaded'} · ${entry.propertyCount} properties</div>
+        ${entry.baseline
+          ? '<div class="usage-detail-none">First snapshot — later changes are compared with this one</div>'
+          : `<ul class="timeline-changes">${entry.changes.map((c) => `<li>${timelineChangeHtml(c, data.users)}</li>`).join('')}</ul>`}
+      </li>`).join('') : '<li class="usage-detail-none">No snapshots yet</li>';
+  } catch (err) {
+    list.innerHTML = `<li class="usage-detail-none">Could not load the timeline: ${esc(err.message)}</li>`;
+  }
+}
+
+function timelineChangeHtml(change, users) {
+  const name = `<strong>${esc(change.label || change.name)}</strong> <span class="prop-internal">${esc(change.name)}</span>`;
+  const text = {
+    'added':           () => `${name} added`,
+    'removed':         () => `${name} removed`,
+    'relabeled':       () => `${name} relabeled from "${esc(change.from)}"`,
+    'moved':           () => `${name} moved from group ${esc(change.from)} to ${esc(change.to)}`,
+    'retyped':         () => `${name} changed type from ${esc(change.from)} to ${esc(change.to)}`,
+    'options-added':   () => `${name} options added: ${esc(change.options.join(', '))}`,
+    'options-removed': () => `${name} options removed: ${esc(change.options.join(', '))}`,
+  }[change.kind]();
+  const who  = change.userId ? users[change.userId] || `user ${change.userId}` : null;
+  const when = change.at ? formatDate(change.at) : null;
+  const meta = [who && `by ${esc(who)}`, when && esc(when)].filter(Boolean).join(', ');
+  return `<span class="timeline-${change.kind}">${text}</span>${meta ? ` <span class="backup-meta">(${meta})</span>` : ''}`;
+}
+
+async function takeSnapshot() {
+  const statusEl = document.getElementById('timelineStatus');
+  const btn = document.getElementById('snapshotBtn');
+  btn.disabled = true;
+  statusEl.textContent = 'Taking snapshot…';
+  try {
+    const res = await fetch('/api/snapshots', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ objectType: getObjectType() }),
+    });
+    if (res.status === 401) { handleUnauth(); return; }
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error);
+    statusEl.textContent = data.changed ? 'Snapshot saved.' : 'Nothing changed since the last snapshot.';
+    await renderTimeline();
+  } catch (err) {
+    statusEl.textContent = `Snapshot failed: ${err.message}`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function closeTimelineModal(e) {
+  if (e && e.target !== document.getElementById('timelineModal')) return;
+  document.getElementById('timelineModal').style.display = 'none';
+}
+
+/* ── Portal migration ──────────────────────────────────────────────── */
+function renderTargetPortal(target) {
+  targetPortal = target || null;
+  document.getElementById('targetConnect').style.display   = targetPortal ? 'none' : '';
+  document.getElementById('targetConnected').style.display = targetPortal ? '' : 'none';
+  document.getElementById('targetPortalId').textContent  = targetPortal?.portalId  || '—';
+  document.getElementById('targetHubDomain').textContent = targetPortal?.hubDomain || '—';
+  clearMigrationPlan();
+}
+
+async function disconnectTargetPortal() {
+  await fetch('/oauth/disconnect-target', { method: 'POST' });
+  renderTargetPortal(null);
+}
+
+function showMigrateError(message) {
+  const box = document.getElementById('migrateError');
+  box.textContent   = message || '';
+  box.style.display = message ? '' : 'none';
+}
+
+// The object list mirrors the main picker, which loadObjectTypes keeps up to date
+function openMigrateTab() {
+  const select  = document.getElementById('migrateObjectType');
+  const current = select.value || getObjectType();
+  select.innerHTML = document.getElementById('objectType').innerHTML;
+  if ([...select.options].some((o) => o.value === current)) select.value = current;
+  if (migrationSource?.objectType !== select.value) loadMigrationSource();
+}
+
+function migrationObjectLabel(objectType) {
+  return [...document.getElementById('migrateObjectType').options].find((o) => o.value === objectType)?.text || objectType;
+}
+
+async function loadMigrationSource() {
+  const objectType = document.getElementById('migrateObjectType').value;
+  const tree = document.getElementById('migrateTree');
+  migrationSource = null;
+  tree.innerHTML = '<p class="hint">Loading…</p>';
+  try {
+    const [propsRes, groupsRes] = await Promise.all([
+      fetch(`/api/list-properties?objectType=${encodeURIComponent(objectType)}`),
+      fetch(`/api/list-property-groups?objectType=${encodeURIComponent(objectType)}`),
+    ]);
+    if (propsRes.status === 401 || groupsRes.status === 401) { handleUnauth(); return; }
+    const [propsData, groupsData] = [await propsRes.json(), await groupsRes.json()];
+    if (!propsData.success) throw new Error(propsData.error);
+    if (!groupsData.success) throw new Error(groupsData.error);
+    migrationSource = { objectType, properties: propsData.properties, groups: groupsData.groups };
+    renderMigrationTree();
+  } catch (err) {
+    tree.innerHTML = `<p class="hint">Could not load properties: ${esc(err.message)}</p>`;
+  }
+}
+
+function migrationSelection(objectType) {
+  if (!migrationSelections[objectType]) {
+    migrationSelections[objectType] = { all: false, groups: new Set(), properties: new Set() };
+  }
+  return migrationSelections[objectType];
+}
+
+/**
+ * Lists the source groups that hold custom properties (or are custom
+ * themselves), each with its custom properties as checkboxes. A checked
+ * group takes all of its properties along.
+ */
+function renderMigrationTree() {
+  const { objectType, groups, properties } = migrationSource;
+  const sel    = migrationSelection(objectType);
+  const custom = properties.filter((p) => !p.hubspotDefined);
+  // Groups have no hubspotDefined flag; HubSpot's own ones hold its properties
+  const systemGroups = new Set(properties.filter((p) => p.hubspotDefined).map((p) => p.groupName));
+  const shown  = groups.filter((g) => !systemGroups.has(g.name) || custom.some((p) => p.groupName === g.name));
+
+  const groupHtml = shown.map((g) => {
+    const groupChecked = sel.all || sel.groups.has(g.name);
+    const props = custom.filter((p) => p.groupName === g.name).map((p) => `
+      <label class="check-label">
+        <input type="checkbox" data-name="${esc(p.name)}" onchange="toggleMigrationItem('properties', this.dataset.name, this.checked)"
+          ${groupChecked || sel.properties.has(p.name) ? 'checked' : ''} ${groupChecked ? 'disabled' : ''} />
+        ${esc(p.label || p.name)} <span class="prop-internal">${esc(p.name)}</span>
+      </label>`).join('');
+    return `
+      <div class="migrate-group">
+        <label class="check-label">
+          <input type="checkbox" data-name="${esc(g.name)}" onchange="toggleMigrationItem('groups', this.dataset.name, this.checked)"
+            ${groupChecked ? 'checked' : ''} ${sel.all ? 'disabled' : ''} />
+          <strong>${esc(g.label || g.name)}</strong> <span class="prop-internal">${esc(g.name)}</span>
+        </label>
+        <div class="migrate-props">${props}</div>
+      </div>`;
+  }).join('');
+
+  document.getElementById('migrateTree').innerHTML = `
+    <label class="check-label migrate-all">
+      <input type="checkbox" onchange="toggleMigrationAll(this.checked)" ${sel.all ? 'checked' : ''} />
+      All custom groups and properties of ${esc(migrationObjectLabel(objectType))} (${custom.length})
+    </label>
+    ${groupHtml || '<p class="hint">This object has no custom properties.</p>'}`;
+  renderMigrationSummary();
+}
+
+function toggleMigrationAll(checked) {
+  migrationSelection(migrationSource.objectType).all = checked;
+  clearMigrationPlan();
+  renderMigrationTree();
+}
+
+function toggleMigrationItem(kind, name, checked) {
+  const set = migrationSelection(migrationSource.objectType)[kind];
+  if (checked) set.add(name); else set.delete(name);
+  clearMigrationPlan();
+  renderMigrationTree();
+}
+
+// Selections in the shape the migration API takes; an entry without groups
+// or properties means the whole object
+function migrationSelectionList() {
+  return Object.entries(migrationSelections)
+    .filter(([, sel]) => sel.all || sel.groups.size || sel.properties.size)
+    .map(([objectType, sel]) => sel.all ? { objectType }
+      : { objectType, groups: [...sel.groups], properties: [...sel.properties] });
+}
+
+function renderMigrationSummary() {
+  const parts = migrationSelectionList().map((s) => {
+    const label = migrationObjectLabel(s.objectType);
+    if (!s.groups) return `${label}: everything custom`;
+    const counts = [
+      s.groups.length ? `${s.groups.length} group${s.groups.length === 1 ? '' : 's'}` : '',
+      s.properties.length ? `${s.properties.length} propert${s.properties.length === 1 ? 'y' : 'ies'}` : '',
+    ].filter(Boolean).join(', ');
+    return `${label}: ${counts}`;
+  });
+  document.getElementById('migrateSelectionSummary').textContent = parts.length ? parts.join(' · ') : 'Nothing selected yet';
+  updateMigrateButtons();
+}
+
+function updateMigrateButtons() {
+  const pending = migrationPlan ? migrationPlan.counts.missing + migrationPlan.counts.different : 0;
+  document.getElementById('migratePreviewBtn').disabled = !targetPortal || !migrationSelectionList().length;
+  document.getElementById('migrateApplyBtn').disabled   = !targetPortal || !pending;
+}
+
+function clearMigrationPlan() {
+  migrationPlan = null;
+  document.getElementById('migratePlan').style.display = 'none';
+  document.getElementById('migrateStatus').textContent = '';
+  updateMigrateButtons();
+}
+
+async function postMigration(action) {
+  const res = await fetch(`/api/migration/${action}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify({
+      selections: migrationSelectionList(),
+      allowOptionRemovals: document.getElementById('migrateAllowOptionRemovals').checked,
+      // Apply only goes ahead while both portals still match the reviewed preview
+      ...(action === 'apply' ? { planHash: migrationPlan.planHash } : {}),
+    }),
+  });
+  const data = await res.json();
+  if (data.unauthenticated) { handleUnauth(); return null; }
+  if (data.targetUnauthenticated) {
+    // Only the target connection expired; the source stays signed in
+    await disconnectTargetPortal();
+    showMigrateError('The target portal connection expired. Connect it again to continue.');
+    return null;
+  }
+  if (!data.success) throw new Error(data.error);
+  return data;
+}
+
+async function previewMigration() {
+  const statusEl = document.getElementById('migrateStatus');
+  showMigrateError(null);
+  statusEl.textContent = 'Comparing with the target portal…';
+  document.getElementById('migratePreviewBtn').disabled = true;
+  try {
+    const data = await postMigration('preview');
+    if (!data) return;
+    migrationPlan = data;
+    renderMigrationPlan(data.objects);
+    const { missing, identical, different, notApplied } = data.counts;
+    statusEl.textContent = `${missing} missing, ${different} different, ${identical} identical in portal ${targetPortal.portalId}` +
+      (notApplied ? `; ${notApplied} more differ but won't be changed` : '');
+  } catch (err) {
+    statusEl.textContent = '';
+    showMigrateError(`Preview failed: ${err.message}`);
+  } finally {
+    updateMigrateButtons();
+  }
+}
+
+function migrationRowId(objectType, kind, name) {
+  return `migrate-result-${[objectType, kind, name].map(encodeURIComponent).join('-')}`;
+}
+
+function renderMigrationPlan(objects) {
+  const badges = {
+    missing:   ['badge-success',  'Missing'],
+    identical: ['badge-pending',  'Identical'],
+    different: ['badge-progress', 'Different'],
+  };
+  const rows = objects.map((obj) => {
+    const head = `<tr class="object-row"><td colspan="5"><strong>${esc(obj.label)}</strong>` +
+      (obj.error ? ` — <span class="error-detail">${esc(obj.error)}</span>` : '') + '</td></tr>';
+    const items = [...obj.groups.map((g) => ['group', g]), ...obj.properties.map((p) => ['property', p])];
+    return head + items.map(([kind, item]) => {
+      const [cls, label] = badges[item.status];
+      const details = [
+        ...item.changes.map(esc),
+        ...(item.notApplied ? [`<span class="muted">${esc(item.notApplied)}</span>`] : []),
+        ...(item.error ? [`<span class="error-detail">${esc(item.error)}</span>`] : []),
+      ];
+      return `<tr id="${migrationRowId(obj.objectType, kind, item.name)}">
+        <td class="muted">${kind === 'group' ? 'Group' : 'Property'}</td>
+        <td><strong>${esc(item.label || item.name)}</strong> <span class="prop-internal">${esc(item.name)}</span></td>
+        <td><span class="badge ${cls}">${label}</span></td>
+        <td class="migrate-changes">${details.join('<br>')}</td>
+        <td class="migrate-result"></td>
+      </tr>`;
+    }).join('');
+  });
+  document.getElementById('migratePlanBody').innerHTML = rows.join('');
+  document.getElementById('migratePlan').style.display = 'block';
+}
+
+async function applyMigration() {
+  if (!migrationPlan) return;
+  const { missing, different } = migrationPlan.counts;
+  if (!confirm(`Create ${missing} and update ${different} groups and properties in portal ${targetPortal.portalId}?`)) return;
+
+  const statusEl = document.getElementById('migrateStatus');
+  statusEl.textContent = 'Applying to the target portal…';
+  document.getElementById('migrateApplyBtn').disabled   = true;
+  document.getElementById('migratePreviewBtn').disabled = true;
+  try {
+    const data = await postMigration('apply');
+    if (!data) return;
+    for (const r of data.results) {
+      const cell = document.querySelector(`#${CSS.escape(migrationRowId(r.objectType, r.kind, r.name))} .migrate-result`);
+      if (!cell) continue;
+      cell.innerHTML = r.success
+        ? `<span class="badge badge-success">✓ ${r.action === 'create' ? 'Created' : 'Updated'}</span>` +
+          (r.warning ? ` <span class="warn-detail" title="${esc(r.warning)}">${esc(r.warning)}</span>` : '')
+        : `<span class="badge badge-error">✗ Failed</span> <span class="error-detail" title="${esc(r.error)}">${esc(r.error)}</span>`;
+    }
+    const done   = data.results.filter((r) => r.success);
+    const failed = data.results.filter((r) => !r.success);
+    statusEl.textContent = `Created ${done.filter((r) => r.action === 'create').length}, updated ${done.filter((r) => r.action === 'update').length}` +
+      `${failed.length ? `, ${failed.length} failed` : ''}, ${data.unchanged} already identical` +
+      `${data.notApplied ? `, ${data.notApplied} left as they are` : ''}. Preview again to check the result.`;
+    // The plan is stale now; applying again needs a fresh preview
+    migrationPlan = null;
+  } catch (err) {
+    statusEl.textContent = '';
+    showMigrateError(`Migration failed: ${err.message}`);
+  } finally {
+    updateMigrateButtons();
+  }
+}
+
+/* ── Schema as code ────────────────────────────────────────────────── */
+function openSchemaTab() {
+  const box = document.getElementById('schemaObjectTypes');
+  const checked = new Set([...box.querySelectorAll('input:checked')].map((cb) => cb.value));
+  if (!checked.size) checked.add(getObjectType());
+  box.innerHTML = [...document.getElementById('objectType').options].map((o) => `
+    <label class="check-label">
+      <input type="checkbox" value="${esc(o.value)}" ${checked.has(o.value) ? 'checked' : ''} />
+      ${esc(o.text)}
+    </label>`).join('');
+}
+
+async function exportSchemaFile() {
+  const objectTypes = [...document.querySelectorAll('#schemaObjectTypes input:checked')].map((cb) => cb.value);
+  const format   = document.getElementById('schemaFormat').value;
+  const statusEl = document.getElementById('schemaExportStatus');
+  if (!objectTypes.length) { statusEl.textContent = 'Pick at least one object.'; return; }
+
+  const btn = document.getElementById('schemaExportBtn');
+  btn.disabled = true;
+  statusEl.textContent = 'Exporting…';
+  try {
+    const res = await fetch(`/api/schema-file?objectTypes=${encodeURIComponent(objectTypes.join(','))}&format=${format}`);
+    if (res.status === 401) { handleUnauth(); return; }
+    if (!res.ok) throw new Error((await res.json()).error);
+    downloadBlob(await res.text(), `hubspot-schema.${format}`, format === 'json' ? 'application/json' : 'text/yaml');
+    statusEl.textContent = `Exported ${objectTypes.length} object${objectTypes.length === 1 ? '' : 's'}.`;
+  } catch (err) {
+    statusEl.textContent = `Export failed: ${err.message}`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function selectSchemaFile(e) {
+  schemaFile = e.target.files[0] || null;
+  e.target.value = '';
+  document.getElementById('schemaFileName').textContent = schemaFile ? schemaFile.name : 'Upload a schema file to compare it with the portal';
+  clearSchemaPlan();
+}
+
+function clearSchemaPlan() {
+  schemaPlan = null;
+  showSchemaErrors(null);
+  document.getElementById('schemaPlanOutput').style.display = 'none';
+  document.getElementById('schemaPlanBtn').disabled  = !schemaFile;
+  document.getElementById('schemaApplyBtn').disabled = true;
+}
+
+function showSchemaErrors(errors) {
+  const box = document.getElementById('schemaErrors');
+  if (!errors || errors.length === 0) { box.style.display = 'none'; box.innerHTML = ''; return; }
+  box.style.display = 'block';
+  box.innerHTML = errors.length === 1
+    ? esc(errors[0])
+    : `<strong>${errors.length} errors found:</strong><ul>${errors.map((e) => `<li>${esc(e)}</li>`).join('')}</ul>`;
+}
+
+async function postSchemaFile(action) {
+  const form = new FormData();
+  form.append('file', schemaFile);
+  form.append('allowDeletes', String(document.getElementById('schemaAllowDeletes').checked));
+  // Apply only goes ahead while the portal still matches the reviewed plan
+  if (action === 'apply') form.append('planHash', schemaPlan.planHash);
+  const res  = await fetch(`/api/schema-file/${action}`, { method: 'POST', body: form });
+  if (res.status === 401) { handleUnauth(); return null; }
+  const data = await res.json();
+  if (!data.success) {
+    const err = new Error(data.error);
+    err.errors = data.errors;
+    throw err;
+  }
+  return data;
+}
+
+async function planSchemaFile() {
+  if (!schemaFile) return;
+  clearSchemaPlan();
+  const out = document.getElementById('schemaPlanOutput');
+  out.style.display = 'block';
+  out.textContent = 'Refreshing state from HubSpot…';
+  document.getElementById('schemaPlanBtn').disabled = true;
+  try {
+    const data = await postSchemaFile('plan');
+    if (!data) return;
+    schemaPlan = data;
+    out.innerHTML = renderSchemaPlan(data.objects, data.counts);
+    document.getElementById('schemaApplyBtn').disabled = !(data.counts.create + data.counts.update + data.counts.delete);
+  } catch (err) {
+    out.style.display = 'none';
+    showSchemaErrors(err.errors || [`Plan failed: ${err.message}`]);
+  } finally {
+    document.getElementById('schemaPlanBtn').disabled = !schemaFile;
+  }
+}
+
+/**
+ * Plan output in the style of `terraform plan`: + create, ~ update,
+ * - delete, and items the file doesn't list but that are kept.
+ */
+function renderSchemaPlan(objects, counts) {
+  const lines = [];
+  const line = (cls, text) => lines.push(`<span class="${cls}">${esc(text)}</span>`);
+  for (const obj of objects) {
+    lines.push(`<strong>${esc(obj.objectType)}</strong>`);
+    if (obj.error) { line('plan-error', `  ! ${obj.error}`); continue; }
+    const items = [...obj.groups.map((g) => ['group', g]), ...obj.properties.map((p) => ['property', p])];
+    const changed = items.filter(([, item]) => item.status !== 'identical');
+    if (!changed.length) line('plan-none', '    no changes');
+    for (const [kind, item] of changed) {
+      if (item.status === 'missing')        line('plan-add', `  + ${kind} ${item.name}`);
+      else if (item.notApplied)             line('plan-none', `    ${kind} ${item.name} differs — not applied`);
+      else if (item.status === 'different') line('plan-change', `  ~ ${kind} ${item.name}`);
+      else if (item.remove)                 line('plan-destroy', `  - ${kind} ${item.name}`);
+      else                                  line('plan-none', `    ${kind} ${item.name} is not in the file — kept`);
+      item.changes.forEach((c) => line('plan-detail', `      ${c}`));
+      if (item.notApplied) line('plan-detail', `      ${item.notApplied}`);
+      if (item.error) line('plan-error', `      ! ${item.error}`);
+    }
+  }
+  lines.push('');
+  lines.push(`<strong>Plan: ${counts.create} to add, ${counts.update} to change, ${counts.delete} to destroy.</strong>`);
+  if (counts.kept) line('plan-none', `${counts.kept} item${counts.kept === 1 ? '' : 's'} not in the file will be kept; allow deletes to remove them.`);
+  return lines.join('\n');
+}
+
+/**
+ * Applies the uploaded file. Properties about to be deleted are backed up
+ * first, the same as deletes from the Manage tab; a failed backup stops
+ * the apply.
+ */
+async function applySchemaFile() {
+  if (!schemaPlan) return;
+  const { create, update, delete: destroy } = schemaPlan.counts;
+  if (!confirm(`Apply ${create} to add, ${update} to change, ${destroy} to destroy?`)) return;
+
+  const out = document.getElementById('schemaPlanOutput');
+  document.getElementById('schemaApplyBtn').disabled = true;
+  document.getElementById('schemaPlanBtn').disabled  = true;
+  try {
+    for (const obj of schemaPlan.objects) {
+      const names = obj.properties.filter((p) => p.remove).map((p) => p.name);
+      if (!names.length) continue;
+      out.textContent = `Backing up ${names.length} ${obj.objectType} propert${names.length === 1 ? 'y' : 'ies'} before deleting…`;
+      let backup;
+      try {
+        backup = await takeBackup(obj.objectTypeId, names, (b) => { out.textContent = `${obj.objectType}: ${backupProgressText(b)}`; });
+      } catch (err) {
+        throw new Error(`Backup failed, nothing was changed: ${err.message}`);
+      }
+      if (!backup) return;
+    }
+
+    out.textContent = 'Applying…';
+    const data = await postSchemaFile('apply');
+    if (!data) return;
+    const verbs = { create: 'created', update: 'updated', delete: 'deleted' };
+    const lines = data.results.map((r) => r.success
+      ? `<span class="plan-add">✓ ${esc(r.objectType)} ${esc(r.kind)} ${esc(r.name)} ${verbs[r.action]}</span>` +
+        (r.warning ? ` <span class="plan-change">(${esc(r.warning)})</span>` : '')
+      : `<span class="plan-error">✗ ${esc(r.objectType)} ${esc(r.kind)} ${esc(r.name)}: ${esc(r.error)}</span>`);
+    const done = (action) => data.results.filter((r) => r.success && r.action === action).length;
+    const failed = data.results.filter((r) => !r.success).length;
+    lines.push('', `<strong>Apply complete! ${done('create')} added, ${done('update')} changed, ${done('delete')} destroyed${failed ? `, ${failed} failed` : ''}.</strong>`);
+    out.innerHTML = lines.join('\n');
+    schemaPlan = null;
+  } catch (err) {
+    out.style.display = 'none';
+    showSchemaErrors(err.errors || [err.message]);
+  } finally {
+    document.getElementById('schemaPlanBtn').disabled = !schemaFile;
+  }
+}
+
+/* ── Pipelines ─────────────────────────────────────────────────────── */
+function openPipelinesTab() {
+  const select  = document.getElementById('pipelineObjectType');
+  const current = select.value || getObjectType();
+  // Deals, tickets and custom objects (type IDs 2-…) are the objects with pipelines
+  const options = [...document.getElementById('objectType').options]
+    .filter((o) => ['deals', 'tickets'].includes(o.value) || /^2-\d+$/.test(o.value));
+  select.innerHTML = options.map((o) => `<option value="${esc(o.value)}">${esc(o.text)}</option>`).join('');
+  if (options.some((o) => o.value === current)) select.value = current;
+}
+
+function downloadPipelineTemplate() {
+  const objectType = document.getElementById('pipelineObjectType').value;
+  const columns = ['Pipeline', 'Stage', 'Display Order', 'Probability', 'Ticket State'];
+  const examples = objectType === 'tickets' ? [
+    { Pipeline: 'Support', Stage: 'New',                   'Display Order': '0', 'Ticket State': 'OPEN' },
+    { Pipeline: 'Support', Stage: 'Waiting on customer',   'Display Order': '1', 'Ticket State': 'OPEN' },
+    { Pipeline: 'Support', Stage: 'Closed',                'Display Order': '2', 'Ticket State': 'CLOSED' },
+  ] : objectType === 'deals' ? [
+    { Pipeline: 'New Business', Stage: 'Qualified',        'Display Order': '0', Probability: '20%' },
+    { Pipeline: 'New Business', Stage: 'Proposal Sent',    'Display Order': '1', Probability: '0.6' },
+    { Pipeline: 'New Business', Stage: 'Closed Won',       'Display Order': '2', Probability: '1' },
+    { Pipeline: 'New Business', Stage: 'Closed Lost',      'Display Order': '3', Probability: '0' },
+  ] : [
+    { Pipeline: 'Onboarding', Stage: 'Kickoff',            'Display Order': '0' },
+    { Pipeline: 'Onboarding', Stage: 'Live',               'Display Order': '1' },
+  ];
+  const rows = [columns, ...examples.map((ex) => columns.map((col) => ex[col] || ''))];
+  downloadBlob(rows.map((r) => r.map(escapeCSV).join(',')).join('\r\n'), 'hubspot-pipelines-template.csv', 'text/csv');
+}
+
+function selectPipelineFile(e) {
+  pipelineFile = e.target.files[0] || null;
+  e.target.value = '';
+  document.getElementById('pipelineFileName').textContent = pipelineFile ? pipelineFile.name : 'Upload a CSV with one row per stage';
+  clearPipelinePlan();
+}
+
+function clearPipelinePlan() {
+  pipelinePlan = null;
+  showPipelineErrors(null);
+  document.getElementById('pipelineStatus').textContent = '';
+  document.getElementById('pipelinePlan').style.display = 'none';
+  document.getElementById('pipelinePreviewBtn').disabled = !pipelineFile;
+  document.getElementById('pipelineApplyBtn').disabled   = true;
+}
+
+function showPipelineErrors(errors) {
+  const box = document.getElementById('pipelineErrors');
+  if (!errors || errors.length === 0) { box.style.display = 'none'; box.innerHTML = ''; return; }
+  box.style.display = 'block';
+  box.innerHTML = errors.length === 1
+    ? esc(errors[0])
+    : `<strong>${errors.length} errors found:</strong><ul>${errors.map((e) => `<li>${esc(e)}</li>`).join('')}</ul>`;
+}
+
+async function postPipelineFile(action) {
+  const form = new FormData();
+  form.append('file', pipelineFile);
+  form.append('objectType', document.getElementById('pipelineObjectType').value);
+  const res  = await fetch(`/api/pipelines/${action}`, { method: 'POST', body: form });
+  if (res.status === 401) { handleUnauth(); return null; }
+  const data = await res.json();
+  if (!data.success) {
+    const err = new Error(data.error);
+    err.errors = data.errors;
+    throw err;
+  }
+  return data;
+}
+
+async function previewPipelines() {
+  const statusEl = document.getElementById('pipelineStatus');
+  clearPipelinePlan();
+  statusEl.textContent = 'Comparing with the portal…';
+  document.getElementById('pipelinePreviewBtn').disabled = true;
+  try {
+    const data = await postPipelineFile('preview');
+    if (!data) return;
+    pipelinePlan = data;
+    renderPipelinePlan(data.rows);
+    const { pipelines, create, update, unchanged } = data.counts;
+    statusEl.textContent = `${pipelines} new pipeline${pipelines === 1 ? '' : 's'}, ${create} stages to create, ${update} to update, ${unchanged} unchanged`;
+    document.getElementById('pipelineApplyBtn').disabled = create + update === 0;
+  } catch (err) {
+    statusEl.textContent = '';
+    showPipelineErrors(err.errors || [`Preview failed: ${err.message}`]);
+  } finally {
+    document.getElementById('pipelinePreviewBtn').disabled = !pipelineFile;
+  }
+}
+
+function renderPipelinePlan(rows) {
+  const badges = {
+    'new-pipeline': ['badge-success',  'New pipeline'],
+    'create':       ['badge-success',  'New stage'],
+    'update':       ['badge-progress', 'Changed'],
+    'unchanged':    ['badge-pending',  'Unchanged'],
+  };
+  let pipeline = null;
+  document.getElementById('pipelinePlanBody').innerHTML = rows.map((row) => {
+    const head = row.pipeline.toLowerCase() === pipeline ? ''
+      : `<tr class="object-row"><td colspan="6"><strong>${esc(row.pipeline)}</strong></td></tr>`;
+    pipeline = row.pipeline.toLowerCase();
+    const [cls, label] = badges[row.status];
+    const details = [
+      row.probability !== null ? `${Math.round(row.probability * 100)}%` : null,
+      row.ticketState ? (row.ticketState === 'OPEN' ? 'Open' : 'Closed') : null,
+    ].filter(Boolean).join(' · ');
+    return `${head}<tr>
+      <td><strong>${esc(row.stage)}</strong></td>
+      <td class="muted">${row.displayOrder}</td>
+      <td class="muted">${esc(details || '—')}</td>
+      <td><span class="badge ${cls}">${label}</span></td>
+      <td class="migrate-changes">${row.changes.map(esc).join('<br>')}</td>
+      <td class="migrate-result" id="pipeline-result-${row.index}"></td>
+    </tr>`;
+  }).join('');
+  document.getElementById('pipelinePlan').style.display = 'block';
+}
+
+async function applyPipelines() {
+  if (!pipelinePlan) return;
+  const { pipelines, create, update } = pipelinePlan.counts;
+  if (!confirm(`Create ${pipelines} pipelines and ${create} stages, and update ${update} stages?`)) return;
+
+  const statusEl = document.getElementById('pipelineStatus');
+  statusEl.textContent = 'Applying…';
+  document.getElementById('pipelineApplyBtn').disabled   = true;
+  document.getElementById('pipelinePreviewBtn').disabled = true;
+  try {
+    const data = await postPipelineFile('apply');
+    if (!data) return;
+    const labels = { created: '✓ Created', updated: '✓ Updated', unchanged: 'Unchanged' };
+    for (const r of data.results) {
+      const cell = document.getElementById(`pipeline-result-${r.index}`);
+      if (!cell) continue;
+      cell.innerHTML = r.status === 'failed'
+        ? `<span class="badge badge-error">✗ Failed</span> <span class="error-detail" title="${esc(r.error)}">${esc(r.error)}</span>`
+        : `<span class="badge ${r.status === 'unchanged' ? 'badge-pending' : 'badge-success'}">${labels[r.status]}</span>`;
+    }
+    const count = (status) => data.results.filter((r) => r.status === status).length;
+    statusEl.textContent = `Created ${count('created')}, updated ${count('updated')}` +
+      `${count('failed') ? `, ${count('failed')} failed` : ''}, ${count('unchanged')} unchanged. Preview again to check the result.`;
+    // The plan is stale now; applying again needs a fresh preview
+    pipelinePlan = null;
+  } catch (err) {
+    statusEl.textContent = '';
+    showPipelineErrors(err.errors || [`Import failed: ${err.message}`]);
+  } finally {
+    document.getElementById('pipelinePreviewBtn').disabled = !pipelineFile;
+  }
+}
+
 /* ── Usage detail modal ────────────────────────────────────────────── */
 function showUsageDetails(propName, type) {
   const details  = usageContext?.usageDetails?.[propName]?.[type] || [];
   const prop     = allProperties.find((p) => p.name === propName);
   const label    = prop?.label || propName;
-  const typeLabels = { workflows: 'Workflows', forms: 'Forms', lists: 'Lists', pipelines: 'Pipelines', reports: 'Reports', emails: 'Marketing Emails' };
-  document.getElementById('usageDetailTitle').textContent = `"${label}" — Used in ${typeLabels[type] || type}`;
+  const source   = USAGE_SOURCES.find((s) => s.type === type);
+  document.getElementById('usageDetailTitle').textContent = `"${label}" — Used in ${source?.label || type}`;
   document.getElementById('usageDetailList').innerHTML = details.length
     ? details.map((name) => `<li>${esc(name)}</li>`).join('')
     : '<li class="usage-detail-none">No names available</li>';
@@ -726,14 +2581,16 @@ function formatDate(dateStr) {
 function exportCSV() {
   const vis        = visibleProperties();
   const objectType = getObjectType();
-  const headers    = ['Label','Internal Name','Type','Group','Source','Records','In Workflow','In Form','In List','In Pipeline','In Report','In Email','Last Modified'];
+  const headers    = ['Label','Internal Name','Type','Group','Source','Records','Fill Rate','Last Written', ...USAGE_SOURCES.map(({ kind }) => `In ${kind[0].toUpperCase()}${kind.slice(1)}`), 'Last Modified'];
   const boolCell   = (v) => v === true ? 'Yes' : v === false ? 'No' : '';
   const rows = vis.map((p) => [
     p.label || p.name, p.name, p.fieldType || '', p.groupName || '',
     p.hubspotDefined ? 'System' : 'Custom',
     (p._recordCount !== null && p._recordCount !== 'loading' && p._recordCount !== 'error') ? p._recordCount : '',
-    boolCell(p._inWorkflow), boolCell(p._inForm), boolCell(p._inList),
-    boolCell(p._inPipeline), boolCell(p._inReport), boolCell(p._inEmail),
+    fillRate(p) === null ? '' : `${(fillRate(p) * 100).toFixed(2)}%`,
+    p._lastWrittenAt === 'never' ? 'Never'
+      : Date.parse(p._lastWrittenAt) ? new Date(p._lastWrittenAt).toISOString().slice(0, 10) : '',
+    ...USAGE_SOURCES.map(({ kind }) => boolCell(p._usage[kind])),
     p.updatedAt ? new Date(p.updatedAt).toISOString().slice(0, 10) : '',
   ]);
   const csv = [headers, ...rows].map((r) => r.map(escapeCSV).join(',')).join('\r\n');
@@ -3,7 +3,13 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const YAML = require('yaml');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
 const session = require('express-session');
 
 const app = express();
@@ -11,8 +17,8 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB max
   fileFilter: (_req, file, cb) => {
-    if (!file.originalname.endsWith('.csv')) {
-      return cb(new Error('Only .csv files are allowed'));
+    if (!SUPPORTED_EXTENSIONS.includes(fileExtension(file.originalname))) {
+      return cb(new Error(`Only ${SUPPORTED_EXTENSIONS.join(', ')} files are allowed`));
     }
     cb(null, true);
   },
@@ -26,13 +32,19 @@ const REDIRECT_URI  = process.env.HUBSPOT_REDIRECT_URI || 'http://localhost:3000
 
 const SCOPES = [
   'automation',
+  'automation.sequences.read',
   'business-intelligence',
   'content',
+  'conversations.read',
   'crm.lists.read',
   'crm.objects.companies.read',
+  'crm.objects.companies.write',
   'crm.objects.contacts.read',
+  'crm.objects.contacts.write',
   'crm.objects.custom.read',
+  'crm.objects.custom.write',
   'crm.objects.deals.read',
+  'crm.objects.deals.write',
   'crm.objects.leads.read',
   'crm.objects.line_items.read',
   'crm.objects.listings.read',
@@ -54,6 +66,7 @@ const SCOPES = [
   'crm.schemas.courses.read',
   'crm.schemas.courses.write',
   'crm.schemas.custom.read',
+  'crm.schemas.custom.write',
   'crm.schemas.deals.read',
   'crm.schemas.deals.write',
   'crm.schemas.forecasts.read',
@@ -108,35 +121,71 @@ async function getValidToken(req) {
     err.statusCode = 401;
     throw err;
   }
+  return refreshConnection(req.session, 'Session expired. Please reconnect your HubSpot account.');
+}
+
+/**
+ * Whether an import job or backup belongs to this session's user: the
+ * session that started it or, after a reconnect or a server restart, the
+ * same HubSpot user on the same portal. Other users of the portal never see
+ * it, and without a known user ID only the starting session does.
+ */
+function isOwnedBySession(req, item) {
+  if (item.sessionId === req.sessionID) return true;
+  return !!(item.userId && item.portalId
+    && item.userId === req.session?.userId && item.portalId === req.session?.portalId);
+}
 
-  // Refresh if the token expires within the next 5 minutes
-  if (
-    req.session.expiresAt &&
-    Date.now() > req.session.expiresAt - 5 * 60 * 1000
-  ) {
-    if (!req.session.refreshToken || !CLIENT_SECRET) {
-      const err = new Error('Session expired. Please reconnect your HubSpot account.');
-      err.statusCode = 401;
+/**
+ * Returns a valid access token for the migration target portal, which is
+ * kept in the session next to the main (source) connection.
+ * Errors carry `targetPortal` so routes don't mistake them for the main
+ * session expiring.
+ */
+async function getTargetToken(req) {
+  const target = req.session?.targetPortal;
+  try {
+    if (!target?.accessToken) {
+      const err = new Error('No target portal connected. Connect one on the Migrate tab.');
+      err.statusCode = 400;
       throw err;
     }
+    return await refreshConnection(target, 'The target portal connection expired. Please reconnect it.');
+  } catch (err) {
+    err.targetPortal = true;
+    throw err;
+  }
+}
 
-    const tokenRes = await axios.post(
-      'https://api.hubapi.com/oauth/v1/token',
-      new URLSearchParams({
-        grant_type:    'refresh_token',
-        client_id:     CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        refresh_token: req.session.refreshToken,
-      }).toString(),
-      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-    );
-
-    req.session.accessToken  = tokenRes.data.access_token;
-    req.session.refreshToken = tokenRes.data.refresh_token;
-    req.session.expiresAt    = Date.now() + tokenRes.data.expires_in * 1000;
+/**
+ * Refreshes a connection's tokens in place when the access token expires
+ * within the next 5 minutes, and returns the access token.
+ */
+async function refreshConnection(connection, expiredMessage) {
+  if (!connection.expiresAt || Date.now() <= connection.expiresAt - 5 * 60 * 1000) {
+    return connection.accessToken;
+  }
+  if (!connection.refreshToken || !CLIENT_SECRET) {
+    const err = new Error(expiredMessage);
+    err.statusCode = 401;
+    throw err;
   }
 
-  return req.session.accessToken;
+  const tokenRes = await axios.post(
+    'https://api.hubapi.com/oauth/v1/token',
+    new URLSearchParams({
+      grant_type:    'refresh_token',
+      client_id:     CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      refresh_token: connection.refreshToken,
+    }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+  );
+
+  connection.accessToken  = tokenRes.data.access_token;
+  connection.refreshToken = tokenRes.data.refresh_token;
+  connection.expiresAt    = Date.now() + tokenRes.data.expires_in * 1000;
+  return connection.accessToken;
 }
 
 // ── Constants ──────────────────────────────────────────────────────────────
@@ -147,20 +196,43 @@ const PROPERTY_TYPES = {
   'Radio Select':          { type: 'enumeration', fieldType: 'radio',        enumeration: true },
   'Multiple Checkboxes':   { type: 'enumeration', fieldType: 'checkbox',     enumeration: true },
   // Text / string types
-  'Single Line Text':      { type: 'string',      fieldType: 'text' },
-  'Multi-line Text':       { type: 'string',      fieldType: 'textarea' },
+  'Single Line Text':      { type: 'string',      fieldType: 'text',        unique: true, length: true, pattern: true },
+  'Multi-line Text':       { type: 'string',      fieldType: 'textarea',    length: true, pattern: true },
   'Phone Number':          { type: 'string',      fieldType: 'phonenumber' },
-  'URL':                   { type: 'string',      fieldType: 'text' },
+  'URL':                   { type: 'string',      fieldType: 'text',        unique: true, length: true, url: true },
   'Rich Text':             { type: 'string',      fieldType: 'html' },
   // Numeric
-  'Number':                { type: 'number',      fieldType: 'number' },
+  'Number':                { type: 'number',      fieldType: 'number',      unique: true, range: true },
   // Date / time
   'Date Picker':           { type: 'date',        fieldType: 'date' },
   'Date and Time Picker':  { type: 'datetime',    fieldType: 'date' },
+  // Special types — each has its own extra settings
+  'Single Checkbox':       { type: 'bool',        fieldType: 'booleancheckbox',      boolean: true },
+  'File':                  { type: 'string',      fieldType: 'file',                 file: true },
+  'HubSpot User':          { type: 'enumeration', fieldType: 'select',               owner: true },
+  'Calculation':           { type: 'number',      fieldType: 'calculation_equation', calculation: true },
 };
 
 const VALID_TYPES = Object.keys(PROPERTY_TYPES);
 
+// Score and rollup properties are left out on purpose: the properties API only
+// creates calculations from a formula (calculation_equation), so these have
+// to be set up in HubSpot itself. Rows of these types say so.
+const UNSUPPORTED_TYPES = {
+  'score':  'Score properties can\'t be created through the HubSpot API; set them up in HubSpot',
+  'rollup': 'Rollup properties can\'t be created through the HubSpot API; set them up in HubSpot',
+};
+
+// Types that support a setting, for error messages — e.g. typesWith('unique')
+function typesWith(flag) {
+  return VALID_TYPES.filter(t => PROPERTY_TYPES[t][flag]).join(', ');
+}
+
+// Accepted "Number Format" values → HubSpot numberDisplayHint
+const NUMBER_FORMATS = ['formatted', 'unformatted', 'currency', 'percentage', 'duration', 'probability'];
+
+const FILE_VISIBILITIES = ['public', 'private'];
+
 const DEFAULT_GROUPS = {
   contacts:  'contactinformation',
   companies: 'companyinformation',
@@ -170,21 +242,21 @@ const DEFAULT_GROUPS = {
 };
 
 const STANDARD_OBJECTS = [
-  { value: 'contacts',              label: 'Contacts' },
-  { value: 'companies',             label: 'Companies' },
-  { value: 'deals',                 label: 'Deals' },
-  { value: 'tickets',               label: 'Tickets' },
-  { value: 'products',              label: 'Products' },
-  { value: 'line_items',            label: 'Line Items' },
-  { value: 'quotes',                label: 'Quotes' },
-  { value: 'calls',                 label: 'Calls' },
-  { value: 'emails',                label: 'Emails' },
-  { value: 'meetings',              label: 'Meetings' },
-  { value: 'notes',                 label: 'Notes' },
-  { value: 'tasks',                 label: 'Tasks' },
-  { value: 'communications',        label: 'Communications' },
-  { value: 'feedback_submissions',  label: 'Feedback Submissions' },
-  { value: 'leads',                 label: 'Leads' },
+  { value: 'contacts',              label: 'Contacts',             typeId: '0-1' },
+  { value: 'companies',             label: 'Companies',            typeId: '0-2' },
+  { value: 'deals',                 label: 'Deals',                typeId: '0-3' },
+  { value: 'tickets',               label: 'Tickets',              typeId: '0-5' },
+  { value: 'products',              label: 'Products',             typeId: '0-7' },
+  { value: 'line_items',            label: 'Line Items',           typeId: '0-8' },
+  { value: 'quotes',                label: 'Quotes',               typeId: '0-14' },
+  { value: 'calls',                 label: 'Calls',                typeId: '0-48' },
+  { value: 'emails',                label: 'Emails',               typeId: '0-49' },
+  { value: 'meetings',              label: 'Meetings',             typeId: '0-47' },
+  { value: 'notes',                 label: 'Notes',                typeId: '0-46' },
+  { value: 'tasks',                 label: 'Tasks',                typeId: '0-27' },
+  { value: 'communications',        label: 'Communications',       typeId: '0-18' },
+  { value: 'feedback_submissions',  label: 'Feedback Submissions', typeId: '0-19' },
+  { value: 'leads',                 label: 'Leads',                typeId: '0-136' },
 ];
 
 // ── Helpers ────────────────────────────────────────────────────────────────
@@ -239,25 +311,672 @@ async function resolveGroupName(token, objectType) {
   );
 }
 
-function parseOptions(optionsStr) {
-  if (!optionsStr || !optionsStr.trim()) return [];
-  return optionsStr
-    .split(';')
-    .map((o) => o.trim())
-    .filter(Boolean)
-    .map((label, i) => ({
+/**
+ * Lists the portal's custom object schemas with each one's default property
+ * group and the names a file may use to refer to it.
+ */
+async function listCustomObjects(token) {
+  const allSchemas = [];
+  let after = undefined;
+  do {
+    const schemasRes = await axios.get('https://api.hubapi.com/crm/v3/schemas', {
+      headers: { Authorization: `Bearer ${token}` },
+      params:  { archived: false, limit: 100, ...(after ? { after } : {}) },
+    });
+    allSchemas.push(...(schemasRes.data.results || []));
+    after = schemasRes.data.paging?.next?.after;
+  } while (after);
+
+  const customObjects = await Promise.all(
+    allSchemas.map(async schema => {
+      let defaultGroup = null;
+      try {
+        const groupsRes = await axios.get(
+          `https://api.hubapi.com/crm/v3/properties/groups/${schema.objectTypeId}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        const groups = groupsRes.data.results || [];
+        const preferred = groups.find(g => !g.hubspotDefined) || groups[0];
+        defaultGroup = preferred?.name || null;
+      } catch { /* defaultGroup stays null */ }
+      const value = schema.objectTypeId || schema.fullyQualifiedName || schema.name;
+      const label = schema.labels?.plural || schema.labels?.singular || schema.name || value;
+      if (!value) return null;
+      const aliases = [schema.name, schema.fullyQualifiedName, schema.labels?.singular, schema.labels?.plural].filter(Boolean);
+      return { value, label, defaultGroup, aliases, name: schema.name };
+    })
+  );
+  return customObjects.filter(Boolean);
+}
+
+// Loose key for matching object names: case, spacing and plurals don't matter
+function objectKey(name) {
+  const key = String(name).toLowerCase().replace(/[^a-z0-9-]/g, '');
+  if (key.endsWith('ies')) return key.slice(0, -3) + 'y';
+  if (key.endsWith('s'))   return key.slice(0, -1);
+  return key;
+}
+
+function findObjectType(objectTypes, name) {
+  const key = objectKey(name);
+  return objectTypes.find(ot =>
+    ot.value === name || ot.typeId === name || [ot.value, ot.label, ...(ot.aliases || [])].some(n => objectKey(n) === key)
+  ) || null;
+}
+
+/**
+ * Works out the target object for each row: its Object column when set,
+ * otherwise the object selected in the UI. Custom objects are only looked up
+ * when some row names an object. Returns one
+ * { objectType, label, defaultGroup, error } per row.
+ */
+async function assignObjectTypes(token, rows, defaultObjectType, defaultGroup) {
+  let objectTypes = STANDARD_OBJECTS;
+  if (rows.some(r => r.Object)) {
+    try {
+      objectTypes = [...STANDARD_OBJECTS, ...await listCustomObjects(token)];
+    } catch (err) {
+      if (err.statusCode === 401 || err.response?.status === 401) throw err;
+    }
+  }
+  const selected = findObjectType(objectTypes, defaultObjectType);
+  const fallback = {
+    objectType:   defaultObjectType,
+    label:        selected?.label || defaultObjectType,
+    defaultGroup: defaultGroup || selected?.defaultGroup || null,
+    error:        null,
+  };
+
+  return rows.map(row => {
+    if (!row.Object) return fallback;
+    const match = findObjectType(objectTypes, row.Object);
+    if (!match) return { ...fallback, error: `Unknown object "${row.Object}"` };
+    if (match.value === defaultObjectType) return fallback;
+    return { objectType: match.value, label: match.label, defaultGroup: match.defaultGroup || null, error: null };
+  });
+}
+
+/**
+ * Whether an Object value can only mean a built-in object: a standard type ID
+ * (0-…) can't name a custom object, so an unknown one is wrong offline too.
+ * Other values that aren't built-in names may be custom objects.
+ */
+function mustBeStandardObject(value) {
+  return /^0-\d+$/.test(value);
+}
+
+/**
+ * Errors for rows whose Object column names no object the import could
+ * target. Built-in objects are checked without a connection. Custom objects
+ * are only known when the session is connected; without one, values that
+ * could be custom object names are left to the dry run.
+ */
+async function objectColumnErrors(req, rows, rowLabel) {
+  if (!rows.some(r => r.Object)) return [];
+  let customObjects = null;
+  try {
+    customObjects = await listCustomObjects(await getValidToken(req));
+  } catch { /* not connected, or the schemas can't be read */ }
+  return rows.flatMap((row, i) => {
+    if (!row.Object || findObjectType(STANDARD_OBJECTS, row.Object)) return [];
+    if (customObjects ? findObjectType(customObjects, row.Object) : !mustBeStandardObject(row.Object)) return [];
+    return [`${rowLabel(i)}: Unknown object "${row.Object}"`];
+  });
+}
+
+/**
+ * Parses the Options column into HubSpot option objects.
+ * Values come from, in order of precedence: the matching entry in the
+ * Option Values column, an inline `Label=value` pair, or the derived
+ * internal name of the label. Throws on a malformed or inconsistent list.
+ */
+function parseOptions(optionsStr, valuesStr) {
+  if (!optionsStr || !optionsStr.trim()) {
+    if (valuesStr && valuesStr.trim()) throw new Error('Option Values given without Options');
+    return [];
+  }
+  const entries = optionsStr.split(';').map((o) => o.trim()).filter(Boolean);
+  const values  = valuesStr && valuesStr.trim()
+    ? valuesStr.split(';').map((v) => v.trim())
+    : null;
+
+  if (values && values.length !== entries.length) {
+    throw new Error(`Options has ${entries.length} entries but Option Values has ${values.length}`);
+  }
+
+  const options = entries.map((entry, i) => {
+    let label = entry;
+    let value = values?.[i];
+    const eq = entry.lastIndexOf('=');
+    if (!values && eq > 0) {
+      label = entry.slice(0, eq).trim();
+      value = entry.slice(eq + 1).trim();
+      if (!value) throw new Error(`Option "${label}" has an empty value`);
+    }
+    if (values && !value) throw new Error(`Option "${label}" has an empty value in Option Values`);
+    return {
       label,
-      value: toInternalName(label) || `option_${i}`,
+      value: value || toInternalName(label) || `option_${i}`,
       displayOrder: i,
       hidden: false,
-    }));
+    };
+  });
+
+  const seen = new Set();
+  for (const opt of options) {
+    if (seen.has(opt.value)) throw new Error(`Duplicate option value "${opt.value}"`);
+    seen.add(opt.value);
+  }
+  return options;
+}
+
+/**
+ * Builds the true/false option pair for a Single Checkbox. Options may hold
+ * custom labels as "<true label>;<false label>".
+ */
+function parseBooleanOptions(optionsStr) {
+  const labels = (optionsStr || '').split(';').map((o) => o.trim()).filter(Boolean);
+  if (labels.length !== 0 && labels.length !== 2) {
+    throw new Error('Single Checkbox Options must be two labels, e.g. "Yes;No"');
+  }
+  const [yes, no] = labels.length ? labels : ['Yes', 'No'];
+  return [
+    { label: yes, value: 'true',  displayOrder: 0, hidden: false },
+    { label: no,  value: 'false', displayOrder: 1, hidden: false },
+  ];
+}
+
+function parseBooleanCell(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (v === '') return null;
+  if (['true', 'yes', 'y', '1'].includes(v))  return true;
+  if (['false', 'no', 'n', '0'].includes(v)) return false;
+  return undefined;
+}
+
+/**
+ * Parses an optional numeric cell: null when empty, undefined when it is not
+ * a number.
+ */
+function parseNumberCell(value) {
+  const str = String(value ?? '').trim();
+  if (str === '') return null;
+  const num = Number(str);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+function propertyInternalName(property) {
+  return property.InternalName || toInternalName(property.Name);
+}
+
+/**
+ * Validates raw spreadsheet records and maps them to the normalized row model
+ * the importer works with. `rowLabel(i)` names records[i] in error messages.
+ */
+function normalizeRecords(records, rowLabel = (i) => `Row ${i + 2}`) {
+  const errors = [];
+  const data = [];
+  const groupLabels = new Map();
+
+  records.forEach((row, i) => {
+    const where = rowLabel(i);
+    const rowErrors = [];
+    const cell = (col) => String(row[col] ?? '').trim();
+
+    const name = cell('Name');
+    const type = cell('Type');
+    if (!name) rowErrors.push('Name is required');
+    if (!type) {
+      rowErrors.push('Type is required');
+    } else if (UNSUPPORTED_TYPES[type.toLowerCase()]) {
+      rowErrors.push(UNSUPPORTED_TYPES[type.toLowerCase()]);
+    } else if (!PROPERTY_TYPES[type]) {
+      rowErrors.push(`Invalid type "${type}". Must be one of: ${VALID_TYPES.join(', ')}`);
+    }
+
+    const internalName = cell('Internal Name');
+    if (internalName && !/^[a-z][a-z0-9_]*$/.test(internalName)) {
+      rowErrors.push(`Internal Name "${internalName}" must start with a lowercase letter and contain only lowercase letters, numbers and underscores`);
+    } else if (internalName.length > 250) {
+      rowErrors.push('Internal Name must be 250 characters or fewer');
+    }
+
+    const groupLabel = cell('Group Label');
+    const group = cell('Group') || (groupLabel ? toInternalName(groupLabel) : '');
+    if (group && !/^[a-z0-9_]+$/.test(group)) {
+      rowErrors.push(`Group "${group}" must be a group internal name (lowercase letters, numbers and underscores)`);
+    }
+    if (groupLabel) {
+      const groupKey = `${cell('Object')}:${group}`;
+      const seen = groupLabels.get(groupKey);
+      if (seen && seen.label !== groupLabel) {
+        rowErrors.push(`Group "${group}" is labelled "${groupLabel}" here but "${seen.label}" in ${seen.where}`);
+      } else if (!seen) {
+        groupLabels.set(groupKey, { label: groupLabel, where });
+      }
+    }
+
+    const formField = parseBooleanCell(row['Form Field']);
+    if (formField === undefined) rowErrors.push(`Form Field must be true or false, got "${cell('Form Field')}"`);
+    const hidden = parseBooleanCell(row.Hidden);
+    if (hidden === undefined) rowErrors.push(`Hidden must be true or false, got "${cell('Hidden')}"`);
+
+    const displayOrderStr = cell('Display Order');
+    const displayOrder = displayOrderStr === '' ? null : Number(displayOrderStr);
+    if (displayOrder !== null && (!Number.isInteger(displayOrder) || displayOrder < -1)) {
+      rowErrors.push(`Display Order must be a whole number of -1 or more, got "${displayOrderStr}"`);
+    }
+
+    const typeInfo = PROPERTY_TYPES[type] || {};
+    const options = cell('Options');
+    const optionValues = cell('Option Values');
+    if (typeInfo.enumeration) {
+      try { parseOptions(options, optionValues); } catch (err) { rowErrors.push(err.message); }
+    } else if (optionValues) {
+      rowErrors.push('Option Values is only valid for Drop-down Select, Radio Select and Multiple Checkboxes');
+    }
+    if (typeInfo.boolean) {
+      try { parseBooleanOptions(options); } catch (err) { rowErrors.push(err.message); }
+    }
+    if (typeInfo.owner && options) {
+      rowErrors.push('HubSpot User properties take their options from the portal\'s users; leave Options blank');
+    }
+
+    const numberFormat = cell('Number Format').toLowerCase();
+    if (numberFormat) {
+      if (typeInfo.type !== 'number') {
+        rowErrors.push('Number Format is only valid for Number and Calculation');
+      } else if (!NUMBER_FORMATS.includes(numberFormat)) {
+        rowErrors.push(`Invalid Number Format "${cell('Number Format')}". Must be one of: ${NUMBER_FORMATS.join(', ')}`);
+      }
+    }
+
+    const formula = cell('Formula');
+    if (typeInfo.calculation && !formula) rowErrors.push('Formula is required for Calculation properties');
+    if (!typeInfo.calculation && formula) rowErrors.push('Formula is only valid for Calculation');
+
+    const fileVisibility = cell('File Visibility').toLowerCase();
+    if (fileVisibility) {
+      if (!typeInfo.file) {
+        rowErrors.push('File Visibility is only valid for File');
+      } else if (!FILE_VISIBILITIES.includes(fileVisibility)) {
+        rowErrors.push(`File Visibility must be Public or Private, got "${cell('File Visibility')}"`);
+      }
+    }
+
+    const unique = parseBooleanCell(row.Unique);
+    if (unique === undefined) {
+      rowErrors.push(`Unique must be true or false, got "${cell('Unique')}"`);
+    } else if (unique && !typeInfo.unique) {
+      rowErrors.push(`Unique is only valid for ${typesWith('unique')}`);
+    }
+
+    const limits = {};
+    for (const [col, key, flag, integer] of [
+      ['Min Length', 'MinLength', 'length', true],
+      ['Max Length', 'MaxLength', 'length', true],
+      ['Min Value',  'MinValue',  'range',  false],
+      ['Max Value',  'MaxValue',  'range',  false],
+    ]) {
+      const value = parseNumberCell(row[col]);
+      limits[key] = value ?? null;
+      if (value === null) continue;
+      if (!typeInfo[flag]) {
+        rowErrors.push(`${col} is only valid for ${typesWith(flag)}`);
+      } else if (value === undefined || (integer && (!Number.isInteger(value) || value < 0))) {
+        rowErrors.push(`${col} must be ${integer ? 'a whole number of 0 or more' : 'a number'}, got "${cell(col)}"`);
+        limits[key] = null;
+      }
+    }
+    if (limits.MinLength !== null && limits.MaxLength !== null && limits.MinLength > limits.MaxLength) {
+      rowErrors.push('Min Length cannot be greater than Max Length');
+    }
+    if (limits.MinValue !== null && limits.MaxValue !== null && limits.MinValue > limits.MaxValue) {
+      rowErrors.push('Min Value cannot be greater than Max Value');
+    }
+
+    const pattern = cell('Pattern');
+    if (pattern) {
+      if (!typeInfo.pattern) {
+        rowErrors.push(`Pattern is only valid for ${typesWith('pattern')}`);
+      } else {
+        try { new RegExp(pattern); } catch (err) { rowErrors.push(`Pattern is not a valid regular expression: ${err.message}`); }
+      }
+    }
+
+    for (const e of rowErrors) errors.push(`${where}: ${e}`);
+    data.push({
+      Name:           name,
+      Type:           type,
+      Description:    cell('Description'),
+      Options:        options,
+      OptionValues:   optionValues,
+      InternalName:   internalName,
+      Group:          group,
+      GroupLabel:     groupLabel,
+      Object:         cell('Object'),
+      RowLabel:       where,
+      FormField:      formField ?? null,
+      Hidden:         hidden ?? null,
+      DisplayOrder:   displayOrder,
+      NumberFormat:   numberFormat,
+      Formula:        formula,
+      FileVisibility: fileVisibility,
+      Unique:         unique ?? null,
+      ...limits,
+      Pattern:        pattern,
+    });
+  });
+
+  return { errors, data };
+}
+
+/**
+ * Builds the HubSpot property definition for a parsed CSV row.
+ */
+function buildPropertyBody(property, groupName) {
+  const typeInfo = PROPERTY_TYPES[property.Type];
+  return {
+    name:        propertyInternalName(property),
+    label:       property.Name,
+    type:        typeInfo.type,
+    fieldType:   typeInfo.fieldType,
+    groupName:   property.Group || groupName,
+    description: property.Description || '',
+    ...(typeInfo.enumeration ? { options: parseOptions(property.Options, property.OptionValues) } : {}),
+    ...(typeInfo.boolean ? { options: parseBooleanOptions(property.Options) } : {}),
+    ...(typeInfo.owner ? { referencedObjectType: 'OWNER', externalOptions: true, options: [] } : {}),
+    ...(typeInfo.calculation ? { calculationFormula: property.Formula } : {}),
+    ...(typeInfo.file ? { fileVisibility: property.FileVisibility || 'private' } : {}),
+    ...(property.NumberFormat ? {
+      numberDisplayHint:  property.NumberFormat,
+      showCurrencySymbol: property.NumberFormat === 'currency',
+    } : {}),
+    ...(typeof property.FormField === 'boolean' ? { formField: property.FormField } : {}),
+    ...(typeof property.Hidden === 'boolean' ? { hidden: property.Hidden } : {}),
+    ...(Number.isInteger(property.DisplayOrder) ? { displayOrder: property.DisplayOrder } : {}),
+    ...(property.Unique === true ? { hasUniqueValue: true } : {}),
+  };
+}
+
+/**
+ * Validation rules for a parsed row, in the shape the property-validations
+ * API takes. URL properties always get the URL format rule.
+ */
+function buildValidationRules(property) {
+  const typeInfo = PROPERTY_TYPES[property.Type] || {};
+  const rules = [];
+  const has = (value) => value !== null && value !== undefined;
+  if (typeInfo.url)              rules.push({ ruleType: 'FORMAT',     ruleArguments: ['URL'] });
+  if (has(property.MinLength))   rules.push({ ruleType: 'MIN_LENGTH', ruleArguments: [String(property.MinLength)] });
+  if (has(property.MaxLength))   rules.push({ ruleType: 'MAX_LENGTH', ruleArguments: [String(property.MaxLength)] });
+  if (has(property.MinValue))    rules.push({ ruleType: 'MIN_NUMBER', ruleArguments: [String(property.MinValue)] });
+  if (has(property.MaxValue))    rules.push({ ruleType: 'MAX_NUMBER', ruleArguments: [String(property.MaxValue)] });
+  if (property.Pattern)          rules.push({ ruleType: 'REGEX',      ruleArguments: [property.Pattern] });
+  return rules;
+}
+
+// Names HubSpot uses for standard objects across APIs (contacts, CONTACT, Line Items…) → type ID
+const OBJECT_TYPE_ALIASES = new Map(STANDARD_OBJECTS.flatMap(o => [
+  [o.value, o.typeId],
+  [o.value.replace(/ies$/, 'y').replace(/s$/, ''), o.typeId],
+  [o.label.toLowerCase().replace(/[\s-]+/g, '_'), o.typeId],
+]));
+
+/**
+ * Canonical type ID (0-1, 2-123…) for any way an object type is written, or
+ * null when it is not one we recognize.
+ */
+function canonicalObjectType(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (/^\d+-\d+$/.test(value)) return value;
+  return OBJECT_TYPE_ALIASES.get(value.trim().toLowerCase().replace(/[\s-]+/g, '_')) || null;
+}
+
+/**
+ * The property-validations API addresses objects by type ID (0-1 for
+ * contacts); custom object types already are one.
+ */
+function objectTypeId(objectType) {
+  const typeId = canonicalObjectType(objectType);
+  if (!typeId) throw new Error(`No object type ID known for "${objectType}"`);
+  return typeId;
+}
+
+/**
+ * Sets validation rules on an existing property, one PUT per rule type.
+ */
+async function applyValidationRules(token, objectType, propertyName, rules) {
+  const typeId = objectTypeId(objectType);
+  for (const rule of rules) {
+    await axios.put(
+      `https://api.hubapi.com/crm/v3/property-validations/${typeId}/${propertyName}/rule-type/${rule.ruleType}`,
+      { ruleArguments: rule.ruleArguments },
+      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * The validation rules set on an object's properties, by property name, in
+ * the shape applyValidationRules takes. Properties without rules are left out.
+ */
+async function fetchValidationRules(token, objectType) {
+  const rulesByName = new Map();
+  try {
+    const response = await withRateLimitRetry(() => axios.get(
+      `https://api.hubapi.com/crm/v3/property-validations/${objectTypeId(objectType)}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    ));
+    for (const entry of response.data.results || []) {
+      const rules = (entry.propertyValidationRules || []).map(({ ruleType, ruleArguments }) => ({ ruleType, ruleArguments }));
+      if (rules.length) rulesByName.set(entry.propertyName, rules);
+    }
+  } catch (err) {
+    if (err.response?.status !== 404) throw err;
+  }
+  return rulesByName;
+}
+
+// Definitions with their validation rules attached, for re-creating them elsewhere
+function withValidationRules(properties, rulesByName) {
+  return properties.map(p => (rulesByName.has(p.name) ? { ...p, validationRules: rulesByName.get(p.name) } : p));
+}
+
+/**
+ * Re-applies the rules of a property that was just re-created. It exists at
+ * that point, so a rejected rule comes back as a warning, not a failure.
+ */
+async function restoreValidationRules(token, objectType, property) {
+  if (!property.validationRules?.length) return null;
+  try {
+    await applyValidationRules(token, objectType, property.name, property.validationRules);
+    return null;
+  } catch (err) {
+    if (isUnauthorized(err)) throw err;
+    return `Created, but its validation rules were not set: ${apiErrorMessage(err)}`;
+  }
+}
+
+function apiErrorMessage(err) {
+  return err.response?.data?.message || err.response?.data?.errors?.[0]?.message || err.message || 'Unknown error';
+}
+
+// ── File parsers ────────────────────────────────────────────────────────────
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.json', '.yaml', '.yml'];
+
+// Every column the importer understands, keyed by a loose form of its name so
+// JSON/YAML specs can use `internalName`, `internal_name` or `Internal Name`.
+const KNOWN_COLUMNS = [
+  'Name', 'Type', 'Object', 'Description', 'Options', 'Option Values', 'Internal Name', 'Group',
+  'Group Label', 'Form Field', 'Hidden', 'Display Order', 'Number Format', 'Formula', 'File Visibility',
+  'Unique', 'Min Length', 'Max Length', 'Min Value', 'Max Value', 'Pattern',
+];
+const COLUMN_KEYS = new Map(KNOWN_COLUMNS.map(c => [c.toLowerCase().replace(/[^a-z]/g, ''), c]));
+
+function fileExtension(filename) {
+  const match = /\.[^.]+$/.exec(filename.toLowerCase());
+  return match ? match[0] : '';
+}
+
+/**
+ * Thrown for problems with the file as a whole (wrong shape, missing
+ * columns). The message is shown to the user as-is.
+ */
+function fileError(message) {
+  const err = new Error(message);
+  err.fileErrors = [message];
+  return err;
+}
+
+function parseCsvFile(buffer) {
+  const records = parse(buffer.toString('utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+  if (records.length === 0) throw fileError('The CSV file is empty.');
+
+  const headers = Object.keys(records[0]).map((h) => h.trim());
+  if (!headers.includes('Name') || !headers.includes('Type')) {
+    throw fileError('CSV must have at least the columns: Name, Type');
+  }
+  return records.map((record, i) => ({ record, label: `Row ${i + 2}` }));
+}
+
+function excelCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+    if ('result' in value) return excelCellText(value.result);
+    if ('text' in value)   return excelCellText(value.text);
+    if ('error' in value)  return '';
+  }
+  return String(value);
+}
+
+/**
+ * Reads every non-empty sheet of a workbook. When the workbook has more than
+ * one sheet, each sheet's name is the object its rows target unless a row
+ * sets Object itself.
+ */
+async function parseXlsxFile(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheets = workbook.worksheets.filter(ws => ws.actualRowCount > 0);
+  if (sheets.length === 0) throw fileError('The workbook is empty.');
+  const sheetIsObject = sheets.length > 1;
+
+  const rows = [];
+  for (const sheet of sheets) {
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => { headers[col] = excelCellText(cell.value).trim(); });
+    if (!headers.includes('Name') || !headers.includes('Type')) {
+      throw fileError(`Sheet "${sheet.name}" must have at least the columns: Name, Type`);
+    }
+
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      row.eachCell((cell, col) => { if (headers[col]) record[headers[col]] = excelCellText(cell.value).trim(); });
+      if (!Object.values(record).some(Boolean)) return;
+      if (sheetIsObject && !record.Object) record.Object = sheet.name;
+      rows.push({ record, label: sheetIsObject ? `Sheet "${sheet.name}" row ${rowNumber}` : `Row ${rowNumber}` });
+    });
+  }
+  if (rows.length === 0) throw fileError('The workbook has no property rows.');
+  return rows;
+}
+
+/**
+ * Maps one JSON/YAML property definition onto the spreadsheet columns.
+ * Options may be a list of labels or of { label, value } pairs.
+ */
+function specToRecord(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return null;
+  const record = {};
+  for (const [key, value] of Object.entries(spec)) {
+    const column = COLUMN_KEYS.get(key.toLowerCase().replace(/[^a-z]/g, '')) || key;
+    if (column === 'Options' && Array.isArray(value)) {
+      record.Options = value
+        .map(o => (o && typeof o === 'object') ? (o.value !== undefined ? `${o.label}=${o.value}` : o.label) : o)
+        .join(';');
+    } else if (column === 'Option Values' && Array.isArray(value)) {
+      record['Option Values'] = value.join(';');
+    } else {
+      record[column] = value;
+    }
+  }
+  return record;
+}
+
+/**
+ * Accepts a list of property definitions, `{ properties: [...] }`, or an
+ * object keyed by object type whose values are lists of definitions.
+ */
+function specToRecords(spec, format) {
+  const toRows = (list, object, where) => list.map((item, i) => {
+    const record = specToRecord(item);
+    if (!record) throw fileError(`${where} item ${i + 1} must be an object with Name and Type.`);
+    if (object && !record.Object) record.Object = object;
+    return { record, label: `${where} item ${i + 1}` };
+  });
+
+  let rows;
+  if (Array.isArray(spec)) {
+    rows = toRows(spec, null, 'Property list');
+  } else if (spec && Array.isArray(spec.properties)) {
+    rows = toRows(spec.properties, null, 'Property list');
+  } else if (spec && typeof spec === 'object' && Object.values(spec).every(Array.isArray)) {
+    rows = Object.entries(spec).flatMap(([object, list]) => toRows(list, object, `"${object}"`));
+  } else {
+    throw fileError(`The ${format} file must be a list of properties, { "properties": [...] }, or lists keyed by object type.`);
+  }
+  if (rows.length === 0) throw fileError(`The ${format} file has no properties.`);
+  return rows;
+}
+
+/**
+ * Parses an uploaded property definition file into raw records, each with the
+ * label used to point at it in error messages.
+ */
+async function parsePropertyFile(file) {
+  const ext = fileExtension(file.originalname);
+  if (ext === '.csv')  return parseCsvFile(file.buffer);
+  if (ext === '.xlsx') return parseXlsxFile(file.buffer);
+  if (['.json', '.yaml', '.yml'].includes(ext)) {
+    const { spec, format } = parseStructuredFile(file);
+    return specToRecords(spec, format);
+  }
+  throw fileError(`Unsupported file type. Upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+}
+
+/**
+ * Parses a .json, .yaml or .yml upload. Any other extension is rejected
+ * with `unsupportedMessage`.
+ */
+function parseStructuredFile(file, unsupportedMessage) {
+  const ext = fileExtension(file.originalname);
+  const text = file.buffer.toString('utf-8');
+  if (ext === '.json') {
+    try { return { spec: JSON.parse(text), format: 'JSON' }; } catch (err) { throw fileError(`Invalid JSON: ${err.message}`); }
+  }
+  if (ext === '.yaml' || ext === '.yml') {
+    try { return { spec: YAML.parse(text), format: 'YAML' }; } catch (err) { throw fileError(`Invalid YAML: ${err.message}`); }
+  }
+  throw fileError(unsupportedMessage);
 }
 
 // ── OAuth routes ────────────────────────────────────────────────────────────
 
 /**
- * GET /oauth/authorize
- * Redirects the browser to HubSpot's OAuth consent screen.
+ * GET /oauth/authorize?portal=target
+ * Redirects the browser to HubSpot's OAuth consent screen. With
+ * portal=target the resulting connection becomes the migration target
+ * instead of the main one; the choice travels through the OAuth state.
  */
 app.get('/oauth/authorize', (req, res) => {
   if (!CLIENT_ID) {
@@ -269,21 +988,27 @@ app.get('/oauth/authorize', (req, res) => {
     `https://app.hubspot.com/oauth/authorize` +
     `?client_id=${encodeURIComponent(CLIENT_ID)}` +
     `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}` +
-    `&scope=${encodeURIComponent(SCOPES)}`;
+    `&scope=${encodeURIComponent(SCOPES)}` +
+    (req.query.portal === 'target' ? '&state=target' : '');
   res.redirect(url);
 });
 
 /**
  * GET /oauth/callback
  * HubSpot redirects here after the user grants (or denies) access.
- * Exchanges the auth code for access + refresh tokens and stores them in the session.
+ * Exchanges the auth code for access + refresh tokens and stores them in the
+ * session — or, for a target-portal connection, in `session.targetPortal`.
  */
 app.get('/oauth/callback', async (req, res) => {
   const { code, error, error_description } = req.query;
+  const asTarget = req.query.state === 'target';
+  const fail = (msg) => res.redirect(`/?${asTarget ? 'tab=migrate&' : ''}auth_error=${encodeURIComponent(msg)}`);
 
   if (error || !code) {
-    const msg = error_description || error || 'Authorization was denied.';
-    return res.redirect(`/?auth_error=${encodeURIComponent(msg)}`);
+    return fail(error_description || error || 'Authorization was denied.');
+  }
+  if (asTarget && !req.session.accessToken) {
+    return fail('Connect the source portal before the target portal.');
   }
 
   try {
@@ -299,29 +1024,42 @@ app.get('/oauth/callback', async (req, res) => {
       { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
     );
 
-    req.session.accessToken  = tokenRes.data.access_token;
-    req.session.refreshToken = tokenRes.data.refresh_token;
-    req.session.expiresAt    = Date.now() + tokenRes.data.expires_in * 1000;
+    const connection = {
+      accessToken:  tokenRes.data.access_token,
+      refreshToken: tokenRes.data.refresh_token,
+      expiresAt:    Date.now() + tokenRes.data.expires_in * 1000,
+    };
 
     // Fetch portal info (best-effort — not fatal if it fails)
     try {
       const infoRes = await axios.get(
         `https://api.hubapi.com/oauth/v1/access-tokens/${tokenRes.data.access_token}`
       );
-      req.session.portalId  = infoRes.data.hub_id;
-      req.session.hubDomain = infoRes.data.hub_domain;
+      connection.portalId  = infoRes.data.hub_id;
+      connection.hubDomain = infoRes.data.hub_domain;
+      connection.userId    = infoRes.data.user_id;
     } catch { /* portal info is non-critical */ }
 
+    if (asTarget) {
+      if (connection.portalId && connection.portalId === req.session.portalId) {
+        return fail('The target portal is the same as the source portal. Pick a different account in HubSpot.');
+      }
+      req.session.targetPortal = connection;
+      return res.redirect('/?tab=migrate');
+    }
+
+    Object.assign(req.session, connection);
     res.redirect('/');
   } catch (err) {
     const msg = err.response?.data?.message || err.message;
-    res.redirect(`/?auth_error=${encodeURIComponent(msg)}`);
+    fail(msg);
   }
 });
 
 /**
  * GET /oauth/status
- * Returns whether the current session has a valid connection and portal info.
+ * Returns whether the current session has a valid connection and portal info,
+ * plus the migration target portal when one is connected.
  */
 app.get('/oauth/status', (req, res) => {
   if (req.session?.accessToken) {
@@ -329,6 +1067,10 @@ app.get('/oauth/status', (req, res) => {
       connected: true,
       portalId:  req.session.portalId  || null,
       hubDomain: req.session.hubDomain || null,
+      target:    req.session.targetPortal ? {
+        portalId:  req.session.targetPortal.portalId  || null,
+        hubDomain: req.session.targetPortal.hubDomain || null,
+      } : null,
     });
   } else {
     res.json({ connected: false });
@@ -345,65 +1087,43 @@ app.post('/oauth/disconnect', (req, res) => {
   });
 });
 
+/**
+ * POST /oauth/disconnect-target
+ * Forgets the migration target portal; the main connection stays.
+ */
+app.post('/oauth/disconnect-target', (req, res) => {
+  delete req.session.targetPortal;
+  res.json({ success: true });
+});
+
 // ── API routes ─────────────────────────────────────────────────────────────
 
 /**
- * POST /api/parse-csv
+ * POST /api/parse-file  (also served as /api/parse-csv)
  * No auth required — only parses and validates the uploaded file.
+ * Accepts .csv, .xlsx, .json and .yaml; all produce the same row model.
  */
-app.post('/api/parse-csv', upload.single('file'), (req, res) => {
+app.post(['/api/parse-file', '/api/parse-csv'], upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, errors: ['No file uploaded.'] });
     }
 
-    const records = parse(req.file.buffer.toString('utf-8'), {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-    });
-
-    if (records.length === 0) {
-      return res.status(400).json({ success: false, errors: ['The CSV file is empty.'] });
-    }
-
-    const headers = Object.keys(records[0]).map((h) => h.trim());
-    if (!headers.includes('Name') || !headers.includes('Type')) {
-      return res.status(400).json({
-        success: false,
-        errors: ['CSV must have at least the columns: Name, Type'],
-      });
-    }
-
-    const errors = [];
-    records.forEach((row, i) => {
-      const rowNum = i + 2;
-      if (!row.Name || !row.Name.trim()) errors.push(`Row ${rowNum}: Name is required`);
-      if (!row.Type || !row.Type.trim()) {
-        errors.push(`Row ${rowNum}: Type is required`);
-      } else if (!PROPERTY_TYPES[row.Type.trim()]) {
-        errors.push(`Row ${rowNum}: Invalid type "${row.Type}". Must be one of: ${VALID_TYPES.join(', ')}`);
-      }
-    });
-
+    const rows = await parsePropertyFile(req.file);
+    const rowLabel = (i) => rows[i].label;
+    const { errors, data } = normalizeRecords(rows.map(r => r.record), rowLabel);
+    errors.push(...await objectColumnErrors(req, data, rowLabel));
     if (errors.length) return res.status(400).json({ success: false, errors });
 
-    const data = records.map((row) => ({
-      Name:        row.Name.trim(),
-      Type:        row.Type.trim(),
-      Description: (row.Description || '').trim(),
-      Options:     (row.Options || '').trim(),
-    }));
-
     res.json({ success: true, data, count: data.length });
   } catch (err) {
-    res.status(400).json({ success: false, errors: [err.message] });
+    res.status(400).json({ success: false, errors: err.fileErrors || [err.message] });
   }
 });
 
 /**
  * POST /api/create-property
- * Body: { objectType, property: { Name, Type, Description, Options }, defaultGroup? }
+ * Body: { objectType, property: <normalized row from /api/parse-csv>, defaultGroup? }
  */
 app.post('/api/create-property', async (req, res) => {
   const { objectType, property, defaultGroup } = req.body;
@@ -419,330 +1139,3698 @@ app.post('/api/create-property', async (req, res) => {
 
   try {
     const token = await getValidToken(req);
-    const groupName = defaultGroup || await resolveGroupName(token, objectType);
-    const internalName = toInternalName(property.Name);
-
-    const body = {
-      name:        internalName,
-      label:       property.Name,
-      type:        typeInfo.type,
-      fieldType:   typeInfo.fieldType,
-      groupName,
-      description: property.Description || '',
-      ...(typeInfo.enumeration ? { options: parseOptions(property.Options) } : {}),
+    const groupName = property.Group || defaultGroup || await resolveGroupName(token, objectType);
+    const body = buildPropertyBody(property, groupName);
+
+    const response = await axios.post(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}`,
+      body,
+      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+    );
+
+    // The property exists at this point, so a rejected rule is a warning rather than a failure
+    let warning = null;
+    try {
+      await applyValidationRules(token, objectType, response.data.name, buildValidationRules(property));
+    } catch (err) {
+      warning = `Created, but its validation rules were not set: ${apiErrorMessage(err)}`;
+    }
+
+    res.json({ success: true, internalName: response.data.name, label: response.data.label, warning });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    const message = apiErrorMessage(err);
+    res.status(status).json({ success: false, error: message });
+  }
+});
+
+// ── Dry run ─────────────────────────────────────────────────────────────────
+
+// HubSpot reserves the hs_ prefix for its own properties
+const RESERVED_PREFIXES = ['hs_'];
+const RESERVED_NAMES    = new Set(['id', 'object_id', 'objectid', 'createdate', 'lastmodifieddate']);
+
+function optionMap(options) {
+  return new Map((options || []).map(o => [String(o.value), o.label]));
+}
+
+/**
+ * Compares a desired property definition (from buildPropertyBody) with the
+ * one currently in HubSpot. Returns a list of human-readable differences;
+ * an empty list means the two are identical for every field the row sets.
+ * `source` names where the desired definition came from in the messages.
+ */
+function diffPropertyDefinition(existing, desired, source = 'file') {
+  const diffs = [];
+  const same = (a, b) => String(a ?? '') === String(b ?? '');
+
+  if (!same(existing.label, desired.label))             diffs.push(`label "${existing.label}" → "${desired.label}"`);
+  if (!same(existing.type, desired.type))               diffs.push(`type ${existing.type} → ${desired.type}`);
+  if (!same(existing.fieldType, desired.fieldType))     diffs.push(`field type ${existing.fieldType} → ${desired.fieldType}`);
+  if (!same(existing.groupName, desired.groupName))     diffs.push(`group ${existing.groupName} → ${desired.groupName}`);
+  if (!same(existing.description, desired.description)) diffs.push('description differs');
+  if (desired.hasUniqueValue && !existing.hasUniqueValue) diffs.push('unique values required');
+
+  for (const key of ['formField', 'hidden', 'displayOrder', 'calculationFormula', 'numberDisplayHint', 'showCurrencySymbol']) {
+    if (desired[key] !== undefined && !same(existing[key], desired[key])) {
+      diffs.push(`${key} ${existing[key] ?? '—'} → ${desired[key]}`);
+    }
+  }
+
+  if (desired.options && !desired.externalOptions) {
+    const have = optionMap(existing.options);
+    const want = optionMap(desired.options);
+    const added   = [...want.keys()].filter(v => !have.has(v));
+    const removed = [...have.keys()].filter(v => !want.has(v));
+    const relabeled = [...want.keys()].filter(v => have.has(v) && have.get(v) !== want.get(v));
+    if (added.length)     diffs.push(`options added: ${added.join(', ')}`);
+    if (removed.length)   diffs.push(`options not in ${source}: ${removed.join(', ')}`);
+    if (relabeled.length) diffs.push(`options relabeled: ${relabeled.join(', ')}`);
+  }
+
+  return diffs;
+}
+
+/**
+ * Merges the options from the file into the existing ones. Options in the
+ * file come first in file order; existing options the file doesn't mention
+ * are kept after them unless removals are allowed.
+ */
+function mergeOptions(existingOptions, desiredOptions, allowRemovals) {
+  const merged = desiredOptions.map(o => ({ ...o }));
+  if (!allowRemovals) {
+    const wanted = new Set(merged.map(o => String(o.value)));
+    for (const opt of (existingOptions || [])) {
+      if (!wanted.has(String(opt.value))) merged.push({ ...opt });
+    }
+  }
+  return merged.map((o, i) => ({ ...o, displayOrder: i }));
+}
+
+function sameOptions(a, b) {
+  const ma = optionMap(a);
+  const mb = optionMap(b);
+  if (ma.size !== mb.size) return false;
+  for (const [value, label] of ma) if (mb.get(value) !== label) return false;
+  return true;
+}
+
+/**
+ * Works out the PATCH body that brings an existing property in line with a
+ * desired definition. Returns null when nothing needs to change. Throws when
+ * the row asks for a type change, which the importer does not attempt.
+ */
+function buildPropertyPatch(existing, desired, allowOptionRemovals) {
+  if (existing.type !== desired.type || existing.fieldType !== desired.fieldType) {
+    throw new Error(`Type cannot be changed from ${existing.type}/${existing.fieldType} to ${desired.type}/${desired.fieldType}`);
+  }
+  if (desired.hasUniqueValue && !existing.hasUniqueValue) {
+    throw new Error('Unique values cannot be required on a property that already exists');
+  }
+  const same = (a, b) => String(a ?? '') === String(b ?? '');
+  const patch = {};
+
+  for (const key of ['label', 'description', 'groupName']) {
+    if (!same(existing[key], desired[key])) patch[key] = desired[key];
+  }
+  for (const key of ['formField', 'hidden', 'displayOrder', 'calculationFormula', 'numberDisplayHint', 'showCurrencySymbol']) {
+    if (desired[key] !== undefined && !same(existing[key], desired[key])) patch[key] = desired[key];
+  }
+  if (desired.options && !desired.externalOptions) {
+    const merged = mergeOptions(existing.options, desired.options, allowOptionRemovals);
+    if (!sameOptions(existing.options, merged)) patch.options = merged;
+  }
+
+  return Object.keys(patch).length ? patch : null;
+}
+
+function humanizeName(name) {
+  return name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Lists the groups named by the rows that don't exist on the object yet, in
+ * the order they first appear. New groups are placed after existing ones.
+ */
+function planNewGroups(rows, existingGroups) {
+  const existingNames = new Set(existingGroups.map(g => g.name));
+  let nextOrder = Math.max(-1, ...existingGroups.map(g => g.displayOrder ?? -1)) + 1;
+  const toCreate = new Map();
+  for (const row of rows) {
+    if (!row.Group || existingNames.has(row.Group)) continue;
+    const planned = toCreate.get(row.Group);
+    if (planned) {
+      if (!planned.label && row.GroupLabel) planned.label = row.GroupLabel;
+      continue;
+    }
+    toCreate.set(row.Group, { name: row.Group, label: row.GroupLabel || '', displayOrder: nextOrder++ });
+  }
+  return [...toCreate.values()].map(g => ({ ...g, label: g.label || humanizeName(g.name) }));
+}
+
+/**
+ * Classifies parsed rows against the live portal. Each result is
+ * { status: 'new' | 'exists' | 'conflict' | 'invalid', reason, internalName, groupName }.
+ * Also returns the groups the rows reference that would have to be created.
+ */
+async function planRows(token, objectType, rows, defaultGroup, rowIndexes = rows.map((_, i) => i)) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const [propsRes, groupsRes] = await Promise.all([
+    axios.get(`https://api.hubapi.com/crm/v3/properties/${objectType}`, { headers, params: { archived: false } }),
+    axios.get(`https://api.hubapi.com/crm/v3/properties/groups/${objectType}`, { headers }),
+  ]);
+  const existing  = new Map((propsRes.data.results || []).map(p => [p.name, p]));
+  const newGroups = planNewGroups(rows, groupsRes.data.results || []);
+  const groups    = new Set([...(groupsRes.data.results || []), ...newGroups].map(g => g.name));
+
+  const needsGroup = rows.some(r => !r.Group);
+  const fallbackGroup = defaultGroup || (needsGroup ? await resolveGroupName(token, objectType) : null);
+
+  const firstRowByName = new Map();
+  const results = rows.map((row, i) => {
+    const internalName = propertyInternalName(row);
+    const groupName    = row.Group || fallbackGroup;
+    const result = (status, reason) => ({ status, reason, internalName, groupName });
+
+    if (!internalName) return result('invalid', 'Name does not produce a usable internal name');
+    if (firstRowByName.has(internalName)) {
+      return result('invalid', `Internal name "${internalName}" is also used by ${firstRowByName.get(internalName)}`);
+    }
+    // The label the parser gave the row, so it points at the same place in the file
+    firstRowByName.set(internalName, row.RowLabel || `Row ${rowIndexes[i] + 2}`);
+    if (RESERVED_NAMES.has(internalName) || RESERVED_PREFIXES.some(p => internalName.startsWith(p))) {
+      if (!existing.has(internalName)) return result('invalid', `"${internalName}" is reserved by HubSpot`);
+    }
+    if (!groups.has(groupName)) return result('invalid', `Group "${groupName}" does not exist on ${objectType}`);
+
+    let body;
+    try {
+      body = buildPropertyBody(row, groupName);
+    } catch (err) {
+      return result('invalid', err.message);
+    }
+
+    const current = existing.get(internalName);
+    if (!current) {
+      const created = newGroups.find(g => g.name === groupName);
+      return result('new', created ? `Group "${created.label}" will be created` : null);
+    }
+    if (current.hubspotDefined) return result('conflict', 'A HubSpot-defined property already uses this name');
+    const diffs = diffPropertyDefinition(current, body);
+    return diffs.length
+      ? result('conflict', `Already exists with differences: ${diffs.join('; ')}`)
+      : result('exists', 'Already exists with the same definition');
+  });
+  return { results, newGroups };
+}
+
+/**
+ * POST /api/dry-run
+ * Body: { objectType, rows: [<normalized row from /api/parse-csv>], defaultGroup? }
+ * Checks every row against the connected portal without creating anything.
+ * Rows with an Object column are checked against that object instead of
+ * objectType.
+ */
+app.post('/api/dry-run', async (req, res) => {
+  const { objectType, rows, defaultGroup } = req.body;
+  if (!objectType || !Array.isArray(rows)) {
+    return res.status(400).json({ success: false, error: 'objectType and rows are required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const targets = await assignObjectTypes(token, rows, objectType, defaultGroup);
+    const results = new Array(rows.length);
+    const newGroups = [];
+
+    const byObject = new Map();
+    rows.forEach((row, i) => {
+      const target = targets[i];
+      if (target.error) {
+        results[i] = { status: 'invalid', reason: target.error, internalName: propertyInternalName(row), groupName: null, objectType: null, objectLabel: row.Object };
+        return;
+      }
+      if (!byObject.has(target.objectType)) byObject.set(target.objectType, { target, indexes: [] });
+      byObject.get(target.objectType).indexes.push(i);
+    });
+
+    for (const { target, indexes } of byObject.values()) {
+      const objectInfo = { objectType: target.objectType, objectLabel: target.label };
+      try {
+        const planned = await planRows(token, target.objectType, indexes.map(i => rows[i]), target.defaultGroup, indexes);
+        planned.results.forEach((r, k) => { results[indexes[k]] = { ...r, ...objectInfo }; });
+        newGroups.push(...planned.newGroups.map(g => ({ ...g, ...objectInfo })));
+      } catch (err) {
+        if (err.statusCode === 401 || err.response?.status === 401) throw err;
+        const reason = `Could not check ${target.label}: ${apiErrorMessage(err)}`;
+        for (const i of indexes) {
+          results[i] = { status: 'invalid', reason, internalName: propertyInternalName(rows[i]), groupName: null, ...objectInfo };
+        }
+      }
+    }
+
+    const counts = { new: 0, exists: 0, conflict: 0, invalid: 0 };
+    for (const r of results) counts[r.status]++;
+    res.json({ success: true, results, counts, newGroups });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+// ── Import jobs ─────────────────────────────────────────────────────────────
+
+const BATCH_CREATE_SIZE = 100; // HubSpot's per-request limit for batch/create
+const JOB_RETENTION_MS  = 7 * 24 * 60 * 60 * 1000;
+const JOB_STORE_DIR     = process.env.IMPORT_JOB_DIR || path.join(__dirname, 'data', 'import-jobs');
+const SUCCEEDED_ROW_STATUSES = ['created', 'updated', 'unchanged'];
+const FINAL_ROW_STATUSES = [...SUCCEEDED_ROW_STATUSES, 'failed', 'skipped', 'cancelled'];
+const RETRYABLE_ROW_STATUSES = ['pending', 'failed', 'cancelled'];
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+const importJobs = new Map();
+const jobWrites  = new Map();
+
+function jobFile(id) {
+  return path.join(JOB_STORE_DIR, `${id}.json`);
+}
+
+/**
+ * Writes a job to disk so it outlives the browser tab and the server process.
+ * Writes for the same job are queued so an older snapshot never lands last.
+ * The session and per-run request bodies are not stored.
+ */
+function saveJob(job) {
+  job.updatedAt = Date.now();
+  const previous = jobWrites.get(job.id) || Promise.resolve();
+  const write = previous.then(async () => {
+    const { session: _session, ...stored } = job;
+    stored.rows = job.rows.map(({ body: _body, existing: _existing, ...row }) => row);
+    await fs.promises.mkdir(JOB_STORE_DIR, { recursive: true });
+    const file = jobFile(job.id);
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(stored));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }).catch((err) => {
+    console.error(`Could not save import job ${job.id}:`, err.message);
+  });
+  jobWrites.set(job.id, write);
+  write.then(() => { if (jobWrites.get(job.id) === write) jobWrites.delete(job.id); });
+}
+
+/**
+ * Loads stored jobs at startup. Jobs that were running when the server
+ * stopped come back paused; rows that were mid-request are flagged so a
+ * resume checks HubSpot before creating them again.
+ */
+function loadImportJobs() {
+  let files;
+  try {
+    files = fs.readdirSync(JOB_STORE_DIR).filter(f => f.endsWith('.json'));
+  } catch {
+    return;
+  }
+  for (const file of files) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOB_STORE_DIR, file), 'utf-8'));
+      job.session = null;
+      if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+        job.status = 'paused';
+        job.error  = 'Interrupted by a server restart. Resume to continue.';
+        job.stopRequested = null;
+        for (const row of job.rows) {
+          if (row.status === 'creating' || row.status === 'updating') {
+            row.status    = 'pending';
+            row.uncertain = true;
+          }
+        }
+      }
+      importJobs.set(job.id, job);
+    } catch (err) {
+      console.error(`Skipping unreadable import job ${file}:`, err.message);
+    }
+  }
+  pruneImportJobs();
+}
+
+function pruneImportJobs() {
+  for (const [id, job] of importJobs) {
+    if (ACTIVE_JOB_STATUSES.includes(job.status)) continue;
+    if (Date.now() - (job.updatedAt || job.createdAt) > JOB_RETENTION_MS) {
+      importJobs.delete(id);
+      fs.promises.unlink(jobFile(id)).catch(() => {});
+    }
+  }
+}
+
+/**
+ * The job with the request's ID, if it belongs to this session's user; see
+ * isOwnedBySession.
+ */
+function findImportJob(req) {
+  const job = importJobs.get(req.params.id);
+  return job && isOwnedBySession(req, job) ? job : null;
+}
+
+/**
+ * Returns a valid token for a background job, persisting any refresh back to
+ * the session the job was started from.
+ */
+async function getJobToken(job) {
+  const before = job.session?.accessToken;
+  const token = await getValidToken({ session: job.session });
+  if (token !== before) job.session.save(() => {});
+  return token;
+}
+
+/**
+ * Called between requests; unwinds the run when the user paused or
+ * cancelled the job.
+ */
+function checkStopRequested(job) {
+  if (!job.stopRequested) return;
+  const err = new Error(`Import ${job.stopRequested === 'cancel' ? 'cancelled' : 'paused'}.`);
+  err.stopped = true;
+  throw err;
+}
+
+function isUnauthorized(err) {
+  return err.statusCode === 401 || err.response?.status === 401;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+function countRows(rows) {
+  return {
+    total:     rows.length,
+    processed: rows.filter(r => FINAL_ROW_STATUSES.includes(r.status)).length,
+    created:   rows.filter(r => r.status === 'created').length,
+    updated:   rows.filter(r => r.status === 'updated').length,
+    unchanged: rows.filter(r => r.status === 'unchanged').length,
+    failed:    rows.filter(r => r.status === 'failed').length,
+    skipped:   rows.filter(r => r.status === 'skipped').length,
+    cancelled: rows.filter(r => r.status === 'cancelled').length,
+  };
+}
+
+/**
+ * Job status without the per-row detail, as listed by GET /api/import-jobs.
+ */
+function summarizeJob(job) {
+  return {
+    id:            job.id,
+    objectType:    job.objectType,
+    fileName:      job.fileName,
+    status:        job.status,
+    stopRequested: job.stopRequested || null,
+    mode:          job.mode,
+    ...countRows(job.rows),
+    retryable:     job.rows.filter(r => r.objectType && RETRYABLE_ROW_STATUSES.includes(r.status)).length,
+    error:         job.error,
+    createdAt:     job.createdAt,
+    updatedAt:     job.updatedAt,
+  };
+}
+
+function serializeJob(job) {
+  return {
+    ...summarizeJob(job),
+    objects:    job.objects.map(({ objectType, label }) => ({
+      objectType, label, ...countRows(job.rows.filter(r => r.objectType === objectType)),
+    })),
+    groups:     job.groups.map(({ objectType, name, label, status, error }) => ({ objectType, name, label, status, error })),
+    rows:       job.rows.map(({ index, name, type, internalName, objectType, status, error, warning }) => ({ index, name, type, internalName, objectType, status, error, warning })),
+  };
+}
+
+/**
+ * Works out which input a batch error refers to. HubSpot usually names the
+ * property in `context`; otherwise fall back to searching the message.
+ */
+function matchBatchError(batchErr, pending) {
+  const ctx = batchErr.context || {};
+  const named = [...(ctx.name || []), ...(ctx.propertyName || []), ...(ctx.properties || [])];
+  for (const name of named) {
+    const row = pending.find(r => r.internalName === name);
+    if (row) return row;
+  }
+  const msg = batchErr.message || '';
+  return pending.find(r => msg.includes(`"${r.internalName}"`) || msg.includes(`'${r.internalName}'`)) || null;
+}
+
+/**
+ * Creates one chunk of rows through the batch endpoint and writes the outcome
+ * back onto each row. When HubSpot rejects the whole batch (e.g. one invalid
+ * input fails validation for all of them) the chunk is retried row-by-row so
+ * the error lands on the row that caused it.
+ */
+async function createChunk(job, objectType, rows) {
+  const token = await getJobToken(job);
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  for (const row of rows) row.status = 'creating';
+  saveJob(job);
+
+  let data;
+  try {
+    const response = await axios.post(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}/batch/create`,
+      { inputs: rows.map(r => r.body) },
+      { headers }
+    );
+    data = response.data;
+  } catch (err) {
+    if (err.response?.status === 401) throw err;
+    if (rows.length === 1) {
+      rows[0].status = 'failed';
+      rows[0].error  = apiErrorMessage(err);
+      return;
+    }
+    for (const row of rows) await createChunk(job, objectType, [row]);
+    return;
+  }
+
+  const pending = [...rows];
+  for (const result of (data.results || [])) {
+    const row = pending.find(r => r.internalName === result.name);
+    if (!row) continue;
+    row.status = 'created';
+    pending.splice(pending.indexOf(row), 1);
+  }
+  const unmatched = [];
+  for (const batchErr of (data.errors || [])) {
+    const row = matchBatchError(batchErr, pending);
+    if (!row) { unmatched.push(batchErr); continue; }
+    row.status = 'failed';
+    row.error  = batchErr.message || 'Unknown error';
+    pending.splice(pending.indexOf(row), 1);
+  }
+  for (const row of pending) {
+    row.status = 'failed';
+    row.error  = unmatched.shift()?.message || 'HubSpot did not return a result for this property.';
+  }
+
+  await applyRowValidationRules(job, objectType, rows.filter(r => r.status === 'created'));
+}
+
+const ROW_OUTCOME_LABELS = { created: 'Created', updated: 'Updated', unchanged: 'Unchanged' };
+
+/**
+ * Sets the validation rules of created or upserted rows. A property whose
+ * rules were rejected keeps its status, with a warning on its row.
+ */
+async function applyRowValidationRules(job, objectType, rows) {
+  for (const row of rows) {
+    const rules = buildValidationRules(row.property);
+    if (rules.length === 0) continue;
+    try {
+      await applyValidationRules(await getJobToken(job), objectType, row.internalName, rules);
+    } catch (err) {
+      row.warning = `${ROW_OUTCOME_LABELS[row.status]}, but its validation rules were not set: ${apiErrorMessage(err)}`;
+      if (isUnauthorized(err)) throw err;
+    }
+  }
+}
+
+/**
+ * Upsert mode: brings one existing property in line with its row.
+ */
+async function updateRow(job, row) {
+  row.status = 'updating';
+  saveJob(job);
+  try {
+    if (row.existing.hubspotDefined) throw new Error('HubSpot-defined properties are not updated by the importer');
+    const patch = buildPropertyPatch(row.existing, row.body, job.allowOptionRemovals);
+    if (patch) {
+      const token = await getJobToken(job);
+      await axios.patch(
+        `https://api.hubapi.com/crm/v3/properties/${row.objectType}/${row.internalName}`,
+        patch,
+        { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+      );
+    }
+    row.status = patch ? 'updated' : 'unchanged';
+    // PATCH leaves validation rules alone, so set the row's rules separately
+    await applyRowValidationRules(job, row.objectType, [row]);
+  } catch (err) {
+    if (err.response?.status === 401) throw err;
+    row.status = 'failed';
+    row.error  = apiErrorMessage(err);
+  }
+}
+
+/**
+ * Creates the groups the job's rows reference that don't exist yet. Rows in
+ * a group that could not be created are failed up front.
+ */
+async function createMissingGroups(job, objectType, rows, token) {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const res = await axios.get(`https://api.hubapi.com/crm/v3/properties/groups/${objectType}`, { headers });
+  const groups = planNewGroups(rows.map(r => r.property), res.data.results || [])
+    .map(g => ({ ...g, objectType, status: 'pending', error: null }));
+  job.groups.push(...groups);
+
+  for (const group of groups) {
+    try {
+      await axios.post(
+        `https://api.hubapi.com/crm/v3/properties/groups/${objectType}`,
+        { name: group.name, label: group.label, displayOrder: group.displayOrder },
+        { headers }
+      );
+      group.status = 'created';
+    } catch (err) {
+      if (err.response?.status === 401) throw err;
+      group.status = 'failed';
+      group.error  = apiErrorMessage(err);
+      for (const row of rows) {
+        if (row.property.Group === group.name && row.status === 'pending') {
+          row.status = 'failed';
+          row.error  = `Group "${group.label}" could not be created: ${group.error}`;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Creates (or in upsert mode, updates) the rows of a job that target one
+ * object type.
+ */
+async function importObjectRows(job, target, rows) {
+  const token = await getJobToken(job);
+  const needsGroup = rows.some(r => !r.property.Group);
+  const groupName = target.defaultGroup || (needsGroup ? await resolveGroupName(token, target.objectType) : null);
+  if (rows.some(r => r.property.Group)) await createMissingGroups(job, target.objectType, rows, token);
+
+  for (const row of rows) {
+    if (row.status !== 'pending') continue;
+    try {
+      row.body = buildPropertyBody(row.property, groupName);
+    } catch (err) {
+      row.status = 'failed';
+      row.error  = err.message;
+    }
+  }
+
+  // Rows cut off mid-request by a restart may already exist; check before creating them again
+  if (job.mode === 'upsert' || rows.some(r => r.uncertain)) {
+    const response = await axios.get(
+      `https://api.hubapi.com/crm/v3/properties/${target.objectType}`,
+      { headers: { Authorization: `Bearer ${token}` }, params: { archived: false } }
+    );
+    const existing = new Map((response.data.results || []).map(p => [p.name, p]));
+    for (const row of rows) {
+      row.existing = existing.get(row.internalName) || null;
+      if (row.uncertain && row.existing && job.mode === 'create' && row.status === 'pending') row.status = 'created';
+      delete row.uncertain;
+    }
+  }
+
+  const pending = rows.filter(r => r.status === 'pending');
+  for (const batch of chunk(pending.filter(r => !r.existing), BATCH_CREATE_SIZE)) {
+    checkStopRequested(job);
+    await createChunk(job, target.objectType, batch);
+    saveJob(job);
+  }
+  for (const row of pending.filter(r => r.existing)) {
+    checkStopRequested(job);
+    await updateRow(job, row);
+    saveJob(job);
+  }
+}
+
+function failUnfinishedRows(rows, error) {
+  for (const row of rows) {
+    if (!FINAL_ROW_STATUSES.includes(row.status)) {
+      row.status = 'failed';
+      row.error  = error;
+    }
+  }
+}
+
+/**
+ * Runs (or resumes) a job over its pending rows. Pausing, cancelling and an
+ * expired session all stop between requests, so no row is left half-done.
+ */
+async function runImportJob(job) {
+  job.status = 'running';
+  job.error  = null;
+  job.unauthenticated = false;
+  saveJob(job);
+  try {
+    for (const target of job.objects) {
+      const rows = job.rows.filter(r => r.objectType === target.objectType && r.status === 'pending');
+      if (rows.length === 0) continue;
+      checkStopRequested(job);
+      try {
+        await importObjectRows(job, target, rows);
+      } catch (err) {
+        // Problems specific to one object (unknown type, no usable group) only fail its rows
+        if (err.stopped || isUnauthorized(err)) throw err;
+        failUnfinishedRows(rows, `${target.label}: ${apiErrorMessage(err)}`);
+      }
+      saveJob(job);
+    }
+    job.status = 'completed';
+  } catch (err) {
+    for (const row of job.rows) {
+      if (row.status === 'creating' || row.status === 'updating') row.status = 'pending';
+    }
+    if (err.stopped && job.stopRequested === 'cancel') {
+      cancelPendingRows(job);
+    } else if (err.stopped) {
+      job.status = 'paused';
+    } else if (isUnauthorized(err)) {
+      job.status = 'paused';
+      job.error  = 'Your HubSpot session expired. Reconnect and resume the import.';
+      job.unauthenticated = true;
+    } else {
+      job.status = 'failed';
+      job.error  = apiErrorMessage(err);
+      failUnfinishedRows(job.rows, job.error);
+    }
+  }
+  job.stopRequested = null;
+  job.finishedAt = Date.now();
+  saveJob(job);
+}
+
+function cancelPendingRows(job) {
+  for (const row of job.rows) {
+    if (row.status === 'pending') row.status = 'cancelled';
+  }
+  job.status = 'cancelled';
+}
+
+/**
+ * Registers a job for rows already matched to their objects by
+ * assignObjectTypes and starts it in the background.
+ */
+function startImportJob(req, { objectType, rows, targets, mode, allowOptionRemovals = false, skipReasons = new Map(), fileName = null }) {
+  const objects = new Map();
+  for (const target of targets) {
+    if (!target.error && !objects.has(target.objectType)) objects.set(target.objectType, target);
+  }
+
+  const job = {
+    id:           crypto.randomUUID(),
+    sessionId:    req.sessionID,
+    session:      req.session,
+    portalId:     req.session.portalId || null,
+    userId:       req.session.userId || null,
+    objectType,
+    fileName:     fileName ? String(fileName) : null,
+    objects:      [...objects.values()],
+    groups:       [],
+    mode,
+    allowOptionRemovals: !!allowOptionRemovals,
+    status:       'queued',
+    stopRequested: null,
+    error:        null,
+    createdAt:    Date.now(),
+    rows: rows.map((property, index) => {
+      const target = targets[index];
+      const skipped = skipReasons.has(index);
+      return {
+        index,
+        property,
+        name:         property.Name,
+        type:         property.Type,
+        internalName: propertyInternalName(property),
+        objectType:   target.error ? null : target.objectType,
+        status:       skipped ? 'skipped' : target.error ? 'failed' : 'pending',
+        error:        skipped ? skipReasons.get(index) : target.error,
+      };
+    }),
+  };
+  pruneImportJobs();
+  importJobs.set(job.id, job);
+  runImportJob(job);
+  return job;
+}
+
+/**
+ * POST /api/import-jobs
+ * Body: { objectType, rows: [<normalized row from /api/parse-file>], defaultGroup?,
+ *         mode?: 'create' | 'upsert', allowOptionRemovals?,
+ *         skip?: [{ index, reason }], fileName? }
+ * Starts a background job that creates all rows through the batch API. In
+ * upsert mode rows that already exist are PATCHed instead. Rows listed in
+ * `skip` are recorded on the job but never sent.
+ */
+app.post('/api/import-jobs', async (req, res) => {
+  const { objectType, rows, defaultGroup, mode = 'create', allowOptionRemovals = false, skip = [], fileName = null } = req.body;
+
+  if (!objectType || !Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ success: false, error: 'objectType and a non-empty rows array are required.' });
+  }
+
+  if (!['create', 'upsert'].includes(mode)) {
+    return res.status(400).json({ success: false, error: `Unknown mode "${mode}".` });
+  }
+
+  const badRow = rows.findIndex(r => !r?.Name || !PROPERTY_TYPES[r.Type]);
+  if (badRow !== -1) {
+    return res.status(400).json({ success: false, error: `Row ${badRow + 1}: missing Name or unknown Type.` });
+  }
+
+  const skipReasons = new Map((Array.isArray(skip) ? skip : []).map(s => [s.index, s.reason || 'Skipped']));
+  if (skipReasons.size >= rows.length) {
+    return res.status(400).json({ success: false, error: 'Every row is skipped; there is nothing to import.' });
+  }
+
+  let targets;
+  try {
+    const token = await getValidToken(req);
+    targets = await assignObjectTypes(token, rows, objectType, defaultGroup);
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    return res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+
+  const job = startImportJob(req, { objectType, rows, targets, mode, allowOptionRemovals, skipReasons, fileName });
+  res.status(202).json({ success: true, job: serializeJob(job) });
+});
+
+/**
+ * GET /api/import-jobs
+ * Lists the user's recent import jobs (newest first) so the UI can
+ * re-attach to one after a reload.
+ */
+app.get('/api/import-jobs', (req, res) => {
+  pruneImportJobs();
+  const jobs = [...importJobs.values()]
+    .filter(job => isOwnedBySession(req, job))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 20)
+    .map(summarizeJob);
+  res.json({ success: true, jobs });
+});
+
+/**
+ * GET /api/import-jobs/:id
+ * Returns job progress and per-row status for polling.
+ */
+app.get('/api/import-jobs/:id', (req, res) => {
+  const job = findImportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found.' });
+  }
+  res.json({ success: true, job: serializeJob(job), unauthenticated: !!job.unauthenticated });
+});
+
+/**
+ * POST /api/import-jobs/:id/pause
+ * Stops a running job after the request in flight; resume picks up from there.
+ */
+app.post('/api/import-jobs/:id/pause', (req, res) => {
+  const job = findImportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found.' });
+  }
+  if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ success: false, error: `The import is ${job.status}, not running.` });
+  }
+  job.stopRequested = 'pause';
+  saveJob(job);
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+/**
+ * POST /api/import-jobs/:id/cancel
+ * Stops the job; rows not yet sent are marked cancelled. Rows already
+ * created stay created.
+ */
+app.post('/api/import-jobs/:id/cancel', (req, res) => {
+  const job = findImportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found.' });
+  }
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+    job.stopRequested = 'cancel';
+  } else if (job.status === 'paused') {
+    cancelPendingRows(job);
+    job.error = null;
+  } else {
+    return res.status(409).json({ success: false, error: `The import is already ${job.status}.` });
+  }
+  saveJob(job);
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+/**
+ * POST /api/import-jobs/:id/resume
+ * Resumes a paused job, or retries a finished one. Only rows that have not
+ * succeeded are sent again, using the caller's session.
+ */
+app.post('/api/import-jobs/:id/resume', async (req, res) => {
+  const job = findImportJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found.' });
+  }
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ success: false, error: 'The import is already running.' });
+  }
+
+  try {
+    await getValidToken(req);
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    return res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+
+  const retry = job.rows.filter(r => r.objectType && RETRYABLE_ROW_STATUSES.includes(r.status));
+  if (retry.length === 0) {
+    return res.status(400).json({ success: false, error: 'Every row has already succeeded or was skipped.' });
+  }
+  for (const row of retry) {
+    row.status = 'pending';
+    row.error  = null;
+  }
+  job.groups     = job.groups.filter(g => g.status === 'created');
+  job.session    = req.session;
+  job.sessionId  = req.sessionID;
+  job.portalId   = job.portalId || req.session.portalId || null;
+  job.finishedAt = null;
+  runImportJob(job);
+
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// ── Manage-properties helpers ───────────────────────────────────────────────
+
+const USAGE_CONCURRENCY      = 4;  // HubSpot's search API allows ~5 requests/second
+const USAGE_CONTEXT_TTL_MS   = 24 * 60 * 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+const SEARCH_PAGE_SIZE       = 100;
+const BATCH_UPDATE_SIZE      = 100; // HubSpot's per-request limit for batch/update
+const usageContextCache  = new Map();
+const usageContextBuilds = new Map();
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a HubSpot request, waiting out 429 responses. Honors Retry-After
+ * (in seconds) when HubSpot sends it and backs off exponentially otherwise.
+ */
+async function withRateLimitRetry(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (err.response?.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) throw err;
+      const retryAfter = Number(err.response.headers?.['retry-after']);
+      await delay(Number.isFinite(retryAfter) && retryAfter >= 0 ? retryAfter * 1000 : 500 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Calls `fn` for every item, with at most `limit` calls in flight.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+async function paginateHubSpot(token, url, key, extra = {}) {
+  const items = [];
+  let after = null;
+  do {
+    const res = await withRateLimitRetry(() => axios.get(url, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { limit: 100, ...extra, ...(after ? { after } : {}) },
+    }));
+    const batch = res.data[key];
+    if (Array.isArray(batch)) items.push(...batch);
+    after = res.data.paging?.next?.after ?? null;
+  } while (after);
+  return items;
+}
+
+const PROPERTY_KEY_RE  = /^[a-zA-Z]*[Pp]roperty(?:[Nn]ame)?$/;
+const PROPERTY_NAME_RE = /^[a-z][a-z0-9_]*$/;
+// {{ contact.firstname }}, {{contact.firstname|default('x')}}, {{ personalization_token('company.name', '') }}
+const TOKEN_RE         = /\{\{\s*(?:personalization_token\(\s*['"])?([a-z_]+)\.([a-z0-9_]+)/g;
+
+function addRef(refs, name, objectType) {
+  if (typeof name === 'string' && PROPERTY_NAME_RE.test(name)) refs.push({ name, objectType: objectType || null });
+}
+
+/**
+ * Personalization tokens in any string under `node`. `aliases` maps token
+ * prefixes that stand for the enrolled record (enrolled_object) to its type;
+ * tokens for non-CRM data (owner, site_settings…) are not property references.
+ */
+function parseTokens(node, refs, aliases = {}) {
+  if (typeof node === 'string') {
+    for (const m of node.matchAll(TOKEN_RE)) {
+      const objectType = aliases[m[1]] || canonicalObjectType(m[1]);
+      if (objectType) addRef(refs, m[2], objectType);
+    }
+  } else if (Array.isArray(node)) {
+    for (const item of node) parseTokens(item, refs, aliases);
+  } else if (node && typeof node === 'object') {
+    for (const value of Object.values(node)) parseTokens(value, refs, aliases);
+  }
+}
+
+/**
+ * Filter branches as used by lists (v3) and v4 workflows. ASSOCIATION
+ * branches switch to the associated object; UNIFIED_EVENTS branches filter
+ * on event properties, except property-change events whose hs_name filter
+ * names the changed property.
+ */
+function parseFilterBranch(branch, objectType, refs) {
+  if (!branch || typeof branch !== 'object') return;
+  const scoped = branch.filterBranchType === 'ASSOCIATION'
+    ? canonicalObjectType(branch.objectTypeId) || null
+    : objectType;
+
+  for (const filter of (branch.filters || [])) {
+    if (branch.filterBranchType === 'UNIFIED_EVENTS') {
+      if (filter.property === 'hs_name') {
+        const op = filter.operation || {};
+        for (const value of [op.value, ...(op.values || [])]) addRef(refs, value, scoped);
+      }
+    } else if (filter.filterType === 'PROPERTY') {
+      addRef(refs, filter.property, scoped);
+    }
+  }
+  for (const child of (branch.filterBranches || [])) parseFilterBranch(child, scoped, refs);
+}
+
+/**
+ * v3 workflow filters: an OR-list of AND-lists (or a flat list). The
+ * filterFamily says which object the property is on.
+ */
+function parseLegacyFilters(filters, objectType, refs) {
+  for (const filter of (filters || []).flat()) {
+    if (!filter || typeof filter.filterFamily !== 'string' || !/Propert/.test(filter.filterFamily)) continue;
+    const family = /^(Company|Deal|Ticket)/.exec(filter.filterFamily);
+    addRef(refs, filter.property, family ? canonicalObjectType(family[1]) : objectType);
+  }
+}
+
+/**
+ * v3 actions: SET_<OBJECT>_PROPERTY, COPY_PROPERTY / COPY_COMPANY_PROPERTY,
+ * DATE_STAMP_PROPERTY, INCREMENT_PROPERTY and the like carry the property in
+ * fixed keys; BRANCH actions nest filters and two action lists.
+ */
+function parseLegacyActions(actions, objectType, refs) {
+  for (const action of (actions || [])) {
+    if (!action || typeof action !== 'object') continue;
+    const typeObject = /^(?:SET|COPY)_([A-Z_]+?)_PROPERTY$/.exec(action.type || '');
+    const actionObject = (typeObject && canonicalObjectType(typeObject[1])) || canonicalObjectType(action.model) || objectType;
+
+    addRef(refs, action.propertyName, actionObject);
+    addRef(refs, action.sourceProperty ?? action.sourcePropertyName, canonicalObjectType(action.sourceModel) || actionObject);
+    addRef(refs, action.targetProperty ?? action.targetPropertyName, canonicalObjectType(action.targetModel) || objectType);
+
+    if (action.type === 'BRANCH') {
+      parseLegacyFilters(action.filters, objectType, refs);
+      parseLegacyActions(action.acceptActions, objectType, refs);
+      parseLegacyActions(action.rejectActions, objectType, refs);
+    }
+    parseTokens(action.body ?? action.subject ?? action.message, refs);
+  }
+}
+
+/**
+ * Property references inside a v4 action's fields: OBJECT_PROPERTY values,
+ * property_name / targetProperty settings and enrolled_object tokens.
+ */
+function parseFlowValue(node, objectType, refs) {
+  if (Array.isArray(node)) {
+    for (const item of node) parseFlowValue(item, objectType, refs);
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'OBJECT_PROPERTY') addRef(refs, node.propertyName, objectType);
+    for (const value of Object.values(node)) parseFlowValue(value, objectType, refs);
+  } else if (typeof node === 'string') {
+    parseTokens(node, refs, { enrolled_object: objectType });
+  }
+}
+
+function parseFlowActions(actions, objectType, refs) {
+  for (const action of (actions || [])) {
+    const fields = action.fields || {};
+    // Actions that write to an associated record rather than the enrolled one
+    const target = fields.association ? null : objectType;
+
+    addRef(refs, fields.property_name, target);
+    if (fields.object_type_id) {
+      // Create record (0-14): properties are set on the new record's object
+      const created = canonicalObjectType(fields.object_type_id);
+      for (const prop of (fields.properties || [])) addRef(refs, prop.targetProperty, created);
+    }
+    parseFlowValue(fields, objectType, refs);
+
+    for (const branch of (action.listBranches || [])) parseFilterBranch(branch.filterBranch, objectType, refs);
+    if (action.inputValue) parseFlowValue(action.inputValue, objectType, refs);
+  }
+}
+
+/**
+ * Workflows, in either the v4 flow shape (objectTypeId, enrollmentCriteria
+ * with filter branches, actions with actionTypeId/fields) or the v3 shape
+ * (contact-based, segmentCriteria/goalCriteria, typed actions).
+ */
+function extractWorkflowProps(workflow) {
+  const refs = [];
+
+  if (workflow.objectTypeId || workflow.enrollmentCriteria || (workflow.actions || []).some(a => a.actionTypeId)) {
+    const objectType = canonicalObjectType(workflow.objectTypeId) || canonicalObjectType('contacts');
+    const criteria = workflow.enrollmentCriteria || {};
+    parseFilterBranch(criteria.listFilterBranch, objectType, refs);
+    for (const branch of (criteria.reEnrollmentTriggersFilterBranches || [])) parseFilterBranch(branch, objectType, refs);
+    for (const branch of (criteria.eventFilterBranches || [])) parseFilterBranch(branch, objectType, refs);
+    parseFilterBranch(workflow.goalFilterBranch, objectType, refs);
+    parseFilterBranch(workflow.unEnrollmentObjectsFilterBranch, objectType, refs);
+    parseFlowActions(workflow.actions, objectType, refs);
+    return refs;
+  }
+
+  // The v3 API only serves contact-based workflows
+  const objectType = canonicalObjectType('contacts');
+  parseLegacyFilters(workflow.segmentCriteria, objectType, refs);
+  parseLegacyFilters(workflow.goalCriteria, objectType, refs);
+  for (const trigger of (workflow.reEnrollmentTriggerSets || []).flat()) {
+    if (trigger?.type === 'CONTACT_PROPERTY_NAME') addRef(refs, trigger.id, objectType);
+  }
+  addRef(refs, workflow.anchorSetting?.propertyName, objectType);
+  parseLegacyActions(workflow.actions, objectType, refs);
+  return refs;
+}
+
+/**
+ * Lists: the filter branch tree, on the list's own object.
+ */
+function extractListProps(list) {
+  const refs = [];
+  parseFilterBranch(list.filterBranch, canonicalObjectType(list.objectTypeId), refs);
+  return refs;
+}
+
+/**
+ * Reports: dimensions, metrics, filters and sorts. Single-object reports
+ * name their object in dataType; cross-object ones prefix each property
+ * (DEAL.amount).
+ */
+function extractReportProps(report) {
+  const refs = [];
+  const config = report.config || report;
+  const objectType = canonicalObjectType(config.dataType ?? report.dataType) || canonicalObjectType(config.objectTypeId);
+
+  const add = (entry) => {
+    const value = typeof entry === 'string' ? entry : entry?.property ?? entry?.propertyName;
+    if (typeof value !== 'string') return;
+    const dotted = /^([A-Za-z_]+)\.([a-z][a-z0-9_]*)$/.exec(value);
+    if (dotted) addRef(refs, dotted[2], canonicalObjectType(dotted[1]));
+    else addRef(refs, value, canonicalObjectType(entry?.objectTypeId) || objectType);
+  };
+
+  for (const dimension of (config.dimensions || [])) add(dimension);
+  for (const metric of (config.metrics || [])) add(metric);
+  for (const sort of (config.sort || config.sorts || [])) add(sort);
+  const filters = config.filters || {};
+  for (const filter of [...(Array.isArray(filters) ? filters : []), ...(filters.custom || [])]) add(filter);
+  if (filters.dateRange) add(filters.dateRange);
+  if (config.compareProperty) add(config.compareProperty);
+  return refs;
+}
+
+/**
+ * Marketing emails: personalization tokens in the subject, preview text and
+ * every content widget.
+ */
+function extractEmailProps(email) {
+  const refs = [];
+  parseTokens(email, refs);
+  return refs;
+}
+
+/**
+ * Any *property / *propertyName key under `node`, for sources without fixed
+ * property slots.
+ */
+function parsePropertyKeys(node, objectType, refs) {
+  if (Array.isArray(node)) {
+    for (const item of node) parsePropertyKeys(item, objectType, refs);
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (typeof value === 'string') { if (PROPERTY_KEY_RE.test(key)) addRef(refs, value, objectType); }
+      else parsePropertyKeys(value, objectType, refs);
+    }
+  }
+}
+
+/**
+ * Pipelines: property keys in stage metadata, on the pipeline's object.
+ */
+function extractPipelineProps(pipeline, objectType) {
+  const refs = [];
+  parsePropertyKeys(pipeline, canonicalObjectType(objectType), refs);
+  return refs;
+}
+
+const FORMULA_KEYWORDS = new Set(['if', 'then', 'else', 'elseif', 'endif', 'and', 'or', 'not', 'true', 'false', 'null']);
+
+/**
+ * Calculated properties: identifiers in the calculationFormula, minus
+ * string literals, function names and keywords. They refer to properties of
+ * the calculated property's own object.
+ */
+function extractCalculationProps({ property, objectType }) {
+  const refs = [];
+  const formula = String(property.calculationFormula || '').replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, ' ');
+  for (const m of formula.matchAll(/\b([a-z_][a-z0-9_]*)\b(?!\s*\()/gi)) {
+    const name = m[1].toLowerCase();
+    if (!FORMULA_KEYWORDS.has(name) && name !== property.name) addRef(refs, name, objectType);
+  }
+  return refs;
+}
+
+/**
+ * Custom object schemas: the required, searchable and display properties.
+ */
+function extractSchemaProps(schema) {
+  const refs = [];
+  const objectType = canonicalObjectType(schema.objectTypeId);
+  const names = [
+    ...(schema.requiredProperties || []), ...(schema.searchableProperties || []),
+    schema.primaryDisplayProperty, ...(schema.secondaryDisplayProperties || []),
+  ];
+  for (const name of names) addRef(refs, name, objectType);
+  return refs;
+}
+
+/**
+ * Sequences: personalization tokens in step subjects, bodies and task notes.
+ */
+function extractSequenceProps(sequence) {
+  const refs = [];
+  parseTokens(sequence.steps ?? sequence, refs);
+  return refs;
+}
+
+/**
+ * Chatflows: bot actions that save answers to a property (always on the
+ * visitor's contact) and personalization tokens in bot messages.
+ */
+function extractChatflowProps(chatflow) {
+  const refs = [];
+  parsePropertyKeys(chatflow, canonicalObjectType('contacts'), refs);
+  parseTokens(chatflow, refs);
+  return refs;
+}
+
+/**
+ * Form fields name their property directly; newer forms also say which
+ * object it belongs to, older ones are always contact fields.
+ */
+function extractFormProps(form) {
+  const refs = [];
+
+  function scanFields(fields) {
+    for (const field of (fields || [])) {
+      if (field.name) refs.push({ name: field.name, objectType: canonicalObjectType(field.objectTypeId) || canonicalObjectType('contacts') });
+      for (const dep of (field.dependentFields || [])) {
+        if (dep.dependentField) scanFields([dep.dependentField]);
+        for (const filter of (dep.dependentFieldFilters || [])) {
+          if (filter.dependentFormField) scanFields([filter.dependentFormField]);
+        }
+        scanFields(dep.fields);
+      }
+    }
+  }
+
+  for (const group of (form.fieldGroups || [])) scanFields(group.fields);
+
+  const legacyFields = form.formFields;
+  if (Array.isArray(legacyFields)) {
+    if (legacyFields.length > 0 && Array.isArray(legacyFields[0])) {
+      for (const row of legacyFields) scanFields(row);
+    } else {
+      scanFields(legacyFields);
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Workflows with their full definitions: the list endpoints only return
+ * summaries, so each one is fetched individually. Uses the v4 flows API,
+ * falling back to v3 (contact workflows only) when the app lacks access.
+ */
+async function fetchWorkflows(token) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const fetchDetails = async (summaries, urlFor) => {
+    const details = new Array(summaries.length);
+    await mapWithConcurrency(summaries, USAGE_CONCURRENCY, async (summary, i) => {
+      const res = await withRateLimitRetry(() => axios.get(urlFor(summary.id), { headers }));
+      details[i] = res.data;
+    });
+    return details;
+  };
+
+  try {
+    const flows = await paginateHubSpot(token, 'https://api.hubapi.com/automation/v4/flows', 'results');
+    return await fetchDetails(flows, id => `https://api.hubapi.com/automation/v4/flows/${id}`);
+  } catch (err) {
+    if (![403, 404].includes(err.response?.status)) throw err;
+  }
+
+  const workflows = await paginateHubSpot(token, 'https://api.hubapi.com/automation/v3/workflows', 'workflows');
+  return fetchDetails(workflows, id => `https://api.hubapi.com/automation/v3/workflows/${id}`);
+}
+
+/**
+ * Scans workflows, forms, lists, pipelines, marketing emails, reports,
+ * calculated properties, custom object schemas, sequences and chatflows for
+ * property references. The sources are fetched in parallel; one that fails
+ * (usually a missing scope) becomes a warning instead of failing the rest.
+ * References are kept per object type ID, under "*" when the source does
+ * not say which object the property belongs to.
+ */
+async function buildUsageContext(token, userId) {
+  const references = {};
+
+  function addUsage(objectType, propName, type, sourceName) {
+    const byProp = references[objectType || '*'] ??= {};
+    const byType = byProp[propName] ??= {};
+    const names  = byType[type] ??= [];
+    if (!names.includes(sourceName)) names.push(sourceName);
+  }
+
+  async function scan(label, type, fetchItems, extract, nameOf) {
+    try {
+      const items = await fetchItems();
+      for (const item of items) {
+        const sourceName = nameOf(item);
+        for (const ref of extract(item)) addUsage(ref.objectType, ref.name, type, sourceName);
+      }
+      return { count: items.length, warning: null };
+    } catch (err) {
+      return { count: 0, warning: `${label}: ${err.response?.data?.message || err.message}` };
+    }
+  }
+
+  const headers = { Authorization: `Bearer ${token}` };
+  // Custom objects add pipelines and calculated properties of their own
+  const schemasPromise = paginateHubSpot(token, 'https://api.hubapi.com/crm/v3/schemas', 'results');
+  const customTypeIds = () => schemasPromise.then(schemas => schemas.map(s => s.objectTypeId), () => []);
+
+  const [workflows, forms, lists, pipelines, emails, reports, calculations, schemas, sequences, chatflows] = await Promise.all([
+    scan('Workflows', 'workflows',
+      () => fetchWorkflows(token),
+      extractWorkflowProps, wf => wf.name || `Workflow ${wf.id || ''}`.trim()),
+    scan('Forms', 'forms',
+      () => paginateHubSpot(token, 'https://api.hubapi.com/marketing/v3/forms', 'results'),
+      extractFormProps, f => f.name || f.id || 'Unnamed Form'),
+    scan('Lists', 'lists',
+      () => paginateHubSpot(token, 'https://api.hubapi.com/crm/v3/lists', 'lists', { includeFilters: true }),
+      extractListProps, list => list.name || list.listId || 'Unnamed List'),
+    scan('Pipelines', 'pipelines',
+      async () => {
+        const fetchPipelines = objectType => withRateLimitRetry(() =>
+          axios.get(`https://api.hubapi.com/crm/v3/pipelines/${objectType}`, { headers }))
+          .then(r => (r.data.results || []).map(pipeline => ({ pipeline, objectType })));
+        const [standard, custom] = await Promise.all([
+          Promise.all(['deals', 'tickets'].map(fetchPipelines)),
+          // Most custom objects have no pipelines; the API answers 4xx for those
+          customTypeIds().then(typeIds => Promise.all(typeIds.map(typeId => fetchPipelines(typeId).catch(() => [])))),
+        ]);
+        return [...standard, ...custom].flat();
+      },
+      ({ pipeline, objectType }) => extractPipelineProps(pipeline, objectType),
+      ({ pipeline }) => pipeline.label || pipeline.id || 'Unnamed Pipeline'),
+    scan('Marketing emails', 'emails',
+      () => paginateHubSpot(token, 'https://api.hubapi.com/marketing/v3/emails', 'results'),
+      extractEmailProps, email => email.name || email.id || 'Unnamed Email'),
+    scan('Reports', 'reports',
+      async () => {
+        const reportRes = await withRateLimitRetry(() =>
+          axios.get('https://api.hubapi.com/reporting/v1/reports', { headers, params: { limit: 300 } }));
+        return reportRes.data.objects || reportRes.data.results || [];
+      },
+      extractReportProps, report => report.name || report.id || 'Unnamed Report'),
+    scan('Calculated properties', 'calculations',
+      async () => {
+        const typeIds = [...STANDARD_OBJECTS.map(o => o.typeId), ...await customTypeIds()];
+        const calculated = [];
+        // Not every object supports calculated properties; skip the ones that refuse
+        await mapWithConcurrency(typeIds, USAGE_CONCURRENCY, async (objectType) => {
+          try {
+            const res = await withRateLimitRetry(() =>
+              axios.get(`https://api.hubapi.com/crm/v3/properties/${objectType}`, { headers }));
+            for (const property of (res.data.results || [])) {
+              if (property.calculationFormula) calculated.push({ property, objectType });
+            }
+          } catch (err) {
+            if (isUnauthorized(err)) throw err;
+          }
+        });
+        return calculated;
+      },
+      extractCalculationProps, ({ property }) => property.label || property.name),
+    scan('Custom object schemas', 'schemas',
+      () => schemasPromise,
+      extractSchemaProps, schema => schema.labels?.singular || schema.name || schema.objectTypeId),
+    scan('Sequences', 'sequences',
+      async () => {
+        // The sequences API is per user; without the user ID there is nothing to list
+        if (!userId) throw new Error('user ID unknown; sign in again to scan sequences');
+        const summaries = await paginateHubSpot(token, 'https://api.hubapi.com/automation/v4/sequences', 'results', { userId });
+        const details = new Array(summaries.length);
+        await mapWithConcurrency(summaries, USAGE_CONCURRENCY, async (summary, i) => {
+          const res = await withRateLimitRetry(() => axios.get(
+            `https://api.hubapi.com/automation/v4/sequences/${summary.id}`, { headers, params: { userId } }));
+          details[i] = res.data;
+        });
+        return details;
+      },
+      extractSequenceProps, sequence => sequence.name || sequence.id || 'Unnamed Sequence'),
+    scan('Chatflows', 'chatflows',
+      () => paginateHubSpot(token, 'https://api.hubapi.com/conversations/v3/chatflows', 'results'),
+      extractChatflowProps, chatflow => chatflow.name || chatflow.id || 'Unnamed Chatflow'),
+  ]);
+
+  const sources = [workflows, forms, lists, pipelines, emails, reports, calculations, schemas, sequences, chatflows];
+  return {
+    references,
+    workflowCount: workflows.count, formCount: forms.count, listCount: lists.count,
+    pipelineCount: pipelines.count, reportCount: reports.count, emailCount: emails.count,
+    calculationCount: calculations.count, schemaCount: schemas.count,
+    sequenceCount: sequences.count, chatflowCount: chatflows.count,
+    warnings: sources.map(r => r.warning).filter(Boolean),
+  };
+}
+
+/**
+ * Returns the portal's usage context, from the cache unless `refresh` is set
+ * or it is more than a day old. Concurrent requests share one build.
+ */
+async function getUsageContext(req, token, refresh) {
+  const key = req.session.portalId ? `portal:${req.session.portalId}` : `session:${req.sessionID}`;
+  const cached = usageContextCache.get(key);
+  if (!refresh && cached && Date.now() - cached.analyzedAt < USAGE_CONTEXT_TTL_MS) {
+    return { ...cached, cached: true };
+  }
+
+  if (!usageContextBuilds.has(key)) {
+    const build = buildUsageContext(token, req.session.userId)
+      .then((context) => {
+        const entry = { ...context, analyzedAt: Date.now() };
+        usageContextCache.set(key, entry);
+        return entry;
+      })
+      .finally(() => usageContextBuilds.delete(key));
+    usageContextBuilds.set(key, build);
+  }
+  return { ...(await usageContextBuilds.get(key)), cached: false };
+}
+
+/**
+ * Narrows a usage context to one object type: its own references plus the
+ * ones whose object could not be determined. Returns the per-source property
+ * lists and details the Manage tab works with.
+ */
+function scopeUsageContext(context, objectType) {
+  const typeId = canonicalObjectType(objectType) || objectType;
+  const details = {};
+  for (const key of [typeId, '*']) {
+    for (const [propName, byType] of Object.entries(context.references[key] || {})) {
+      for (const [type, names] of Object.entries(byType)) {
+        const merged = (details[propName] ??= {})[type] ??= [];
+        for (const name of names) if (!merged.includes(name)) merged.push(name);
+      }
+    }
+  }
+  const usedIn = (type) => Object.keys(details).filter(propName => details[propName][type]);
+
+  const { references: _references, ...rest } = context;
+  return {
+    ...rest,
+    objectType:            typeId,
+    workflowProperties:    usedIn('workflows'),
+    formProperties:        usedIn('forms'),
+    listProperties:        usedIn('lists'),
+    pipelineProperties:    usedIn('pipelines'),
+    reportProperties:      usedIn('reports'),
+    emailProperties:       usedIn('emails'),
+    calculationProperties: usedIn('calculations'),
+    schemaProperties:      usedIn('schemas'),
+    sequenceProperties:    usedIn('sequences'),
+    chatflowProperties:    usedIn('chatflows'),
+    propertyUsageDetails:  details,
+  };
+}
+
+/**
+ * Number of records that have a value for the property.
+ */
+async function countPropertyRecords(token, objectType, propertyName) {
+  return countRecords(token, objectType, [{ propertyName, operator: 'HAS_PROPERTY' }]);
+}
+
+// Contacts predate the hs_ prefix for their last-modified date
+function lastModifiedProperty(objectType) {
+  return canonicalObjectType(objectType) === '0-1' ? 'lastmodifieddate' : 'hs_lastmodifieddate';
+}
+
+/**
+ * Number of records with a value for the property, and the last-modified
+ * date of the most recently changed one among them: the closest the search
+ * API gets to when the property was last written.
+ */
+async function propertyRecordStats(token, objectType, propertyName) {
+  const lastModified = lastModifiedProperty(objectType);
+  const response = await withRateLimitRetry(() => axios.post(
+    `https://api.hubapi.com/crm/v3/objects/${objectType}/search`,
+    {
+      filterGroups: [{ filters: [{ propertyName, operator: 'HAS_PROPERTY' }] }],
+      sorts: [{ propertyName: lastModified, direction: 'DESCENDING' }],
+      properties: [lastModified],
+      limit: 1,
+    },
+    { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+  ));
+  return {
+    total:         response.data.total ?? 0,
+    lastWrittenAt: response.data.results?.[0]?.properties?.[lastModified] ?? null,
+  };
+}
+
+/**
+ * Number of records matching all of `filters`; every record of the object
+ * when there are none.
+ */
+async function countRecords(token, objectType, filters) {
+  const response = await withRateLimitRetry(() => axios.post(
+    `https://api.hubapi.com/crm/v3/objects/${objectType}/search`,
+    { filterGroups: filters.length ? [{ filters }] : [], limit: 1, properties: [] },
+    { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+  ));
+  return response.data.total ?? 0;
+}
+
+/**
+ * One page of the records matching all of `filters` whose ID is above
+ * `afterId`, in ID order. The search API stops at 10,000 results per query,
+ * so pages are walked by ascending record ID instead of with the paging
+ * cursor; a page shorter than SEARCH_PAGE_SIZE is the last.
+ */
+async function searchRecordPage(token, objectType, filters, properties, afterId) {
+  const res = await withRateLimitRetry(() => axios.post(
+    `https://api.hubapi.com/crm/v3/objects/${objectType}/search`,
+    {
+      filterGroups: [{ filters: [...filters, { propertyName: 'hs_object_id', operator: 'GT', value: afterId }] }],
+      sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+      properties,
+      limit: SEARCH_PAGE_SIZE,
+    },
+    { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+  ));
+  return res.data.results || [];
+}
+
+/**
+ * Every record matching all of `filters`, with `properties`.
+ */
+async function searchAllRecords(token, objectType, filters, properties) {
+  const records = [];
+  let lastId = '0';
+  for (;;) {
+    const results = await searchRecordPage(token, objectType, filters, properties, lastId);
+    records.push(...results);
+    if (results.length < SEARCH_PAGE_SIZE) return records;
+    lastId = results[results.length - 1].id;
+  }
+}
+
+/**
+ * Which inputs of a batch/update call were not updated. HubSpot may answer
+ * 207 with errors that don't name their records, or return fewer results
+ * than inputs, so every input ID missing from `results` counts as failed.
+ */
+function reconcileBatchUpdate(inputs, data) {
+  const updated = new Set((data?.results || []).map(r => String(r.id)));
+  const errors = data?.errors || [];
+  const errorById = new Map();
+  for (const error of errors) {
+    for (const id of (error.context?.ids || [])) errorById.set(String(id), error.message);
+  }
+  const fallback = errors.find(e => !e.context?.ids?.length)?.message || 'HubSpot did not confirm this update.';
+  const failed = inputs
+    .filter(({ id }) => !updated.has(String(id)))
+    .map(({ id }) => ({ id, error: errorById.get(String(id)) || fallback }));
+  return { updated: inputs.length - failed.length, failed };
+}
+
+/**
+ * Writes record property values through batch/update, BATCH_UPDATE_SIZE
+ * records at a time. A failed batch fails its records; a 401 stops.
+ */
+async function batchUpdateRecords(token, objectType, inputs) {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  let updatedRecords = 0;
+  const failedRecords = [];
+  for (const batch of chunk(inputs, BATCH_UPDATE_SIZE)) {
+    try {
+      const updateRes = await withRateLimitRetry(() => axios.post(
+        `https://api.hubapi.com/crm/v3/objects/${objectType}/batch/update`, { inputs: batch }, { headers }));
+      const { updated, failed } = reconcileBatchUpdate(batch, updateRes.data);
+      updatedRecords += updated;
+      failedRecords.push(...failed);
+    } catch (err) {
+      if (isUnauthorized(err)) throw err;
+      failedRecords.push(...batch.map(({ id }) => ({ id, error: apiErrorMessage(err) })));
+    }
+  }
+  return { updatedRecords, failedRecords };
+}
+
+// Scope needed to update records, by object type ID; custom objects share one
+const RECORD_WRITE_SCOPES = {
+  '0-1': 'crm.objects.contacts.write',
+  '0-2': 'crm.objects.companies.write',
+  '0-3': 'crm.objects.deals.write',
+  '0-5': 'tickets',
+};
+
+/**
+ * Why HubSpot would refuse to update records of `objectType` with this
+ * token, or null. Connections made before the app asked for the write scopes
+ * lack them until reconnected. Objects we know no scope for, and token info
+ * we can't read, are not blocked.
+ */
+async function recordWriteBlocker(token, objectType) {
+  const typeId = canonicalObjectType(objectType);
+  const scope = RECORD_WRITE_SCOPES[typeId] || (/^2-\d+$/.test(typeId || '') ? 'crm.objects.custom.write' : null);
+  if (!scope) return null;
+  let scopes;
+  try {
+    const infoRes = await axios.get(`https://api.hubapi.com/oauth/v1/access-tokens/${token}`);
+    scopes = infoRes.data.scopes || [];
+  } catch {
+    return null;
+  }
+  if (scopes.includes(scope)) return null;
+  return `This connection can't update ${objectType} records: it lacks the ${scope} scope. Disconnect and connect again to grant it.`;
+}
+
+// Multiple checkboxes store the selected values joined with ";"
+function isMultiSelect(property) {
+  return property.type === 'enumeration' && property.fieldType === 'checkbox';
+}
+
+function optionFilter(property, value) {
+  return { propertyName: property.name, operator: isMultiSelect(property) ? 'CONTAINS_TOKEN' : 'EQ', value };
+}
+
+/**
+ * A record's value with option `from` replaced by `to`. For multi-selects
+ * `to` is not repeated when the record already has it.
+ */
+function replaceOptionValue(property, current, from, to) {
+  if (!isMultiSelect(property)) return to;
+  const values = String(current || '').split(';').map(v => (v === from ? to : v));
+  return [...new Set(values)].join(';');
+}
+
+const RESTORABLE_FIELDS = [
+  'name', 'label', 'type', 'fieldType', 'groupName', 'description', 'options', 'displayOrder',
+  'hasUniqueValue', 'hidden', 'formField', 'calculationFormula', 'referencedObjectType', 'externalOptions',
+  'numberDisplayHint', 'showCurrencySymbol',
+];
+
+/**
+ * The writable part of a property definition as returned by HubSpot, for
+ * re-creating it. Read-only fields (timestamps, archived flags,
+ * modificationMetadata…) are dropped. Validation rules aren't part of the
+ * definition; they are set afterwards with restoreValidationRules.
+ */
+function restorablePropertyBody(property) {
+  const body = {};
+  for (const field of RESTORABLE_FIELDS) {
+    if (property[field] !== undefined && property[field] !== null) body[field] = property[field];
+  }
+  return body;
+}
+
+/**
+ * Why restoring `name` failed. HubSpot answers 409 when a live property
+ * already has the name, or while the archived one still reserves it.
+ */
+function restoreFailureMessage(name, err) {
+  if (err.response?.status === 409) {
+    return `"${name}" can't be restored: a property with that name already exists, or HubSpot still reserves the name for the archived one. ` +
+      'If it was restored already, reload the list; otherwise try again later.';
+  }
+  return err.response?.data?.message || err.message;
+}
+
+// ── Manage routes ───────────────────────────────────────────────────────────
+
+/**
+ * GET /api/list-object-types
+ */
+app.get('/api/list-object-types', async (req, res) => {
+  let customObjects = [];
+  let warning = null;
+
+  try {
+    const token = await getValidToken(req);
+    customObjects = (await listCustomObjects(token)).map(({ value, label, defaultGroup }) => ({ value, label, defaultGroup }));
+  } catch (err) {
+    if (err.statusCode === 401) {
+      return res.status(401).json({ success: false, error: err.message, unauthenticated: true });
+    }
+    warning = `Custom objects could not be loaded: ${err.response?.data?.message || err.message}`;
+  }
+
+  res.json({ success: true, objectTypes: [...STANDARD_OBJECTS, ...customObjects], warning });
+});
+
+/**
+ * GET /api/list-properties?objectType=&archived=&snapshot=
+ * With archived=true, lists only the archived (deleted) properties. With
+ * snapshot=true (the Manage tab's load), the live list is also kept as a
+ * snapshot when it changed since the last one.
+ */
+app.get('/api/list-properties', async (req, res) => {
+  const { objectType } = req.query;
+  const archived = req.query.archived === 'true';
+  if (!objectType) {
+    return res.status(400).json({ success: false, error: 'objectType is required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const response = await axios.get(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}`,
+      { headers: { Authorization: `Bearer ${token}` }, params: { archived } }
+    );
+    const properties = (response.data.results || [])
+      .sort((a, b) => (a.label || a.name).localeCompare(b.label || b.name));
+    if (!archived && req.query.snapshot === 'true') {
+      // A failed snapshot write doesn't fail the load
+      await recordSnapshot(req, objectType, properties, 'load')
+        .catch(err => console.error(`Snapshot of ${objectType} failed:`, err.message));
+    }
+    res.json({ success: true, properties, count: properties.length });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    const msg = err.response?.data?.message || err.message;
+    res.status(status).json({ success: false, error: msg, unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * POST /api/fetch-usage-context
+ * Body: { objectType?, refresh? }
+ * Returns the (cached) usage context with the time it was analyzed at,
+ * scoped to `objectType` when given.
+ */
+app.post('/api/fetch-usage-context', async (req, res) => {
+  try {
+    const token = await getValidToken(req);
+    const context = await getUsageContext(req, token, !!req.body?.refresh);
+    res.json({ success: true, ...(req.body?.objectType ? scopeUsageContext(context, req.body.objectType) : context) });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * POST /api/analyze-usage
+ * Body: { objectType, propertyNames: [...], refresh? }
+ * Streams newline-delimited JSON: one `context` message with the usage
+ * context scoped to `objectType`, an `objectTotal` message with the object's
+ * record count, a `records` message per property (count and last write) as
+ * it arrives, then `done` (or `error`). Record counts run with bounded
+ * concurrency and stop when the client goes away.
+ */
+app.post('/api/analyze-usage', async (req, res) => {
+  const { objectType, propertyNames, refresh = false } = req.body;
+  if (!objectType || !Array.isArray(propertyNames)) {
+    return res.status(400).json({ success: false, error: 'objectType and a propertyNames array are required.' });
+  }
+
+  let token;
+  try {
+    token = await getValidToken(req);
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({ success: false, error: err.message, unauthenticated: true });
+  }
+
+  res.set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (message) => { if (!closed) res.write(JSON.stringify(message) + '\n'); };
+
+  try {
+    send({ type: 'context', ...scopeUsageContext(await getUsageContext(req, token, refresh), objectType) });
+
+    try {
+      send({ type: 'objectTotal', total: await countRecords(token, objectType, []) });
+    } catch (err) {
+      if (isUnauthorized(err)) throw err;
+      send({ type: 'objectTotal', error: apiErrorMessage(err) });
+    }
+
+    await mapWithConcurrency(propertyNames, USAGE_CONCURRENCY, async (name) => {
+      if (closed) return;
+      try {
+        send({ type: 'records', name, ...await propertyRecordStats(await getValidToken(req), objectType, name) });
+      } catch (err) {
+        if (err.statusCode === 401 || err.response?.status === 401) throw err;
+        send({ type: 'records', name, error: apiErrorMessage(err) });
+      }
+    });
+    send({ type: 'done' });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    send({ type: 'error', error: apiErrorMessage(err), unauthenticated: status === 401 });
+    closed = true;
+  }
+  res.end();
+});
+
+/**
+ * POST /api/check-property-records
+ * Body: { objectType, propertyName }
+ */
+app.post('/api/check-property-records', async (req, res) => {
+  const { objectType, propertyName } = req.body;
+  if (!objectType || !propertyName) {
+    return res.status(400).json({ success: false, error: 'objectType and propertyName are required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    res.json({ success: true, ...await propertyRecordStats(token, objectType, propertyName) });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: err.response?.data?.message || err.message });
+  }
+});
+
+/**
+ * DELETE /api/delete-property
+ * Body: { objectType, propertyName }
+ * Refused with 409 unless the property is in a recent completed backup.
+ */
+app.delete('/api/delete-property', async (req, res) => {
+  const { objectType, propertyName } = req.body;
+  if (!objectType || !propertyName) {
+    return res.status(400).json({ success: false, error: 'objectType and propertyName are required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    if (propertiesWithoutBackup(req, objectType, [String(propertyName)]).length) {
+      return res.status(409).json({ success: false, error: `"${propertyName}" has no recent backup, so it was not deleted. Take a backup first.` });
+    }
+    await axios.delete(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}/${propertyName}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: err.response?.data?.message || err.message });
+  }
+});
+
+/**
+ * POST /api/restore-properties
+ * Body: { objectType, propertyNames: [...] }
+ * Restores archived properties by re-creating each one from its archived
+ * definition. Returns a result per property; one failing (e.g. its group
+ * was deleted since) does not stop the rest.
+ */
+app.post('/api/restore-properties', async (req, res) => {
+  const { objectType, propertyNames } = req.body || {};
+  if (!objectType || !Array.isArray(propertyNames) || propertyNames.length === 0) {
+    return res.status(400).json({ success: false, error: 'objectType and propertyNames are required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const headers = { Authorization: `Bearer ${token}` };
+    const rulesByName = await fetchValidationRules(token, objectType);
+    const results = [];
+    for (const name of propertyNames) {
+      try {
+        const archivedRes = await withRateLimitRetry(() => axios.get(
+          `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(name)}`,
+          { headers, params: { archived: true } }
+        ));
+        const createRes = await withRateLimitRetry(() => axios.post(
+          `https://api.hubapi.com/crm/v3/properties/${objectType}`,
+          restorablePropertyBody(archivedRes.data),
+          { headers }
+        ));
+        const [archived] = withValidationRules([archivedRes.data], rulesByName);
+        const warning = await restoreValidationRules(token, objectType, archived);
+        results.push({ name, success: true, property: createRes.data, warning });
+      } catch (err) {
+        if (isUnauthorized(err)) throw err;
+        results.push({ name, success: false, error: restoreFailureMessage(name, err) });
+      }
+    }
+    res.json({ success: true, results });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    const msg = err.response?.data?.message || err.message;
+    res.status(status).json({ success: false, error: msg, unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * POST /api/option-usage
+ * Body: { objectType, propertyName }
+ * Record counts per option of an enumeration property.
+ */
+app.post('/api/option-usage', async (req, res) => {
+  const { objectType, propertyName } = req.body || {};
+  if (!objectType || !propertyName) {
+    return res.status(400).json({ success: false, error: 'objectType and propertyName are required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const propRes = await withRateLimitRetry(() => axios.get(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(propertyName)}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    ));
+    const property = propRes.data;
+    if (!Array.isArray(property.options) || property.options.length === 0) {
+      return res.status(400).json({ success: false, error: `"${propertyName}" has no options.` });
+    }
+
+    const options = property.options.map(({ label, value, hidden }) => ({ label, value, hidden: !!hidden, count: null }));
+    const [total, , mergeBlocked] = await Promise.all([
+      countPropertyRecords(token, objectType, propertyName),
+      mapWithConcurrency(options, USAGE_CONCURRENCY, async (option) => {
+        option.count = await countRecords(token, objectType, [optionFilter(property, option.value)]);
+      }),
+      recordWriteBlocker(token, objectType),
+    ]);
+    res.json({
+      success: true,
+      property: { name: property.name, label: property.label, type: property.type, fieldType: property.fieldType, multiSelect: isMultiSelect(property) },
+      options,
+      total,
+      mergeBlocked,
+    });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * POST /api/merge-options
+ * Body: { objectType, propertyName, from, to }
+ * Rewrites every record holding option `from` to `to` in batches, then
+ * removes `from` from the property. The option is kept when any record
+ * could not be rewritten, so no value is left pointing at a missing option.
+ */
+app.post('/api/merge-options', async (req, res) => {
+  const { objectType, propertyName, from, to } = req.body || {};
+  if (!objectType || !propertyName || typeof from !== 'string' || typeof to !== 'string') {
+    return res.status(400).json({ success: false, error: 'objectType, propertyName, from and to are required.' });
+  }
+  if (from === to) {
+    return res.status(400).json({ success: false, error: 'Pick two different options to merge.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+    const propUrl = `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(propertyName)}`;
+    const property = (await withRateLimitRetry(() => axios.get(propUrl, { headers }))).data;
+
+    if (property.type !== 'enumeration') {
+      return res.status(400).json({ success: false, error: `"${propertyName}" is not a dropdown, radio or checkbox property.` });
+    }
+    const values = (property.options || []).map(o => o.value);
+    const missing = [from, to].find(v => !values.includes(v));
+    if (missing !== undefined) {
+      return res.status(400).json({ success: false, error: `"${propertyName}" has no option "${missing}".` });
+    }
+    // Refuse up front rather than after some batches were rewritten
+    const blocked = await recordWriteBlocker(token, objectType);
+    if (blocked) return res.status(403).json({ success: false, error: blocked });
+
+    const records = await searchAllRecords(token, objectType, [optionFilter(property, from)], [propertyName]);
+    const inputs = records.map(record => ({
+      id: record.id,
+      properties: { [propertyName]: replaceOptionValue(property, record.properties?.[propertyName], from, to) },
+    }));
+    const { updatedRecords, failedRecords } = await batchUpdateRecords(token, objectType, inputs);
+
+    // Removing the option while a record still holds it would orphan that value
+    let optionRemoved = false;
+    if (failedRecords.length === 0 && updatedRecords === inputs.length) {
+      await withRateLimitRetry(() => axios.patch(
+        propUrl, { options: property.options.filter(o => o.value !== from) }, { headers }));
+      optionRemoved = true;
+    }
+    res.json({ success: true, updatedRecords, failedRecords, optionRemoved });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+const BULK_EDITABLE_FIELDS = ['groupName', 'description', 'formField', 'label'];
+
+/**
+ * Everything wrong with a bulk edit request, checked before anything is
+ * written. `groupLabels` maps new group names to their labels.
+ */
+function bulkUpdateErrors(updates, groupLabels) {
+  const errors = [];
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const seen = new Set();
+  updates.forEach((update, i) => {
+    const where = typeof update?.name === 'string' && update.name ? `"${update.name}"` : `Update ${i + 1}`;
+    if (typeof update?.name !== 'string' || !update.name) errors.push(`${where}: name is required.`);
+    else if (seen.has(update.name)) errors.push(`${where} is listed twice.`);
+    else seen.add(update.name);
+
+    const changes = update?.changes;
+    if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+      errors.push(`${where}: changes must name at least one of ${BULK_EDITABLE_FIELDS.join(', ')}.`);
+      return;
+    }
+    const unknown = Object.keys(changes).filter(k => !BULK_EDITABLE_FIELDS.includes(k));
+    if (unknown.length) errors.push(`${where}: ${unknown.join(', ')} can't be changed; only ${BULK_EDITABLE_FIELDS.join(', ')} can.`);
+    if ('label' in changes && (typeof changes.label !== 'string' || !changes.label.trim())) {
+      errors.push(`${where}: label must be non-empty text.`);
+    }
+    if ('description' in changes && typeof changes.description !== 'string') errors.push(`${where}: description must be text.`);
+    if ('formField' in changes && typeof changes.formField !== 'boolean') errors.push(`${where}: formField must be true or false.`);
+    if ('groupName' in changes && (typeof changes.groupName !== 'string' || !/^[a-z0-9_]+$/.test(changes.groupName))) {
+      errors.push(`${where}: invalid group "${changes.groupName}"; use a group internal name (lowercase letters, numbers and underscores).`);
+    }
+  });
+
+  if (!isPlainObject(groupLabels)) errors.push('groupLabels must map group names to labels.');
+  else {
+    for (const [group, label] of Object.entries(groupLabels)) {
+      if (typeof label !== 'string' || !label.trim()) errors.push(`Group "${group}": label must be non-empty text.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * GET /api/list-property-groups?objectType=
+ */
+app.get('/api/list-property-groups', async (req, res) => {
+  const { objectType } = req.query;
+  if (!objectType) {
+    return res.status(400).json({ success: false, error: 'objectType is required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const response = await axios.get(
+      `https://api.hubapi.com/crm/v3/properties/groups/${objectType}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    const groups = (response.data.results || [])
+      .sort((a, b) => (a.displayOrder ?? 0) - (b.displayOrder ?? 0));
+    res.json({ success: true, groups });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * POST /api/bulk-update-properties
+ * Body: { objectType, updates: [{ name, changes: { groupName?, description?, formField?, label? } }], groupLabels? }
+ * Checks every update, then PATCHes each property and returns a result per
+ * property. A group named in the changes that doesn't exist yet is created
+ * first, labelled from `groupLabels[groupName]` or else from its name.
+ */
+app.post('/api/bulk-update-properties', async (req, res) => {
+  const { objectType, updates, groupLabels = {} } = req.body || {};
+  if (!objectType || !Array.isArray(updates) || updates.length === 0) {
+    return res.status(400).json({ success: false, error: 'objectType and updates are required.' });
+  }
+  const errors = bulkUpdateErrors(updates, groupLabels);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: errors[0], errors });
+  }
+
+  try {
+    const token = await getValidToken(req);
+    const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+    const groupsRes = await axios.get(`https://api.hubapi.com/crm/v3/properties/groups/${objectType}`, { headers });
+    const newGroups = planNewGroups(
+      updates.filter(u => u.changes.groupName).map(u => ({ Group: u.changes.groupName, GroupLabel: groupLabels[u.changes.groupName]?.trim() })),
+      groupsRes.data.results || []
+    );
+    const failedGroups = new Map();
+    for (const group of newGroups) {
+      try {
+        await axios.post(`https://api.hubapi.com/crm/v3/properties/groups/${objectType}`, group, { headers });
+      } catch (err) {
+        if (isUnauthorized(err)) throw err;
+        failedGroups.set(group.name, `Group "${group.label}" could not be created: ${apiErrorMessage(err)}`);
+      }
+    }
+
+    const results = [];
+    for (const { name, changes } of updates) {
+      if (failedGroups.has(changes.groupName)) {
+        results.push({ name, success: false, error: failedGroups.get(changes.groupName) });
+        continue;
+      }
+      try {
+        const patchRes = await withRateLimitRetry(() => axios.patch(
+          `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(name)}`, changes, { headers }));
+        results.push({ name, success: true, property: patchRes.data });
+      } catch (err) {
+        if (isUnauthorized(err)) throw err;
+        results.push({ name, success: false, error: apiErrorMessage(err) });
+      }
+    }
+    res.json({ success: true, results, createdGroups: newGroups.filter(g => !failedGroups.has(g.name)).map(g => g.name) });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+// ── Backups ─────────────────────────────────────────────────────────────────
+
+const BACKUP_DIR        = process.env.BACKUP_DIR || path.join(__dirname, 'data', 'backups');
+const backupIndex = new Map();
+// Backups still being taken, by ID; their progress lives here between saves
+const runningBackups = new Map();
+// A delete needs a completed backup of the property taken this recently
+const BACKUP_MAX_AGE_MS = 60 * 60 * 1000;
+
+function backupFile(id) {
+  return path.join(BACKUP_DIR, `${id}.json`);
+}
+
+// Record values, one JSON line per search page: { property, values: { id: value } }
+function backupValuesFile(id) {
+  return path.join(BACKUP_DIR, `${id}.values.ndjson`);
+}
+
+function summarizeBackup(backup) {
+  return {
+    id:             backup.id,
+    objectType:     backup.objectType,
+    createdAt:      backup.createdAt,
+    // Backups saved before they ran as jobs have no status or propertyNames
+    status:         backup.status || 'completed',
+    error:          backup.error || null,
+    propertyNames:  backup.propertyNames || backup.properties.map(p => p.name),
+    propertiesDone: backup.propertiesDone ?? Object.keys(backup.values).length,
+    valueCount:     backup.valueCount ?? Object.values(backup.values).reduce((sum, byRecord) => sum + Object.keys(byRecord).length, 0),
+    restoredAt:     backup.restoredAt || null,
+    portalId:       backup.portalId,
+  };
+}
+
+function indexBackup(backup) {
+  backupIndex.set(backup.id, {
+    ...summarizeBackup(backup), sessionId: backup.sessionId, userId: backup.userId || null, unauthenticated: !!backup.unauthenticated,
+  });
+}
+
+/**
+ * Reads the summaries of stored backups at startup; bundles themselves are
+ * only read when downloaded or restored.
+ */
+function loadBackups() {
+  let files;
+  try {
+    files = fs.readdirSync(BACKUP_DIR).filter(f => f.endsWith('.json'));
+  } catch {
+    return;
+  }
+  for (const file of files) {
+    try {
+      const backup = JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, file), 'utf-8'));
+      if (backup.status === 'running') {
+        backup.status = 'failed';
+        backup.error  = 'Interrupted by a server restart before it finished.';
+      }
+      indexBackup(backup);
+    } catch (err) {
+      console.error(`Skipping unreadable backup ${file}:`, err.message);
+    }
+  }
+}
+
+async function saveBackup(backup) {
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+  const file = backupFile(backup.id);
+  const { session: _session, stopRequested: _stopRequested, ...stored } = backup;
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(stored));
+  await fs.promises.rename(`${file}.tmp`, file);
+  indexBackup(backup);
+}
+
+/**
+ * Backups hold record values, so like import jobs they belong to the user
+ * who took them.
+ */
+function canSeeBackup(req, summary) {
+  return isOwnedBySession(req, summary);
+}
+
+/**
+ * The summary of a visible backup, live while it is still being taken.
+ */
+function findBackupSummary(req) {
+  const summary = backupIndex.get(req.params.id);
+  if (!summary || !canSeeBackup(req, summary)) return null;
+  if (runningBackups.has(summary.id)) return summarizeBackup(runningBackups.get(summary.id));
+  const { sessionId: _sessionId, unauthenticated: _unauthenticated, ...rest } = summary;
+  return rest;
+}
+
+async function readBackup(req) {
+  const summary = backupIndex.get(req.params.id);
+  if (!summary || !canSeeBackup(req, summary)) return null;
+  return JSON.parse(await fs.promises.readFile(backupFile(summary.id), 'utf-8'));
+}
+
+/**
+ * Calls `fn(propertyName, values)` for each page of the backup's record
+ * values, read line by line from its values file. Backups taken before values
+ * were written as they came in hold them inline, one entry per property.
+ */
+async function forEachBackupValues(backup, fn) {
+  if (backup.values) {
+    for (const [name, values] of Object.entries(backup.values)) await fn(name, values);
+    return;
+  }
+  const lines = readline.createInterface({ input: fs.createReadStream(backupValuesFile(backup.id)), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    const { property, values } = JSON.parse(line);
+    await fn(property, values);
+  }
+}
+
+function sameObjectType(a, b) {
+  return a === b || (!!canonicalObjectType(a) && canonicalObjectType(a) === canonicalObjectType(b));
+}
+
+/**
+ * The properties among `propertyNames` without a completed backup, visible
+ * to this session, from the last BACKUP_MAX_AGE_MS. Deletes refuse them, so
+ * the protection doesn't rest on the client taking a backup first.
+ */
+function propertiesWithoutBackup(req, objectType, propertyNames) {
+  const since = Date.now() - BACKUP_MAX_AGE_MS;
+  const backedUp = new Set();
+  for (const backup of backupIndex.values()) {
+    if (backup.status !== 'completed' || backup.createdAt < since || !canSeeBackup(req, backup)) continue;
+    if (sameObjectType(backup.objectType, objectType)) backup.propertyNames.forEach(name => backedUp.add(name));
+  }
+  return propertyNames.filter(name => !backedUp.has(name));
+}
+
+/**
+ * Takes a backup in the background: each property's definition, then its
+ * record values a search page at a time, appended to the values file as they
+ * arrive so they are never all held in memory. Cancelling stops between
+ * pages. The bundle is saved after every property; one cut off by a restart
+ * comes back failed rather than resuming, since a delete waits on it.
+ */
+async function runBackup(backup) {
+  try {
+    await fs.promises.writeFile(backupValuesFile(backup.id), '');
+    const rulesByName = await fetchValidationRules(await getJobToken(backup), backup.objectType);
+    for (const name of backup.propertyNames) {
+      const propRes = await withRateLimitRetry(async () => axios.get(
+        `https://api.hubapi.com/crm/v3/properties/${backup.objectType}/${encodeURIComponent(name)}`,
+        { headers: { Authorization: `Bearer ${await getJobToken(backup)}` } }));
+      backup.properties.push(...withValidationRules([propRes.data], rulesByName));
+
+      let lastId = '0';
+      for (;;) {
+        if (backup.stopRequested) throw Object.assign(new Error('Backup cancelled.'), { stopped: true });
+        const records = await searchRecordPage(await getJobToken(backup), backup.objectType,
+          [{ propertyName: name, operator: 'HAS_PROPERTY' }], [name], lastId);
+        if (records.length) {
+          const values = Object.fromEntries(records.map(record => [record.id, record.properties?.[name] ?? null]));
+          await fs.promises.appendFile(backupValuesFile(backup.id), `${JSON.stringify({ property: name, values })}\n`);
+        }
+        backup.valueCount += records.length;
+        if (records.length < SEARCH_PAGE_SIZE) break;
+        lastId = records[records.length - 1].id;
+      }
+      backup.propertiesDone++;
+      await saveBackup(backup);
+    }
+    backup.status = 'completed';
+  } catch (err) {
+    backup.status = err.stopped ? 'cancelled' : 'failed';
+    backup.error  = isUnauthorized(err) ? 'Your HubSpot session expired. Reconnect and take the backup again.' : apiErrorMessage(err);
+    backup.unauthenticated = isUnauthorized(err);
+  }
+  backup.finishedAt = Date.now();
+  try {
+    await saveBackup(backup);
+  } catch (err) {
+    console.error(`Could not save backup ${backup.id}:`, err.message);
+    if (backup.status === 'completed') {
+      backup.status = 'failed';
+      backup.error  = `The backup could not be saved: ${err.message}`;
+    }
+    indexBackup(backup);
+  }
+  runningBackups.delete(backup.id);
+}
+
+/**
+ * POST /api/backups
+ * Body: { objectType, propertyNames: [...] }
+ * Starts a background backup of the full definitions of the properties and
+ * every record value they hold. The Manage tab and schema-file applies take
+ * one before deleting, polling GET /api/backups/:id until it completes.
+ */
+app.post('/api/backups', async (req, res) => {
+  const { objectType, propertyNames } = req.body || {};
+  if (!objectType || !Array.isArray(propertyNames) || propertyNames.length === 0) {
+    return res.status(400).json({ success: false, error: 'objectType and propertyNames are required.' });
+  }
+  try {
+    await getValidToken(req);
+    const backup = {
+      id:             crypto.randomUUID(),
+      objectType,
+      createdAt:      Date.now(),
+      portalId:       req.session.portalId || null,
+      userId:         req.session.userId || null,
+      sessionId:      req.sessionID,
+      session:        req.session,
+      status:         'running',
+      stopRequested:  false,
+      error:          null,
+      propertyNames:  propertyNames.map(String),
+      propertiesDone: 0,
+      valueCount:     0,
+      properties:     [],
+    };
+    await saveBackup(backup);
+    runningBackups.set(backup.id, backup);
+    runBackup(backup);
+    res.status(202).json({ success: true, backup: summarizeBackup(backup) });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+/**
+ * GET /api/backups
+ * Lists the user's backups, newest first.
+ */
+app.get('/api/backups', (req, res) => {
+  const backups = [...backupIndex.values()]
+    .filter(b => canSeeBackup(req, b))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ sessionId: _sessionId, unauthenticated: _unauthenticated, ...summary }) =>
+      runningBackups.has(summary.id) ? summarizeBackup(runningBackups.get(summary.id)) : summary);
+  res.json({ success: true, backups });
+});
+
+/**
+ * GET /api/backups/:id
+ * Returns a backup's status and progress for polling.
+ */
+app.get('/api/backups/:id', (req, res) => {
+  const backup = findBackupSummary(req);
+  if (!backup) {
+    return res.status(404).json({ success: false, error: 'Backup not found.' });
+  }
+  res.json({ success: true, backup, unauthenticated: backupIndex.get(backup.id).unauthenticated });
+});
+
+/**
+ * POST /api/backups/:id/cancel
+ * Stops a running backup after the request in flight.
+ */
+app.post('/api/backups/:id/cancel', (req, res) => {
+  const backup = findBackupSummary(req);
+  if (!backup) {
+    return res.status(404).json({ success: false, error: 'Backup not found.' });
+  }
+  const running = runningBackups.get(backup.id);
+  if (!running) {
+    return res.status(409).json({ success: false, error: `The backup is already ${backup.status}.` });
+  }
+  running.stopRequested = true;
+  res.json({ success: true, backup });
+});
+
+/**
+ * GET /api/backups/:id/download
+ * The full bundle as a JSON file.
+ */
+app.get('/api/backups/:id/download', async (req, res) => {
+  const backup = await readBackup(req).catch(() => null);
+  if (!backup) {
+    return res.status(404).json({ success: false, error: 'Backup not found.' });
+  }
+  const { status } = summarizeBackup(backup);
+  if (status !== 'completed') {
+    return res.status(409).json({ success: false, error: `The backup is ${status}; only completed backups can be used.` });
+  }
+  const { sessionId: _sessionId, values: _values, ...bundle } = backup;
+  const stamp = new Date(backup.createdAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  res.setHeader('Content-Disposition', `attachment; filename="${backup.objectType}-backup-${stamp}.json"`);
+  res.type('application/json');
+
+  // Streamed as { ...bundle, values: { property: { recordId: value } } }, a page at a time
+  res.write(`${JSON.stringify(bundle).slice(0, -1)},"values":{`);
+  let current = null;
+  try {
+    await forEachBackupValues(backup, (name, values) => {
+      const entries = Object.entries(values).map(([id, value]) => `${JSON.stringify(id)}:${JSON.stringify(value)}`).join(',');
+      if (name !== current) {
+        res.write(`${current === null ? '' : '},'}${JSON.stringify(name)}:{${entries}`);
+        current = name;
+      } else if (entries) {
+        res.write(`,${entries}`);
+      }
+    });
+  } catch (err) {
+    console.error(`Could not stream backup ${backup.id}:`, err.message);
+    return res.destroy(err);
+  }
+  res.end(`${current === null ? '' : '}'}}}`);
+});
+
+/**
+ * POST /api/backups/:id/restore
+ * Re-creates the backed-up properties that no longer exist, then writes the
+ * saved values back to their records in batches. Records deleted since the
+ * backup are reported as failures.
+ */
+app.post('/api/backups/:id/restore', async (req, res) => {
+  const backup = await readBackup(req).catch(() => null);
+  if (!backup) {
+    return res.status(404).json({ success: false, error: 'Backup not found.' });
+  }
+  const { status } = summarizeBackup(backup);
+  if (status !== 'completed') {
+    return res.status(409).json({ success: false, error: `The backup is ${status}; only completed backups can be used.` });
+  }
+  try {
+    const token = await getValidToken(req);
+    const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+    const { objectType } = backup;
+
+    const properties = [];
+    for (const property of backup.properties) {
+      try {
+        await withRateLimitRetry(() => axios.get(
+          `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(property.name)}`, { headers }));
+        properties.push({ name: property.name, status: 'existing' });
+        continue;
+      } catch (err) {
+        if (err.response?.status !== 404) throw err;
+      }
+      try {
+        await withRateLimitRetry(() => axios.post(
+          `https://api.hubapi.com/crm/v3/properties/${objectType}`, restorablePropertyBody(property), { headers }));
+        properties.push({ name: property.name, status: 'created', warning: await restoreValidationRules(token, objectType, property) });
+      } catch (err) {
+        if (isUnauthorized(err)) throw err;
+        properties.push({ name: property.name, status: 'failed', error: apiErrorMessage(err) });
+      }
+    }
+
+    // Values are written a stored page at a time, so the bundle is never loaded whole
+    const writable = new Set(properties.filter(p => p.status !== 'failed').map(p => p.name));
+    let updatedValues = 0;
+    const failedValues = [];
+    await forEachBackupValues(backup, async (name, values) => {
+      if (!writable.has(name)) return;
+      const inputs = Object.entries(values).map(([id, value]) => ({ id, properties: { [name]: value } }));
+      const { updatedRecords, failedRecords } = await batchUpdateRecords(token, objectType, inputs);
+      updatedValues += updatedRecords;
+      failedValues.push(...failedRecords.map(f => ({ ...f, property: name })));
+    });
+
+    backup.restoredAt = Date.now();
+    await saveBackup(backup);
+    res.json({ success: true, properties, updatedValues, failedValues });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+// ── Migration ───────────────────────────────────────────────────────────────
+
+/**
+ * Finds the target portal's object type for a source object type. Standard
+ * objects have the same name everywhere; custom objects get a different
+ * objectTypeId in every portal, so they are matched by schema name.
+ * Returns null when the target has no such object.
+ */
+function matchTargetObjectType(objectType, sourceObjects, targetObjects) {
+  if (STANDARD_OBJECTS.some(o => o.value === objectType)) return objectType;
+  const source = sourceObjects.find(o => o.value === objectType) || findObjectType(sourceObjects, objectType);
+  if (!source?.name) return null;
+  return targetObjects.find(o => o.name === source.name)?.value || null;
+}
+
+async function fetchPropertiesAndGroups(token, objectType) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const [propsRes, groupsRes] = await Promise.all([
+    axios.get(`https://api.hubapi.com/crm/v3/properties/${objectType}`, { headers }),
+    axios.get(`https://api.hubapi.com/crm/v3/properties/groups/${objectType}`, { headers }),
+  ]);
+  return { properties: propsRes.data.results || [], groups: groupsRes.data.results || [] };
+}
+
+// Groups holding no HubSpot-defined property, i.e. the ones the portal's users
+// made. The groups API has no hubspotDefined flag of its own.
+function customGroupNames(groups, properties) {
+  const systemGroups = new Set(properties.filter(p => p.hubspotDefined).map(p => p.groupName));
+  return new Set(groups.map(g => g.name).filter(name => !systemGroups.has(name)));
+}
+
+/**
+ * Picks the source properties and groups one selection entry asks for. A
+ * selected group brings its custom properties along; a selected property
+ * brings its group. With nothing selected, every custom property and group
+ * of the object is taken.
+ */
+function selectMigrationItems(source, selection) {
+  const groupNames    = new Set(selection.groups || []);
+  const propertyNames = new Set(selection.properties || []);
+  const everything    = groupNames.size === 0 && propertyNames.size === 0;
+  const customGroups  = customGroupNames(source.groups, source.properties);
+
+  const properties = source.properties.filter(p =>
+    propertyNames.has(p.name) || (!p.hubspotDefined && (everything || groupNames.has(p.groupName)))
+  );
+  const wantedGroups = new Set([...groupNames, ...properties.map(p => p.groupName)]);
+  const groups = source.groups.filter(g =>
+    wantedGroups.has(g.name) || (everything && customGroups.has(g.name))
+  );
+  return { properties, groups };
+}
+
+/**
+ * Compares desired groups and properties with the live ones of an object.
+ * Every desired item comes back as 'missing', 'identical' or 'different',
+ * with the differences listed and the body (create) or patch (update) that
+ * applying would send. A property whose type differs can't be patched and
+ * carries an error instead. Differences applying would leave in place, such
+ * as options only the live side has while removals are off, are reported
+ * with `notApplied` saying why. `source` names the desired side in messages.
+ */
+function diffDefinitions(desired, live, allowOptionRemovals, source) {
+  const liveGroups = new Map(live.groups.map(g => [g.name, g]));
+  const liveProps  = new Map(live.properties.map(p => [p.name, p]));
+
+  const groups = desired.groups.map(group => {
+    const existing = liveGroups.get(group.name);
+    const body = { name: group.name, label: group.label, displayOrder: group.displayOrder };
+    if (!existing) return { name: group.name, label: group.label, status: 'missing', changes: [], body };
+    if (existing.label === group.label) return { name: group.name, label: group.label, status: 'identical', changes: [] };
+    return { name: group.name, label: group.label, status: 'different',
+      changes: [`label "${existing.label}" → "${group.label}"`], patch: { label: group.label } };
+  });
+
+  const properties = desired.properties.map(property => {
+    const item = { name: property.name, label: property.label, groupName: property.groupName, changes: [] };
+    const body = restorablePropertyBody(property);
+    const existing = liveProps.get(property.name);
+    if (!existing) return { ...item, status: 'missing', body, ...(property.validationRules ? { validationRules: property.validationRules } : {}) };
+
+    const changes = diffPropertyDefinition(existing, body, source);
+    if (!changes.length) return { ...item, status: 'identical' };
+    try {
+      const patch = buildPropertyPatch(existing, body, allowOptionRemovals);
+      if (patch) return { ...item, status: 'different', changes, patch };
+      const notApplied = !allowOptionRemovals && buildPropertyPatch(existing, body, true)
+        ? `Not applied: options the ${source} doesn't have are only removed when removals are allowed`
+        : 'Not applied: these differences cannot be changed through the API';
+      return { ...item, status: 'different', changes, patch: null, notApplied };
+    } catch (err) {
+      return { ...item, status: 'different', changes, error: err.message };
+    }
+  });
+
+  return { groups, properties };
+}
+
+/**
+ * Carries out one object's diff: creates and updates groups first so new
+ * properties can be placed in them, then properties, then deletes the
+ * properties and groups marked `remove`. Returns a result per item that
+ * needed a change; identical and not-applied items are only counted.
+ */
+async function applyDefinitionChanges(token, objectType, { groups, properties }) {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const base = 'https://api.hubapi.com/crm/v3/properties';
+  const results = [];
+  let unchanged = 0;
+  let notApplied = 0;
+  const record = (kind, item, err, warning) => results.push({
+    kind, name: item.name,
+    action: item.remove ? 'delete' : item.status === 'missing' ? 'create' : 'update',
+    success: !err, ...(err ? { error: typeof err === 'string' ? err : apiErrorMessage(err) } : {}),
+    ...(warning ? { warning } : {}),
+  });
+  const send = (method, url, body) => withRateLimitRetry(() => axios({ method, url, data: body, headers }));
+
+  const failedGroups = new Set();
+  for (const group of groups) {
+    if (group.status === 'identical') { unchanged++; continue; }
+    if (group.status === 'extra') continue;
+    try {
+      if (group.status === 'missing') await send('post', `${base}/groups/${objectType}`, group.body);
+      else await send('patch', `${base}/groups/${objectType}/${encodeURIComponent(group.name)}`, group.patch);
+      record('group', group);
+    } catch (err) {
+      if (isUnauthorized(err)) throw err;
+      if (group.status === 'missing') failedGroups.add(group.name);
+      record('group', group, err);
+    }
+  }
+
+  for (const property of properties) {
+    if (property.status === 'identical') { unchanged++; continue; }
+    if (property.status === 'extra') continue;
+    if (property.notApplied) { notApplied++; continue; }
+    if (property.error) { record('property', property, property.error); continue; }
+    if (failedGroups.has(property.groupName)) {
+      record('property', property, `Group "${property.groupName}" could not be created`);
+      continue;
+    }
+    try {
+      if (property.status === 'missing') {
+        await send('post', `${base}/${objectType}`, property.body);
+        record('property', property, null, await restoreValidationRules(token, objectType, property));
+        continue;
+      }
+      await send('patch', `${base}/${objectType}/${encodeURIComponent(property.name)}`, property.patch);
+      record('property', property);
+    } catch (err) {
+      if (isUnauthorized(err)) throw err;
+      record('property', property, err);
+    }
+  }
+
+  for (const [kind, items, path] of [['property', properties, objectType], ['group', groups, `groups/${objectType}`]]) {
+    for (const item of items.filter(i => i.remove)) {
+      try {
+        await send('delete', `${base}/${path}/${encodeURIComponent(item.name)}`);
+        record(kind, item);
+      } catch (err) {
+        if (isUnauthorized(err)) throw err;
+        record(kind, item, err);
+      }
+    }
+  }
+
+  return { results, unchanged, notApplied };
+}
+
+/**
+ * Diffs the selected source items against the target portal, one entry per
+ * selected object; see diffDefinitions for the items.
+ */
+async function planMigration(sourceToken, targetToken, selections, allowOptionRemovals) {
+  // Marks failures of target calls so a 401 from the target isn't taken for the source's
+  const onTarget = (promise) => promise.catch((err) => { err.targetPortal = true; throw err; });
+  const [sourceObjects, targetObjects] = await Promise.all([
+    listCustomObjects(sourceToken), onTarget(listCustomObjects(targetToken)),
+  ]);
+  const objects = [];
+
+  for (const selection of selections) {
+    const { objectType } = selection;
+    const label = [...STANDARD_OBJECTS, ...sourceObjects].find(o => o.value === objectType)?.label || objectType;
+    const targetObjectType = matchTargetObjectType(objectType, sourceObjects, targetObjects);
+    if (!targetObjectType) {
+      objects.push({ objectType, label, targetObjectType: null, groups: [], properties: [],
+        error: `${label} does not exist in the target portal. Create the custom object there first.` });
+      continue;
+    }
+
+    const [source, target, sourceRules] = await Promise.all([
+      fetchPropertiesAndGroups(sourceToken, objectType),
+      onTarget(fetchPropertiesAndGroups(targetToken, targetObjectType)),
+      fetchValidationRules(sourceToken, objectType),
+    ]);
+    source.properties = withValidationRules(source.properties, sourceRules);
+    const diff = diffDefinitions(selectMigrationItems(source, selection), target, allowOptionRemovals, 'source');
+    objects.push({ objectType, label, targetObjectType, ...diff });
+  }
+  return objects;
+}
+
+/**
+ * Fingerprint of a migration or schema plan. Apply re-plans and compares it
+ * with the hash of the plan the user reviewed, so nothing outside that plan
+ * is changed.
+ */
+function planHash(objects) {
+  return crypto.createHash('sha1').update(JSON.stringify(objects)).digest('hex');
+}
+
+// Differences that won't be applied are counted apart from the patchable ones
+function countMigrationStatuses(objects) {
+  const counts = { missing: 0, identical: 0, different: 0, notApplied: 0 };
+  for (const obj of objects) {
+    for (const item of [...obj.groups, ...obj.properties]) counts[item.notApplied ? 'notApplied' : item.status]++;
+  }
+  return counts;
+}
+
+function validMigrationSelections(selections) {
+  return Array.isArray(selections) && selections.length > 0 && selections.every(s => s?.objectType);
+}
+
+function migrationErrorResponse(res, err) {
+  const status = err.statusCode || err.response?.status || 500;
+  res.status(status).json({
+    success: false,
+    error: apiErrorMessage(err),
+    unauthenticated: status === 401 && !err.targetPortal,
+    targetUnauthenticated: status === 401 && !!err.targetPortal,
+  });
+}
+
+/**
+ * POST /api/migration/preview
+ * Body: { selections: [{ objectType, groups?, properties? }], allowOptionRemovals? }
+ * Diffs the selected groups and properties of the connected (source) portal
+ * against the target portal.
+ */
+app.post('/api/migration/preview', async (req, res) => {
+  const { selections, allowOptionRemovals = false } = req.body || {};
+  if (!validMigrationSelections(selections)) {
+    return res.status(400).json({ success: false, error: 'selections with an objectType each are required.' });
+  }
+  try {
+    const sourceToken = await getValidToken(req);
+    const targetToken = await getTargetToken(req);
+    const objects = await planMigration(sourceToken, targetToken, selections, allowOptionRemovals);
+    res.json({ success: true, objects, counts: countMigrationStatuses(objects), planHash: planHash(objects) });
+  } catch (err) {
+    migrationErrorResponse(res, err);
+  }
+});
+
+/**
+ * POST /api/migration/apply
+ * Body: same as /api/migration/preview, plus its planHash.
+ * Re-plans the selection, then creates missing groups and properties in the
+ * target and updates the different ones, with a result per item. Refuses
+ * with 409 when the plan no longer matches `planHash` from the preview.
+ */
+app.post('/api/migration/apply', async (req, res) => {
+  const { selections, allowOptionRemovals = false } = req.body || {};
+  if (!validMigrationSelections(selections)) {
+    return res.status(400).json({ success: false, error: 'selections with an objectType each are required.' });
+  }
+  try {
+    const sourceToken = await getValidToken(req);
+    const targetToken = await getTargetToken(req);
+    const objects = await planMigration(sourceToken, targetToken, selections, allowOptionRemovals);
+    if (planHash(objects) !== req.body.planHash) {
+      return res.status(409).json({
+        success: false,
+        error: 'The source or target portal changed since the preview, so nothing was applied. Preview again and review the changes.',
+      });
+    }
+    const results = [];
+    let unchanged = 0;
+    let notApplied = 0;
+
+    for (const obj of objects) {
+      const about = { objectType: obj.objectType, label: obj.label };
+      if (obj.error) {
+        results.push({ ...about, kind: 'object', name: obj.objectType, action: 'skip', success: false, error: obj.error });
+        continue;
+      }
+      try {
+        const applied = await applyDefinitionChanges(targetToken, obj.targetObjectType, obj);
+        results.push(...applied.results.map(r => ({ ...about, ...r })));
+        unchanged += applied.unchanged;
+        notApplied += applied.notApplied;
+      } catch (err) {
+        // Only the target is written to, so a 401 here is the target's
+        err.targetPortal = true;
+        throw err;
+      }
+    }
+
+    res.json({ success: true, results, unchanged, notApplied });
+  } catch (err) {
+    migrationErrorResponse(res, err);
+  }
+});
+
+// ── Properties as code ──────────────────────────────────────────────────────
+
+const SCHEMA_FILE_VERSION  = 1;
+const SCHEMA_OPTION_FIELDS = ['label', 'value', 'description', 'displayOrder', 'hidden'];
+
+/**
+ * One property as written to a schema file: the writable fields in a fixed
+ * order, options sorted by display order and stripped to what can be set,
+ * then any validation rules.
+ */
+function schemaFileProperty(property) {
+  const body = restorablePropertyBody(property);
+  if (body.options?.length) {
+    body.options = [...body.options]
+      .sort((a, b) => (a.displayOrder ?? 0) - (b.displayOrder ?? 0) || String(a.value).localeCompare(String(b.value)))
+      .map(o => Object.fromEntries(SCHEMA_OPTION_FIELDS.filter(f => o[f] !== undefined && o[f] !== null).map(f => [f, o[f]])));
+  } else {
+    delete body.options;
+  }
+  if (property.validationRules?.length) body.validationRules = property.validationRules;
+  return body;
+}
+
+/**
+ * One object's entry in a schema file: its custom groups and properties
+ * sorted by name, so exporting an unchanged portal twice gives the same file.
+ * Custom objects are named by schema name, which is the same in every portal.
+ */
+function schemaFileObject(objectName, { groups, properties }) {
+  const customGroups = customGroupNames(groups, properties);
+  // Plain code-point order: the same on every machine, unlike localeCompare
+  const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+  return {
+    objectType: objectName,
+    groups: groups.filter(g => customGroups.has(g.name)).sort(byName)
+      .map(g => ({ name: g.name, label: g.label, displayOrder: g.displayOrder })),
+    properties: properties.filter(p => !p.hubspotDefined).sort(byName).map(schemaFileProperty),
+  };
+}
+
+function isStandardObject(objectType) {
+  return STANDARD_OBJECTS.some(o => o.value === objectType);
+}
+
+/**
+ * Reads an exported schema file (JSON or YAML) and checks its shape. Every
+ * problem found is listed in `fileErrors`.
+ */
+function parseSchemaFile(file) {
+  const { spec } = parseStructuredFile(file, 'Schema files must be .json, .yaml or .yml.');
+  if (!spec || !Array.isArray(spec.objects)) {
+    throw fileError('The schema file must have an "objects" list. Export one to see the format.');
+  }
+  if (spec.version !== SCHEMA_FILE_VERSION) {
+    throw fileError(`Unsupported schema file version ${spec.version ?? '(none)'}; expected ${SCHEMA_FILE_VERSION}.`);
+  }
+
+  const errors = [];
+  const seenObjects = new Set();
+  const checkList = (list, where, required) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) { errors.push(`${where} must be a list.`); return []; }
+    const seen = new Set();
+    list.forEach((item, i) => {
+      const missing = required.filter(f => item?.[f] === undefined || item[f] === '');
+      if (missing.length) errors.push(`${where} item ${i + 1}: ${missing.join(', ')} required.`);
+      else if (seen.has(item.name)) errors.push(`${where}: "${item.name}" is listed twice.`);
+      else seen.add(item.name);
+    });
+    return list;
+  };
+
+  const objects = spec.objects.map((obj, i) => {
+    const where = obj?.objectType ? `"${obj.objectType}"` : `Object ${i + 1}`;
+    if (!obj?.objectType) errors.push(`${where}: objectType is required.`);
+    else if (seenObjects.has(obj.objectType)) errors.push(`${where} is listed twice.`);
+    seenObjects.add(obj?.objectType);
+    const properties = checkList(obj?.properties, `${where} properties`, ['name', 'label', 'type', 'fieldType', 'groupName']);
+    for (const property of properties) {
+      const rules = property?.validationRules;
+      if (rules !== undefined && !(Array.isArray(rules) && rules.every(r => typeof r?.ruleType === 'string' && Array.isArray(r.ruleArguments)))) {
+        errors.push(`${where} property "${property.name}": validationRules must be a list of { ruleType, ruleArguments }.`);
+      }
+    }
+    return {
+      objectType: obj?.objectType,
+      groups:     checkList(obj?.groups, `${where} groups`, ['name', 'label']),
+      properties,
     };
+  });
+
+  if (errors.length) {
+    const err = fileError(errors[0]);
+    err.fileErrors = errors;
+    throw err;
+  }
+  return objects;
+}
+
+/**
+ * Diffs a parsed schema file against the live portal. Items in the file are
+ * classified as by diffDefinitions; custom groups and properties the file
+ * doesn't mention come back as 'extra', marked `remove` only when deletes
+ * are allowed. Allowing deletes also drops options the file doesn't list.
+ */
+async function planSchemaFile(token, fileObjects, allowDeletes) {
+  const customObjects = fileObjects.every(o => isStandardObject(o.objectType)) ? [] : await listCustomObjects(token);
+  const objects = [];
+
+  for (const desired of fileObjects) {
+    const objectTypeId = isStandardObject(desired.objectType)
+      ? desired.objectType
+      : findObjectType(customObjects, desired.objectType)?.value;
+    if (!objectTypeId) {
+      objects.push({ objectType: desired.objectType, objectTypeId: null, groups: [], properties: [],
+        error: `This portal has no object named "${desired.objectType}".` });
+      continue;
+    }
+
+    const live = await fetchPropertiesAndGroups(token, objectTypeId);
+    const diff = diffDefinitions(desired, live, allowDeletes, 'file');
+
+    const wantedProps  = new Set(desired.properties.map(p => p.name));
+    const usedGroups   = new Set([...desired.groups.map(g => g.name), ...desired.properties.map(p => p.groupName)]);
+    const customGroups = customGroupNames(live.groups, live.properties);
+    const extraProps = live.properties
+      .filter(p => !p.hubspotDefined && !wantedProps.has(p.name))
+      .map(p => ({ name: p.name, label: p.label, groupName: p.groupName, status: 'extra', changes: [], remove: allowDeletes }));
+    const extraGroups = live.groups
+      .filter(g => customGroups.has(g.name) && !usedGroups.has(g.name))
+      .map(g => ({ name: g.name, label: g.label, status: 'extra', changes: [], remove: allowDeletes }));
+
+    objects.push({
+      objectType: desired.objectType,
+      objectTypeId,
+      groups:     [...diff.groups, ...extraGroups],
+      properties: [...diff.properties, ...extraProps],
+    });
+  }
+  return objects;
+}
+
+function countSchemaPlan(objects) {
+  const counts = { create: 0, update: 0, delete: 0, unchanged: 0, kept: 0, notApplied: 0 };
+  for (const obj of objects) {
+    for (const item of [...obj.groups, ...obj.properties]) {
+      if (item.status === 'missing')        counts.create++;
+      else if (item.notApplied)             counts.notApplied++;
+      else if (item.status === 'different') counts.update++;
+      else if (item.status === 'identical') counts.unchanged++;
+      else if (item.remove)                 counts.delete++;
+      else                                  counts.kept++;
+    }
+  }
+  return counts;
+}
+
+// Problems with the uploaded file list every error found; the rest are API failures
+function fileErrorResponse(res, err) {
+  if (err.fileErrors) {
+    return res.status(400).json({ success: false, error: err.message, errors: err.fileErrors });
+  }
+  const status = err.statusCode || err.response?.status || 500;
+  res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+}
+
+/**
+ * GET /api/schema-file?objectTypes=contacts,2-123&format=yaml|json
+ * Exports the custom groups and properties of the given objects as a schema
+ * file for version control.
+ */
+app.get('/api/schema-file', async (req, res) => {
+  const objectTypes = String(req.query.objectTypes || '').split(',').map(s => s.trim()).filter(Boolean);
+  const format = req.query.format === 'json' ? 'json' : 'yaml';
+  if (objectTypes.length === 0) {
+    return res.status(400).json({ success: false, error: 'objectTypes is required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const customObjects = objectTypes.every(isStandardObject) ? [] : await listCustomObjects(token);
+    const objects = [];
+    for (const objectType of objectTypes) {
+      const name = isStandardObject(objectType)
+        ? objectType
+        : customObjects.find(o => o.value === objectType)?.name || objectType;
+      const { groups, properties } = await fetchPropertiesAndGroups(token, objectType);
+      const rulesByName = await fetchValidationRules(token, objectType);
+      objects.push(schemaFileObject(name, { groups, properties: withValidationRules(properties, rulesByName) }));
+    }
+    objects.sort((a, b) => (a.objectType < b.objectType ? -1 : a.objectType > b.objectType ? 1 : 0));
+
+    const doc = { version: SCHEMA_FILE_VERSION, objects };
+    res.setHeader('Content-Disposition', `attachment; filename="hubspot-schema.${format}"`);
+    if (format === 'json') {
+      res.type('application/json').send(JSON.stringify(doc, null, 2) + '\n');
+    } else {
+      res.type('text/yaml').send(YAML.stringify(doc));
+    }
+  } catch (err) {
+    fileErrorResponse(res, err);
+  }
+});
+
+/**
+ * POST /api/schema-file/plan  (multipart: file, allowDeletes)
+ * Diffs an uploaded schema file against the live portal without changing
+ * anything.
+ */
+app.post('/api/schema-file/plan', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded.' });
+  }
+  try {
+    const fileObjects = parseSchemaFile(req.file);
+    const token = await getValidToken(req);
+    const objects = await planSchemaFile(token, fileObjects, req.body.allowDeletes === 'true');
+    res.json({ success: true, objects, counts: countSchemaPlan(objects), planHash: planHash(objects) });
+  } catch (err) {
+    fileErrorResponse(res, err);
+  }
+});
 
-    const response = await axios.post(
-      `https://api.hubapi.com/crm/v3/properties/${objectType}`,
-      body,
-      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
-    );
+/**
+ * POST /api/schema-file/apply  (multipart: file, allowDeletes, planHash)
+ * Re-plans the uploaded file and carries the plan out: creates, updates
+ * and, with allowDeletes, deletes. Refuses with 409 when the plan no longer
+ * matches `planHash` from /plan, or when a property it would delete has no
+ * recent backup. Returns a result per changed item.
+ */
+app.post('/api/schema-file/apply', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded.' });
+  }
+  try {
+    const fileObjects = parseSchemaFile(req.file);
+    const token = await getValidToken(req);
+    const objects = await planSchemaFile(token, fileObjects, req.body.allowDeletes === 'true');
+    if (planHash(objects) !== req.body.planHash) {
+      return res.status(409).json({
+        success: false,
+        error: 'The portal or the file changed since the plan was made, so nothing was applied. Plan again and review the changes.',
+      });
+    }
+    const unprotected = objects.filter(obj => !obj.error).flatMap(obj => propertiesWithoutBackup(
+      req, obj.objectTypeId, obj.properties.filter(p => p.remove).map(p => p.name)));
+    if (unprotected.length) {
+      return res.status(409).json({
+        success: false,
+        error: `No recent backup of ${unprotected.join(', ')}, so nothing was applied. Take a backup before deleting.`,
+      });
+    }
+    const results = [];
+    let unchanged = 0;
 
-    res.json({ success: true, internalName: response.data.name, label: response.data.label });
+    for (const obj of objects) {
+      if (obj.error) {
+        results.push({ objectType: obj.objectType, kind: 'object', name: obj.objectType, action: 'skip', success: false, error: obj.error });
+        continue;
+      }
+      const applied = await applyDefinitionChanges(token, obj.objectTypeId, obj);
+      results.push(...applied.results.map(r => ({ objectType: obj.objectType, ...r })));
+      unchanged += applied.unchanged;
+    }
+
+    res.json({ success: true, results, unchanged });
   } catch (err) {
-    const status = err.statusCode || err.response?.status || 500;
-    const message = err.response?.data?.message || err.response?.data?.errors?.[0]?.message || err.message || 'Unknown error';
-    res.status(status).json({ success: false, error: message });
+    fileErrorResponse(res, err);
   }
 });
 
-// ── Manage-properties helpers ───────────────────────────────────────────────
+// ── Snapshots ───────────────────────────────────────────────────────────────
 
-async function paginateHubSpot(token, url, key, extra = {}) {
-  const items = [];
-  let after = null;
-  do {
-    const res = await axios.get(url, {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { limit: 100, ...extra, ...(after ? { after } : {}) },
-    });
-    const batch = res.data[key];
-    if (Array.isArray(batch)) items.push(...batch);
-    after = res.data.paging?.next?.after ?? null;
-  } while (after);
-  return items;
-}
+const SNAPSHOT_DIR    = process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots');
+const SNAPSHOT_FIELDS = [
+  'name', 'label', 'type', 'fieldType', 'groupName', 'description', 'hidden', 'formField',
+  'calculationFormula', 'hubspotDefined', 'createdAt', 'updatedAt', 'createdUserId', 'updatedUserId',
+];
+// Older snapshots of an object are pruned past this many
+const SNAPSHOT_LIMIT  = Number(process.env.SNAPSHOT_LIMIT) || 100;
+const snapshotIndex = new Map();
 
-function extractPropNamesFromJson(str) {
-  const names = new Set();
-  const re = /"[a-zA-Z]*[Pp]roperty(?:[Nn]ame)?"\s*:\s*"([a-z][a-z0-9_]*)"/g;
-  let m;
-  while ((m = re.exec(str)) !== null) names.add(m[1]);
-  return names;
+function snapshotFile(id) {
+  return path.join(SNAPSHOT_DIR, `${id}.json`);
 }
 
-function extractPropsFromJsonWithTokens(obj) {
-  const str = JSON.stringify(obj);
-  const names = extractPropNamesFromJson(str);
-  const tokenRe = /\{\{[a-z_]+\.([a-z0-9_]+)\}\}/g;
-  let m;
-  while ((m = tokenRe.exec(str)) !== null) names.add(m[1]);
-  return names;
+function summarizeSnapshot(snapshot) {
+  return {
+    id:            snapshot.id,
+    objectType:    snapshot.objectType,
+    portalId:      snapshot.portalId,
+    takenAt:       snapshot.takenAt,
+    trigger:       snapshot.trigger,
+    propertyCount: snapshot.properties.length,
+  };
 }
 
-function extractWorkflowProps(workflow)   { return extractPropsFromJsonWithTokens(workflow); }
-function extractEmailProps(email)         { return extractPropsFromJsonWithTokens(email); }
-function extractListProps(list)           { return extractPropNamesFromJson(JSON.stringify(list)); }
-function extractPipelineProps(pipeline)   { return extractPropNamesFromJson(JSON.stringify(pipeline)); }
-function extractReportProps(report)       { return extractPropNamesFromJson(JSON.stringify(report)); }
-
-function extractFormProps(form) {
-  const names = new Set();
+function indexSnapshot(snapshot) {
+  snapshotIndex.set(snapshot.id, { ...summarizeSnapshot(snapshot), hash: snapshot.hash, sessionId: snapshot.sessionId });
+}
 
-  function scanFields(fields) {
-    for (const field of (fields || [])) {
-      if (field.name) names.add(field.name);
-      for (const dep of (field.dependentFields || [])) {
-        for (const filter of (dep.dependentFieldFilters || [])) {
-          if (filter.dependentFormField) scanFields([filter.dependentFormField]);
-        }
-        scanFields(dep.fields);
-      }
+/**
+ * Reads the summaries of stored snapshots at startup, like loadBackups.
+ */
+function loadSnapshots() {
+  let files;
+  try {
+    files = fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.json'));
+  } catch {
+    return;
+  }
+  for (const file of files) {
+    try {
+      indexSnapshot(JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf-8')));
+    } catch (err) {
+      console.error(`Skipping unreadable snapshot ${file}:`, err.message);
     }
   }
+}
 
-  for (const group of (form.fieldGroups || [])) scanFields(group.fields);
+async function saveSnapshot(snapshot) {
+  await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+  const file = snapshotFile(snapshot.id);
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(snapshot));
+  await fs.promises.rename(`${file}.tmp`, file);
+  indexSnapshot(snapshot);
+}
 
-  const legacyFields = form.formFields;
-  if (Array.isArray(legacyFields)) {
-    if (legacyFields.length > 0 && Array.isArray(legacyFields[0])) {
-      for (const row of legacyFields) scanFields(row);
-    } else {
-      scanFields(legacyFields);
-    }
+/**
+ * The snapshots of one object visible to this session, oldest first. Unlike
+ * jobs and backups they are shared by everyone on the portal: they only hold
+ * property definitions, which every user of the portal can see anyway, and
+ * one history per object is the point. Without a portal ID only the session
+ * that took them sees them.
+ */
+function snapshotsFor(req, objectType) {
+  return [...snapshotIndex.values()]
+    .filter(s => s.objectType === objectType)
+    .filter(s => (s.portalId ? s.portalId === req.session?.portalId : s.sessionId === req.sessionID))
+    .sort((a, b) => a.takenAt - b.takenAt);
+}
+
+function snapshotProperty(property) {
+  const entry = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (property[field] !== undefined && property[field] !== null) entry[field] = property[field];
+  }
+  entry.options = (property.options || []).map(o => ({ label: o.label, value: o.value }));
+  return entry;
+}
+
+/**
+ * Stores the property definitions as a new snapshot unless they are the
+ * same as the object's latest one. `trigger` is 'load' for the snapshot
+ * taken whenever the Manage tab loads properties, 'manual' otherwise.
+ */
+async function recordSnapshot(req, objectType, properties, trigger) {
+  const entries = properties.map(snapshotProperty).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  // Timestamps alone aren't a change: HubSpot bumps updatedAt on no-op saves
+  const hashInput = entries.map(({ createdAt: _createdAt, updatedAt: _updatedAt, ...entry }) => entry);
+  const hash = crypto.createHash('sha1').update(JSON.stringify(hashInput)).digest('hex');
+  const latest = snapshotsFor(req, objectType).at(-1);
+  if (latest?.hash === hash) {
+    const { hash: _hash, sessionId: _sessionId, ...summary } = latest;
+    return { snapshot: summary, changed: false };
   }
 
-  return names;
+  const snapshot = {
+    id:         crypto.randomUUID(),
+    objectType,
+    portalId:   req.session.portalId || null,
+    sessionId:  req.sessionID,
+    takenAt:    Date.now(),
+    trigger,
+    hash,
+    properties: entries,
+  };
+  await saveSnapshot(snapshot);
+  await pruneSnapshots(req, objectType);
+  return { snapshot: summarizeSnapshot(snapshot), changed: true };
 }
 
-// ── Manage routes ───────────────────────────────────────────────────────────
+/**
+ * Deletes the oldest snapshots of the object past SNAPSHOT_LIMIT.
+ */
+async function pruneSnapshots(req, objectType) {
+  const snapshots = snapshotsFor(req, objectType);
+  for (const old of snapshots.slice(0, Math.max(0, snapshots.length - SNAPSHOT_LIMIT))) {
+    snapshotIndex.delete(old.id);
+    await fs.promises.unlink(snapshotFile(old.id)).catch(() => {});
+  }
+}
 
 /**
- * GET /api/list-object-types
+ * What changed between two snapshots of the same object. Changes to an
+ * existing property carry its updatedUserId/updatedAt, new ones their
+ * createdUserId/createdAt, when HubSpot provides them.
  */
-app.get('/api/list-object-types', async (req, res) => {
-  let customObjects = [];
-  let warning = null;
+function diffSnapshots(before, after) {
+  const previous = new Map(before.map(p => [p.name, p]));
+  const current  = new Set(after.map(p => p.name));
+  const changes  = [];
+
+  for (const property of after) {
+    const { name, label } = property;
+    const prev = previous.get(name);
+    if (!prev) {
+      changes.push({ kind: 'added', name, label, userId: property.createdUserId || null, at: property.createdAt || null });
+      continue;
+    }
+    const by = { userId: property.updatedUserId || null, at: property.updatedAt || null };
+    if (prev.label !== label) changes.push({ kind: 'relabeled', name, label, from: prev.label, to: label, ...by });
+    if (prev.groupName !== property.groupName) {
+      changes.push({ kind: 'moved', name, label, from: prev.groupName, to: property.groupName, ...by });
+    }
+    if (prev.type !== property.type || prev.fieldType !== property.fieldType) {
+      changes.push({ kind: 'retyped', name, label, from: `${prev.type}/${prev.fieldType}`, to: `${property.type}/${property.fieldType}`, ...by });
+    }
+    const prevValues = new Set(prev.options.map(o => o.value));
+    const values     = new Set(property.options.map(o => o.value));
+    const added   = property.options.filter(o => !prevValues.has(o.value)).map(o => o.label);
+    const removed = prev.options.filter(o => !values.has(o.value)).map(o => o.label);
+    if (added.length)   changes.push({ kind: 'options-added', name, label, options: added, ...by });
+    if (removed.length) changes.push({ kind: 'options-removed', name, label, options: removed, ...by });
+  }
+  for (const prev of before) {
+    if (!current.has(prev.name)) changes.push({ kind: 'removed', name: prev.name, label: prev.label });
+  }
+  return changes;
+}
 
+/**
+ * User ID → display name from the owners list, for the IDs HubSpot puts on
+ * properties. Best-effort: an empty map when owners can't be read.
+ */
+async function resolveUserNames(token, userIds) {
+  if (userIds.size === 0) return {};
   try {
-    const token = await getValidToken(req);
+    const owners = await paginateHubSpot(token, 'https://api.hubapi.com/crm/v3/owners', 'results');
+    const names = {};
+    for (const owner of owners) {
+      if (!owner.userId || !userIds.has(String(owner.userId))) continue;
+      names[owner.userId] = [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email || String(owner.userId);
+    }
+    return names;
+  } catch {
+    return {};
+  }
+}
 
-    const allSchemas = [];
-    let after = undefined;
-    do {
-      const schemasRes = await axios.get('https://api.hubapi.com/crm/v3/schemas', {
-        headers: { Authorization: `Bearer ${token}` },
-        params:  { archived: false, limit: 100, ...(after ? { after } : {}) },
-      });
-      allSchemas.push(...(schemasRes.data.results || []));
-      after = schemasRes.data.paging?.next?.after;
-    } while (after);
-
-    customObjects = await Promise.all(
-      allSchemas.map(async schema => {
-        let defaultGroup = null;
-        try {
-          const groupsRes = await axios.get(
-            `https://api.hubapi.com/crm/v3/properties/groups/${schema.objectTypeId}`,
-            { headers: { Authorization: `Bearer ${token}` } }
-          );
-          const groups = groupsRes.data.results || [];
-          const preferred = groups.find(g => !g.hubspotDefined) || groups[0];
-          defaultGroup = preferred?.name || null;
-        } catch { /* defaultGroup stays null */ }
-        const value = schema.objectTypeId || schema.fullyQualifiedName || schema.name;
-        const label = schema.labels?.plural || schema.labels?.singular || schema.name || value;
-        if (!value) return null;
-        return { value, label, defaultGroup };
-      })
+/**
+ * POST /api/snapshots
+ * Body: { objectType }
+ * Takes a snapshot of the object's property definitions now.
+ */
+app.post('/api/snapshots', async (req, res) => {
+  const { objectType } = req.body || {};
+  if (!objectType) {
+    return res.status(400).json({ success: false, error: 'objectType is required.' });
+  }
+  try {
+    const token = await getValidToken(req);
+    const response = await axios.get(
+      `https://api.hubapi.com/crm/v3/properties/${objectType}`,
+      { headers: { Authorization: `Bearer ${token}` } }
     );
-    customObjects = customObjects.filter(Boolean);
+    const { snapshot, changed } = await recordSnapshot(req, objectType, response.data.results || [], 'manual');
+    res.json({ success: true, snapshot, changed });
   } catch (err) {
-    if (err.statusCode === 401) {
-      return res.status(401).json({ success: false, error: err.message, unauthenticated: true });
-    }
-    warning = `Custom objects could not be loaded: ${err.response?.data?.message || err.message}`;
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
   }
-
-  res.json({ success: true, objectTypes: [...STANDARD_OBJECTS, ...customObjects], warning });
 });
 
 /**
- * GET /api/list-properties?objectType=
+ * GET /api/snapshots/timeline?objectType=
+ * The object's snapshots, newest first, each with the changes since the one
+ * before it. The oldest snapshot is the baseline and has no changes.
  */
-app.get('/api/list-properties', async (req, res) => {
+app.get('/api/snapshots/timeline', async (req, res) => {
   const { objectType } = req.query;
   if (!objectType) {
     return res.status(400).json({ success: false, error: 'objectType is required.' });
   }
   try {
     const token = await getValidToken(req);
-    const response = await axios.get(
-      `https://api.hubapi.com/crm/v3/properties/${objectType}`,
-      { headers: { Authorization: `Bearer ${token}` }, params: { archived: false } }
-    );
-    const properties = (response.data.results || [])
-      .sort((a, b) => (a.label || a.name).localeCompare(b.label || b.name));
-    res.json({ success: true, properties, count: properties.length });
+    const entries = [];
+    let previous = null;
+    for (const summary of snapshotsFor(req, objectType)) {
+      const snapshot = JSON.parse(await fs.promises.readFile(snapshotFile(summary.id), 'utf-8'));
+      entries.push({
+        ...summarizeSnapshot(snapshot),
+        baseline: !previous,
+        changes:  previous ? diffSnapshots(previous.properties, snapshot.properties) : [],
+      });
+      previous = snapshot;
+    }
+
+    const userIds = new Set(entries.flatMap(e => e.changes.map(c => c.userId)).filter(Boolean).map(String));
+    const users = await resolveUserNames(token, userIds);
+    res.json({ success: true, timeline: entries.reverse(), users });
   } catch (err) {
     const status = err.statusCode || err.response?.status || 500;
-    const msg = err.response?.data?.message || err.message;
-    res.status(status).json({ success: false, error: msg, unauthenticated: status === 401 });
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
   }
 });
 
+// ── Custom object schemas ───────────────────────────────────────────────────
+
+// Schema fields that list property names; each must name one of the file's properties
+const OBJECT_PROPERTY_LISTS = ['secondaryDisplayProperties', 'requiredProperties', 'searchableProperties'];
+
 /**
- * POST /api/fetch-usage-context
+ * Reads a custom object definition (JSON or YAML): the schema's name, labels,
+ * display/required/searchable properties and associated objects, plus its
+ * initial properties, which are validated exactly like importer rows. Every
+ * problem found is listed in `fileErrors`.
  */
-app.post('/api/fetch-usage-context', async (req, res) => {
-  const warnings = [];
-  const usageDetails = {};
+function parseObjectDefinition(file) {
+  const { spec, format } = parseStructuredFile(file, 'Object definitions must be .json, .yaml or .yml.');
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw fileError('The definition must be an object with name, labels, primaryDisplayProperty and properties.');
+  }
+  if (!Array.isArray(spec.properties) || spec.properties.length === 0) {
+    throw fileError('The definition needs a non-empty "properties" list.');
+  }
 
-  function addUsage(propName, type, sourceName) {
-    if (!usageDetails[propName]) usageDetails[propName] = {};
-    if (!usageDetails[propName][type]) usageDetails[propName][type] = [];
-    if (!usageDetails[propName][type].includes(sourceName)) {
-      usageDetails[propName][type].push(sourceName);
-    }
+  const rows = specToRecords(spec.properties, format);
+  const { errors, data } = normalizeRecords(rows.map(r => r.record), (i) => rows[i].label);
+  const names = data.map(propertyInternalName);
+  data.forEach((row, i) => {
+    if (row.Object) errors.push(`${rows[i].label}: Object can't be set; the properties belong to the new object`);
+    if (names.indexOf(names[i]) !== i) errors.push(`${rows[i].label}: internal name "${names[i]}" is used twice`);
+  });
+
+  const text = (value) => String(value ?? '').trim();
+  const name = text(spec.name);
+  if (!name) errors.push('name is required.');
+  else if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) errors.push(`name "${name}" must start with a letter and use only letters, numbers and underscores.`);
+  const labels = { singular: text(spec.labels?.singular), plural: text(spec.labels?.plural) };
+  if (!labels.singular || !labels.plural) errors.push('labels.singular and labels.plural are required.');
+
+  const known = new Set(names);
+  const primaryDisplayProperty = text(spec.primaryDisplayProperty);
+  if (!primaryDisplayProperty) errors.push('primaryDisplayProperty is required.');
+  else if (!known.has(primaryDisplayProperty)) errors.push(`primaryDisplayProperty "${primaryDisplayProperty}" is not one of the properties.`);
+
+  const lists = {};
+  for (const key of OBJECT_PROPERTY_LISTS) {
+    const list = spec[key] ?? [];
+    if (!Array.isArray(list)) { errors.push(`${key} must be a list of property internal names.`); continue; }
+    lists[key] = list.map(text);
+    const unknown = lists[key].filter(n => !known.has(n));
+    if (unknown.length) errors.push(`${key} names properties that aren't defined: ${unknown.join(', ')}`);
   }
+  const associatedObjects = spec.associatedObjects ?? [];
+  if (!Array.isArray(associatedObjects)) errors.push('associatedObjects must be a list of object names.');
 
-  let token;
+  if (errors.length) {
+    const err = fileError(errors[0]);
+    err.fileErrors = errors;
+    throw err;
+  }
+  return {
+    definition: {
+      name,
+      labels,
+      ...(spec.description ? { description: text(spec.description) } : {}),
+      primaryDisplayProperty,
+      ...lists,
+      associatedObjects: associatedObjects.map(text),
+    },
+    properties: data,
+  };
+}
+
+/**
+ * Object type IDs for the definition's associated objects, which may name
+ * standard objects any way the importer accepts or existing custom objects.
+ */
+function resolveAssociatedObjects(names, customObjects) {
+  const unknown = [];
+  const ids = names.map(n => {
+    const id = canonicalObjectType(n) || findObjectType(customObjects, n)?.value;
+    if (!id) unknown.push(n);
+    return id;
+  });
+  if (unknown.length) {
+    const err = new Error(`Unknown associated objects: ${unknown.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * POST /api/parse-object-definition  (multipart: file)
+ * No auth required — validates a custom object definition file.
+ */
+app.post('/api/parse-object-definition', upload.single('file'), (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, errors: ['No file uploaded.'] });
   try {
-    token = await getValidToken(req);
+    const { definition, properties } = parseObjectDefinition(req.file);
+    res.json({ success: true, definition, properties });
   } catch (err) {
-    return res.status(err.statusCode || 401).json({ success: false, error: err.message, unauthenticated: true });
+    res.status(400).json({ success: false, errors: err.fileErrors || [err.message] });
   }
+});
 
-  let workflowProps = new Set(), workflowCount = 0;
+/**
+ * POST /api/custom-objects  (multipart: file)
+ * Creates a custom object from a definition file. The properties the schema
+ * itself names (display, required, searchable) are created with it; every
+ * property then goes through an upsert import job, which creates the rest
+ * and sets every property's group and validation rules.
+ */
+app.post('/api/custom-objects', upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ success: false, errors: ['No file uploaded.'] });
+  let parsed;
   try {
-    const workflows = await paginateHubSpot(token, 'https://api.hubapi.com/automation/v3/workflows', 'workflows');
-    workflowCount = workflows.length;
-    for (const wf of workflows) {
-      const wfName = wf.name || `Workflow ${wf.id || ''}`.trim();
-      for (const name of extractWorkflowProps(wf)) { workflowProps.add(name); addUsage(name, 'workflows', wfName); }
-    }
-  } catch (err) { warnings.push(`Workflows: ${err.response?.data?.message || err.message}`); }
+    parsed = parseObjectDefinition(req.file);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message, errors: err.fileErrors || [err.message] });
+  }
+  const { definition, properties } = parsed;
 
-  let formProps = new Set(), formCount = 0;
   try {
-    const forms = await paginateHubSpot(token, 'https://api.hubapi.com/marketing/v3/forms', 'results');
-    formCount = forms.length;
-    for (const f of forms) {
-      const formName = f.name || f.id || 'Unnamed Form';
-      for (const name of extractFormProps(f)) { formProps.add(name); addUsage(name, 'forms', formName); }
+    const token = await getValidToken(req);
+    const customObjects = await listCustomObjects(token);
+    if (customObjects.some(o => o.name === definition.name)) {
+      return res.status(409).json({ success: false, error: `A custom object named "${definition.name}" already exists.` });
     }
-  } catch (err) { warnings.push(`Forms: ${err.response?.data?.message || err.message}`); }
 
-  let listProps = new Set(), listCount = 0;
+    const inlineNames = new Set([
+      definition.primaryDisplayProperty,
+      ...OBJECT_PROPERTY_LISTS.flatMap(key => definition[key] || []),
+    ]);
+    const inlineRows = properties.filter(p => inlineNames.has(propertyInternalName(p)));
+    const schemaRes = await axios.post('https://api.hubapi.com/crm/v3/schemas', {
+      ...definition,
+      associatedObjects: resolveAssociatedObjects(definition.associatedObjects, customObjects),
+      // Group placement is left to the import job, which creates the groups first
+      properties: inlineRows.map(row => {
+        const { groupName: _groupName, ...property } = buildPropertyBody(row, null);
+        return property;
+      }),
+    }, { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } });
+    const objectType = schemaRes.data.objectTypeId;
+
+    const targets = await assignObjectTypes(token, properties, objectType, null);
+    const job = startImportJob(req, { objectType, rows: properties, targets, mode: 'upsert', fileName: req.file.originalname });
+    res.status(201).json({
+      success: true,
+      objectType: { value: objectType, label: definition.labels.plural, name: definition.name },
+      job: serializeJob(job),
+    });
+  } catch (err) {
+    const status = err.statusCode || err.response?.status || 500;
+    res.status(status).json({ success: false, error: apiErrorMessage(err), unauthenticated: status === 401 });
+  }
+});
+
+// ── Pipelines ───────────────────────────────────────────────────────────────
+
+const TICKET_STATES = ['OPEN', 'CLOSED'];
+
+/**
+ * The type ID the pipelines API takes for an object. Only deals, tickets
+ * and custom objects have pipelines.
+ */
+function pipelineObjectType(objectType) {
+  const typeId = canonicalObjectType(objectType);
+  if (typeId === '0-3' || typeId === '0-5' || /^2-\d+$/.test(typeId || '')) return typeId;
+  const err = new Error(`Pipelines can only be imported for deals, tickets and custom objects, not "${objectType}".`);
+  err.statusCode = 400;
+  throw err;
+}
+
+/**
+ * Reads a pipeline CSV: one row per stage, grouped into pipelines by the
+ * Pipeline column. Deal stages need a Probability (0–1, or a percentage like
+ * 20%); ticket stages need a Ticket State (OPEN or CLOSED). Every problem
+ * found is listed in `fileErrors`.
+ */
+function parsePipelineFile(file, typeId) {
+  if (fileExtension(file.originalname) !== '.csv') throw fileError('Pipeline files must be .csv.');
+  let records;
   try {
-    const lists = await paginateHubSpot(token, 'https://api.hubapi.com/crm/v3/lists', 'lists', { includeFilters: true });
-    listCount = lists.length;
-    for (const list of lists) {
-      const listName = list.name || list.listId || 'Unnamed List';
-      for (const name of extractListProps(list)) { listProps.add(name); addUsage(name, 'lists', listName); }
+    records = parse(file.buffer.toString('utf-8'), { columns: true, skip_empty_lines: true, trim: true });
+  } catch (err) {
+    throw fileError(`Invalid CSV: ${err.message}`);
+  }
+  if (records.length === 0) throw fileError('The CSV file is empty.');
+  const headers = Object.keys(records[0]);
+  if (!headers.includes('Pipeline') || !headers.includes('Stage')) {
+    throw fileError('CSV must have at least the columns: Pipeline, Stage');
+  }
+
+  const isDeal   = typeId === '0-3';
+  const isTicket = typeId === '0-5';
+  const errors = [];
+  const seen = new Set();
+  const rows = records.map((record, index) => {
+    const rowErrors = [];
+    const cell = (col) => String(record[col] ?? '').trim();
+    const row = { index, pipeline: cell('Pipeline'), stage: cell('Stage'), displayOrder: null, probability: null, ticketState: null };
+
+    if (!row.pipeline) rowErrors.push('Pipeline is required');
+    if (!row.stage) rowErrors.push('Stage is required');
+    const key = `${row.pipeline.toLowerCase()}\n${row.stage.toLowerCase()}`;
+    if (row.pipeline && row.stage && seen.has(key)) rowErrors.push(`stage "${row.stage}" is listed twice for pipeline "${row.pipeline}"`);
+    seen.add(key);
+
+    const order = cell('Display Order');
+    if (order && !/^\d+$/.test(order)) rowErrors.push(`Display Order "${order}" must be a whole number`);
+    else if (order) row.displayOrder = Number(order);
+
+    const probability = cell('Probability');
+    if (probability && !isDeal) {
+      rowErrors.push('Probability only applies to deal stages');
+    } else if (probability) {
+      const percent = probability.endsWith('%');
+      const value = Number(percent ? probability.slice(0, -1) : probability) / (percent ? 100 : 1);
+      if (!Number.isFinite(value) || value < 0 || value > 1) rowErrors.push(`Probability "${probability}" must be between 0 and 1, or 0% and 100%`);
+      else row.probability = value;
+    } else if (isDeal) {
+      rowErrors.push('Probability is required for deal stages');
     }
-  } catch (err) { warnings.push(`Lists: ${err.response?.data?.message || err.message}`); }
 
-  let pipelineProps = new Set(), pipelineCount = 0;
-  try {
-    for (const pipelineObj of ['deals', 'tickets']) {
-      const res = await axios.get(
-        `https://api.hubapi.com/crm/v3/pipelines/${pipelineObj}`,
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-      const pipelines = res.data.results || [];
-      pipelineCount += pipelines.length;
-      for (const pipeline of pipelines) {
-        const pipelineName = pipeline.label || pipeline.id || 'Unnamed Pipeline';
-        for (const name of extractPipelineProps(pipeline)) { pipelineProps.add(name); addUsage(name, 'pipelines', pipelineName); }
-      }
+    const ticketState = cell('Ticket State').toUpperCase();
+    if (ticketState && !isTicket) rowErrors.push('Ticket State only applies to ticket stages');
+    else if (ticketState && !TICKET_STATES.includes(ticketState)) rowErrors.push(`Ticket State "${cell('Ticket State')}" must be OPEN or CLOSED`);
+    else if (ticketState) row.ticketState = ticketState;
+    else if (isTicket) rowErrors.push('Ticket State is required for ticket stages');
+
+    if (rowErrors.length) errors.push(`Row ${index + 2}: ${rowErrors.join('; ')}`);
+    return row;
+  });
+
+  if (errors.length) {
+    const err = fileError(errors[0]);
+    err.fileErrors = errors;
+    throw err;
+  }
+  return rows;
+}
+
+// Stage metadata for a row, in the shape the pipelines API takes
+function stageMetadata(row) {
+  return {
+    ...(row.probability !== null ? { probability: String(row.probability) } : {}),
+    ...(row.ticketState ? { ticketState: row.ticketState } : {}),
+  };
+}
+
+/**
+ * Compares the file's rows with the object's pipelines, matching pipelines
+ * and stages by label regardless of case. Each row gets a status:
+ * 'new-pipeline' when its pipeline doesn't exist yet, 'create' for a new
+ * stage in an existing pipeline, 'update' with the changes to make, or
+ * 'unchanged'. Stages without a Display Order go after the existing ones.
+ */
+async function planPipelines(token, typeId, rows) {
+  const res = await axios.get(`https://api.hubapi.com/crm/v3/pipelines/${typeId}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const pipelines = res.data.results || [];
+  const byLabel = new Map(pipelines.map(p => [p.label.trim().toLowerCase(), p]));
+  let nextPipelineOrder = Math.max(-1, ...pipelines.map(p => p.displayOrder ?? 0)) + 1;
+  const newPipelines = new Map();
+  const nextStageOrder = new Map();
+
+  return rows.map(row => {
+    const key = row.pipeline.toLowerCase();
+    const pipeline = byLabel.get(key);
+    if (!pipeline) {
+      if (!newPipelines.has(key)) newPipelines.set(key, { displayOrder: nextPipelineOrder++, stages: 0 });
+      const created = newPipelines.get(key);
+      const displayOrder = row.displayOrder ?? created.stages;
+      created.stages++;
+      return { ...row, status: 'new-pipeline', pipelineDisplayOrder: created.displayOrder, displayOrder, changes: [] };
     }
-  } catch (err) { warnings.push(`Pipelines: ${err.response?.data?.message || err.message}`); }
 
-  let emailProps = new Set(), emailCount = 0;
-  try {
-    const emails = await paginateHubSpot(token, 'https://api.hubapi.com/marketing/v3/emails', 'results');
-    emailCount = emails.length;
-    for (const email of emails) {
-      const emailName = email.name || email.id || 'Unnamed Email';
-      for (const name of extractEmailProps(email)) { emailProps.add(name); addUsage(name, 'emails', emailName); }
+    const stages = pipeline.stages || [];
+    const stage = stages.find(s => s.label.trim().toLowerCase() === row.stage.toLowerCase());
+    if (!stage) {
+      if (!nextStageOrder.has(pipeline.id)) nextStageOrder.set(pipeline.id, Math.max(-1, ...stages.map(s => s.displayOrder ?? 0)) + 1);
+      const displayOrder = row.displayOrder ?? nextStageOrder.get(pipeline.id);
+      nextStageOrder.set(pipeline.id, Math.max(nextStageOrder.get(pipeline.id), displayOrder + 1));
+      return { ...row, status: 'create', pipelineId: pipeline.id, displayOrder, changes: [] };
     }
-  } catch (err) { warnings.push(`Marketing emails: ${err.response?.data?.message || err.message}`); }
 
-  let reportProps = new Set(), reportCount = 0;
-  try {
-    const reportRes = await axios.get(
-      'https://api.hubapi.com/reporting/v1/reports',
-      { headers: { Authorization: `Bearer ${token}` }, params: { limit: 300 } }
-    );
-    const reports = reportRes.data.objects || reportRes.data.results || [];
-    reportCount = reports.length;
-    for (const report of reports) {
-      const reportName = report.name || report.id || 'Unnamed Report';
-      for (const name of extractReportProps(report)) { reportProps.add(name); addUsage(name, 'reports', reportName); }
-    }
-  } catch (err) { warnings.push(`Reports: ${err.response?.data?.message || err.message}`); }
-
-  res.json({
-    success: true,
-    workflowProperties:   Array.from(workflowProps),
-    formProperties:       Array.from(formProps),
-    listProperties:       Array.from(listProps),
-    pipelineProperties:   Array.from(pipelineProps),
-    reportProperties:     Array.from(reportProps),
-    emailProperties:      Array.from(emailProps),
-    propertyUsageDetails: usageDetails,
-    workflowCount, formCount, listCount, pipelineCount, reportCount, emailCount,
-    warnings,
+    const changes = [];
+    const patch = {};
+    if (stage.label !== row.stage) {
+      changes.push(`label: "${stage.label}" → "${row.stage}"`);
+      patch.label = row.stage;
+    }
+    if (row.displayOrder !== null && row.displayOrder !== stage.displayOrder) {
+      changes.push(`display order: ${stage.displayOrder} → ${row.displayOrder}`);
+      patch.displayOrder = row.displayOrder;
+    }
+    const current = stage.metadata || {};
+    if (row.probability !== null && Number(current.probability) !== row.probability) {
+      changes.push(`probability: ${current.probability ?? '(none)'} → ${row.probability}`);
+    }
+    if (row.ticketState && current.ticketState !== row.ticketState) {
+      changes.push(`ticket state: ${current.ticketState ?? '(none)'} → ${row.ticketState}`);
+    }
+    // The stage PATCH replaces metadata, so values the file leaves blank are carried over
+    patch.metadata = {
+      ...(current.probability !== undefined ? { probability: current.probability } : {}),
+      ...(current.ticketState ? { ticketState: current.ticketState } : {}),
+      ...stageMetadata(row),
+    };
+    return {
+      ...row,
+      status:       changes.length ? 'update' : 'unchanged',
+      pipelineId:   pipeline.id,
+      stageId:      stage.id,
+      displayOrder: row.displayOrder ?? stage.displayOrder,
+      changes,
+      patch,
+    };
   });
-});
+}
+
+function countPipelinePlan(plan) {
+  return {
+    pipelines: new Set(plan.filter(r => r.status === 'new-pipeline').map(r => r.pipeline.toLowerCase())).size,
+    create:    plan.filter(r => r.status === 'new-pipeline' || r.status === 'create').length,
+    update:    plan.filter(r => r.status === 'update').length,
+    unchanged: plan.filter(r => r.status === 'unchanged').length,
+  };
+}
 
 /**
- * POST /api/check-property-records
- * Body: { objectType, propertyName }
+ * Carries out a pipeline plan. New pipelines are created whole, with all
+ * their stages in one request; stages of existing pipelines are created or
+ * updated one at a time. Returns a { index, status, error } result per row.
  */
-app.post('/api/check-property-records', async (req, res) => {
-  const { objectType, propertyName } = req.body;
-  if (!objectType || !propertyName) {
-    return res.status(400).json({ success: false, error: 'objectType and propertyName are required.' });
+async function applyPipelinePlan(token, typeId, plan) {
+  const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const results = [];
+  const attempt = async (rows, status, request) => {
+    try {
+      await request();
+      results.push(...rows.map(r => ({ index: r.index, status, error: null })));
+    } catch (err) {
+      if (err.response?.status === 401) throw err;
+      results.push(...rows.map(r => ({ index: r.index, status: 'failed', error: apiErrorMessage(err) })));
+    }
+  };
+
+  const newPipelines = new Map();
+  for (const row of plan.filter(r => r.status === 'new-pipeline')) {
+    const key = row.pipeline.toLowerCase();
+    if (!newPipelines.has(key)) newPipelines.set(key, []);
+    newPipelines.get(key).push(row);
+  }
+  for (const rows of newPipelines.values()) {
+    await attempt(rows, 'created', () => axios.post(`https://api.hubapi.com/crm/v3/pipelines/${typeId}`, {
+      label:        rows[0].pipeline,
+      displayOrder: rows[0].pipelineDisplayOrder,
+      stages:       rows.map(r => ({ label: r.stage, displayOrder: r.displayOrder, metadata: stageMetadata(r) })),
+    }, { headers }));
+  }
+
+  for (const row of plan) {
+    const stagesUrl = `https://api.hubapi.com/crm/v3/pipelines/${typeId}/${row.pipelineId}/stages`;
+    if (row.status === 'create') {
+      await attempt([row], 'created', () => axios.post(stagesUrl, {
+        label: row.stage, displayOrder: row.displayOrder, metadata: stageMetadata(row),
+      }, { headers }));
+    } else if (row.status === 'update') {
+      await attempt([row], 'updated', () => axios.patch(`${stagesUrl}/${row.stageId}`, row.patch, { headers }));
+    } else if (row.status === 'unchanged') {
+      results.push({ index: row.index, status: 'unchanged', error: null });
+    }
+  }
+  return results.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * POST /api/pipelines/preview  (multipart: file, objectType)
+ * Compares a pipeline CSV with the object's pipelines without changing
+ * anything.
+ */
+app.post('/api/pipelines/preview', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded.' });
   }
   try {
+    const typeId = pipelineObjectType(req.body.objectType);
+    const rows = parsePipelineFile(req.file, typeId);
     const token = await getValidToken(req);
-    const response = await axios.post(
-      `https://api.hubapi.com/crm/v3/objects/${objectType}/search`,
-      {
-        filterGroups: [{ filters: [{ propertyName, operator: 'HAS_PROPERTY' }] }],
-        limit: 1,
-        properties: [],
-      },
-      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
-    );
-    res.json({ success: true, total: response.data.total ?? 0 });
+    const plan = await planPipelines(token, typeId, rows);
+    res.json({ success: true, rows: plan, counts: countPipelinePlan(plan) });
   } catch (err) {
-    const status = err.statusCode || err.response?.status || 500;
-    res.status(status).json({ success: false, error: err.response?.data?.message || err.message });
+    fileErrorResponse(res, err);
   }
 });
 
 /**
- * DELETE /api/delete-property
- * Body: { objectType, propertyName }
+ * POST /api/pipelines/apply  (multipart: file, objectType)
+ * Re-plans the uploaded CSV and creates or updates pipelines and stages.
+ * Returns a result per row.
  */
-app.delete('/api/delete-property', async (req, res) => {
-  const { objectType, propertyName } = req.body;
-  if (!objectType || !propertyName) {
-    return res.status(400).json({ success: false, error: 'objectType and propertyName are required.' });
+app.post('/api/pipelines/apply', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded.' });
   }
   try {
+    const typeId = pipelineObjectType(req.body.objectType);
+    const rows = parsePipelineFile(req.file, typeId);
     const token = await getValidToken(req);
-    await axios.delete(
-      `https://api.hubapi.com/crm/v3/properties/${objectType}/${propertyName}`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    res.json({ success: true });
+    const plan = await planPipelines(token, typeId, rows);
+    const results = await applyPipelinePlan(token, typeId, plan);
+    res.json({ success: true, results });
   } catch (err) {
-    const status = err.statusCode || err.response?.status || 500;
-    res.status(status).json({ success: false, error: err.response?.data?.message || err.message });
+    fileErrorResponse(res, err);
   }
 });
 
@@ -757,6 +4845,55 @@ app.use((err, _req, res, _next) => {
 // ── Start ──────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`HubSpot Property Manager running at http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  loadImportJobs();
+  loadBackups();
+  loadSnapshots();
+  app.listen(PORT, () => {
+    console.log(`HubSpot Property Manager running at http://localhost:${PORT}`);
+  });
+}
+
+// For the tests in test/
+module.exports = {
+  app,
+  extractWorkflowProps,
+  extractListProps,
+  extractReportProps,
+  extractEmailProps,
+  extractFormProps,
+  extractPipelineProps,
+  extractCalculationProps,
+  extractSchemaProps,
+  extractSequenceProps,
+  extractChatflowProps,
+  diffPropertyDefinition,
+  buildPropertyPatch,
+  planNewGroups,
+  parsePropertyFile,
+  normalizeRecords,
+  buildPropertyBody,
+  buildValidationRules,
+  diffDefinitions,
+  countMigrationStatuses,
+  restoreFailureMessage,
+  objectColumnErrors,
+  reconcileBatchUpdate,
+  batchUpdateRecords,
+  forEachBackupValues,
+  restorablePropertyBody,
+  isOwnedBySession,
+  importJobs,
+  loadImportJobs,
+  createChunk,
+  canonicalObjectType,
+  scopeUsageContext,
+  countRecords,
+  propertyRecordStats,
+  recordSnapshot,
+  snapshotsFor,
+  diffSnapshots,
+  parseObjectDefinition,
+  resolveAssociatedObjects,
+  parsePipelineFile,
+};
@@ -0,0 +1,36 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.BACKUP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+const { forEachBackupValues } = require('../server');
+
+after(() => fs.rmSync(process.env.BACKUP_DIR, { recursive: true, force: true }));
+
+async function collect(backup) {
+  const pages = [];
+  await forEachBackupValues(backup, (name, values) => { pages.push([name, values]); });
+  return pages;
+}
+
+test('values are read back a page at a time from the values file', async () => {
+  const lines = [
+    { property: 'tier', values: { 1: 'gold', 2: 'silver' } },
+    { property: 'tier', values: { 3: null } },
+    { property: 'region', values: { 1: 'emea' } },
+  ];
+  fs.writeFileSync(path.join(process.env.BACKUP_DIR, 'b1.values.ndjson'), lines.map(l => `${JSON.stringify(l)}\n`).join(''));
+
+  assert.deepEqual(await collect({ id: 'b1' }), [
+    ['tier', { 1: 'gold', 2: 'silver' }],
+    ['tier', { 3: null }],
+    ['region', { 1: 'emea' }],
+  ]);
+});
+
+test('older backups holding their values inline still read', async () => {
+  const backup = { id: 'b2', values: { tier: { 1: 'gold' }, region: {} } };
+  assert.deepEqual(await collect(backup), [['tier', { 1: 'gold' }], ['region', {}]]);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { reconcileBatchUpdate, batchUpdateRecords } = require('../server');
+
+const inputs = ['1', '2', '3'].map(id => ({ id, properties: { tier: 'gold' } }));
+
+test('ids named by a 207 error fail with its message', () => {
+  const { updated, failed } = reconcileBatchUpdate(inputs, {
+    status: 'COMPLETE',
+    results: [{ id: '1' }, { id: '3' }],
+    errors: [{ message: 'Record is locked', context: { ids: ['2'] } }],
+  });
+  assert.equal(updated, 2);
+  assert.deepEqual(failed, [{ id: '2', error: 'Record is locked' }]);
+});
+
+test('ids missing from a partial response fail even without error context', () => {
+  const { updated, failed } = reconcileBatchUpdate(inputs, {
+    results: [{ id: '1' }],
+    errors: [{ message: 'Something went wrong' }],
+  });
+  assert.equal(updated, 1);
+  assert.deepEqual(failed.map(f => f.id), ['2', '3']);
+  assert.ok(failed.every(f => f.error === 'Something went wrong'));
+
+  const silent = reconcileBatchUpdate(inputs, { results: [{ id: 2 }] });
+  assert.deepEqual(silent.failed.map(f => f.id), ['1', '3']);
+  assert.match(silent.failed[0].error, /did not confirm/);
+});
+
+test('batchUpdateRecords reports the records a 207 response left out', async (t) => {
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+  axios.defaults.adapter = async (config) => ({
+    status: 207, statusText: 'Multi-Status', headers: {}, config,
+    data: { results: JSON.parse(config.data).inputs.slice(1).map(({ id }) => ({ id })), errors: [{ message: 'Partial failure' }] },
+  });
+
+  const { updatedRecords, failedRecords } = await batchUpdateRecords('token', 'contacts', inputs);
+  assert.equal(updatedRecords, 2);
+  assert.deepEqual(failedRecords, [{ id: '1', error: 'Partial failure' }]);
+});
@@ -0,0 +1,97 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { app } = require('../server');
+
+// HubSpot calls the endpoint made, as "METHOD path"
+let calls = [];
+const adapter = axios.defaults.adapter;
+let server, base, cookie;
+
+before(async () => {
+  axios.defaults.adapter = async (config) => {
+    const { pathname } = new URL(config.url);
+    const reply = (data) => ({ status: 200, statusText: 'OK', headers: {}, config, data });
+    if (pathname === '/oauth/v1/token') return reply({ access_token: 'token', refresh_token: 'refresh', expires_in: 1800 });
+    if (pathname.startsWith('/oauth/v1/access-tokens/')) return reply({ hub_id: 1, user_id: 7 });
+    calls.push({ call: `${config.method.toUpperCase()} ${pathname}`, body: config.data && JSON.parse(config.data) });
+    if (pathname === '/crm/v3/properties/groups/contacts' && config.method === 'get') {
+      return reply({ results: [{ name: 'contactinformation', label: 'Contact information', displayOrder: 0 }] });
+    }
+    if (pathname === '/crm/v3/properties/groups/contacts') return reply(JSON.parse(config.data));
+    return reply({ name: pathname.split('/').pop(), ...JSON.parse(config.data || '{}') });
+  };
+  server = app.listen(0);
+  base = `http://localhost:${server.address().port}`;
+  const connect = await fetch(`${base}/oauth/callback?code=abc`, { redirect: 'manual' });
+  cookie = connect.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+  axios.defaults.adapter = adapter;
+  server.close();
+});
+
+beforeEach(() => { calls = []; });
+
+async function bulkUpdate(body) {
+  const res = await fetch(`${base}/api/bulk-update-properties`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({ objectType: 'contacts', ...body }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+test('a request with any invalid update writes nothing', async () => {
+  const { status, data } = await bulkUpdate({
+    updates: [
+      { name: 'tier', changes: { label: 'Tier' } },
+      { name: 'region', changes: { label: '   ' } },
+      { name: 'score', changes: { description: 42 } },
+      { name: 'notes', changes: { formField: 'yes' } },
+      { name: 'owner', changes: { type: 'string' } },
+    ],
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(data.errors, [
+    '"region": label must be non-empty text.',
+    '"score": description must be text.',
+    '"notes": formField must be true or false.',
+    '"owner": type can\'t be changed; only groupName, description, formField, label can.',
+  ]);
+  assert.deepEqual(calls, []);
+});
+
+test('group names and labels are checked too', async () => {
+  const { status, data } = await bulkUpdate({
+    updates: [
+      { name: 'tier', changes: { groupName: 'Sales Info' } },
+      { name: 'tier', changes: { label: 'Tier' } },
+      { name: 'region', changes: {} },
+    ],
+    groupLabels: { sales_info: '' },
+  });
+  assert.equal(status, 400);
+  assert.equal(data.errors.length, 4);
+  assert.match(data.errors[0], /invalid group "Sales Info"/);
+  assert.match(data.errors[1], /listed twice/);
+  assert.match(data.errors[2], /"region": changes must name at least one/);
+  assert.match(data.errors[3], /Group "sales_info": label must be non-empty text/);
+  assert.deepEqual(calls, []);
+});
+
+test('each new group gets its own label, or one derived from its name', async () => {
+  const { status, data } = await bulkUpdate({
+    updates: [
+      { name: 'tier', changes: { groupName: 'sales_info' } },
+      { name: 'region', changes: { groupName: 'territory_data' } },
+      { name: 'email', changes: { groupName: 'contactinformation' } },
+    ],
+    groupLabels: { sales_info: 'Sales' },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(data.createdGroups, ['sales_info', 'territory_data']);
+  const created = calls.filter(c => c.call === 'POST /crm/v3/properties/groups/contacts').map(c => c.body.label);
+  assert.deepEqual(created, ['Sales', 'Territory Data']);
+  assert.deepEqual(data.results.map(r => r.success), [true, true, true]);
+});
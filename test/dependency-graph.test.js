@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// public/app.js is a browser script; its graph helpers only need the
+// loaded properties, so it runs in a bare context without starting the app.
+const source = fs.readFileSync(path.join(__dirname, '../public/app.js'), 'utf8').replace(/^initAuth\(\);$/m, '');
+const app = vm.createContext({});
+vm.runInContext(source, app);
+vm.runInContext(`allProperties = [
+  { name: 'email', label: 'Email' },
+  { name: 'lifecyclestage', label: 'Lifecycle stage' },
+]`, app);
+
+// Values from the script's context have its own prototypes; compare them as JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const usageDetails = {
+  email:          { workflows: ['Welcome', 'Re-engage'], forms: ['Signup'] },
+  lifecyclestage: { workflows: ['Welcome'] },
+  legacy_code:    { reports: ['Old pipeline'] },
+};
+
+test('each property and each asset becomes one node, linked both ways', () => {
+  const { properties, assets } = app.buildDependencyGraph(usageDetails);
+
+  assert.deepEqual([...properties.keys()], ['email', 'lifecyclestage', 'legacy_code']);
+  assert.deepEqual([...assets.keys()], ['workflows:Welcome', 'workflows:Re-engage', 'forms:Signup', 'reports:Old pipeline']);
+  assert.deepEqual([...properties.get('email').assets], ['workflows:Welcome', 'workflows:Re-engage', 'forms:Signup']);
+  assert.deepEqual([...assets.get('workflows:Welcome').properties], ['email', 'lifecyclestage']);
+  const { type, name } = assets.get('forms:Signup');
+  assert.deepEqual([type, name], ['forms', 'Signup']);
+});
+
+test('property nodes take the label of the loaded property, or fall back to the name', () => {
+  const { properties } = app.buildDependencyGraph(usageDetails);
+  assert.equal(properties.get('lifecyclestage').label, 'Lifecycle stage');
+  assert.equal(properties.get('legacy_code').label, 'legacy_code');
+});
+
+test('assets with the same name from different sources stay apart', () => {
+  const { assets } = app.buildDependencyGraph({ email: { workflows: ['Signup'], forms: ['Signup'] } });
+  assert.deepEqual([...assets.keys()], ['workflows:Signup', 'forms:Signup']);
+});
+
+test('without a filter every reference is an edge', () => {
+  const graph = app.buildDependencyGraph(usageDetails);
+  assert.equal(app.graphEdges(graph, '', 'all').length, 5);
+});
+
+test('the source type filter keeps only edges to that type of asset', () => {
+  const graph = app.buildDependencyGraph(usageDetails);
+  assert.deepEqual(plain(app.graphEdges(graph, '', 'workflows')), [
+    { prop: 'email', asset: 'workflows:Welcome' },
+    { prop: 'lifecyclestage', asset: 'workflows:Welcome' },
+    { prop: 'email', asset: 'workflows:Re-engage' },
+  ]);
+});
+
+test('the search matches asset names, property names and property labels', () => {
+  const graph = app.buildDependencyGraph(usageDetails);
+  assert.deepEqual(plain(app.graphEdges(graph, 'signup', 'all')), [{ prop: 'email', asset: 'forms:Signup' }]);
+  assert.deepEqual(plain(app.graphEdges(graph, 'legacy', 'all')), [{ prop: 'legacy_code', asset: 'reports:Old pipeline' }]);
+  assert.deepEqual(plain(app.graphEdges(graph, 'lifecycle stage', 'all')), [{ prop: 'lifecyclestage', asset: 'workflows:Welcome' }]);
+  assert.deepEqual(plain(app.graphEdges(graph, 'welcome', 'forms')), []);
+});
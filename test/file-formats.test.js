@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parsePropertyFile, normalizeRecords } = require('../server');
+
+const upload = (originalname, content) => ({ originalname, buffer: Buffer.isBuffer(content) ? content : Buffer.from(content) });
+
+// The normalized rows, minus where each came from
+async function normalize(file) {
+  const rows = await parsePropertyFile(file);
+  const { errors, data } = normalizeRecords(rows.map(r => r.record), (i) => rows[i].label);
+  assert.deepEqual(errors, []);
+  return { labels: data.map(d => d.RowLabel), rows: data.map(({ RowLabel: _label, ...row }) => row) };
+}
+
+const csv = [
+  'Name,Type,Options,Group,Form Field,Display Order',
+  'Customer tier,Drop-down Select,Gold=gold;Silver=silver,sales,true,3',
+  'Renewal date,Date Picker,,,false,',
+].join('\n');
+
+const specs = [
+  { name: 'Customer tier', type: 'Drop-down Select', options: [{ label: 'Gold', value: 'gold' }, { label: 'Silver', value: 'silver' }], group: 'sales', formField: true, displayOrder: 3 },
+  { Name: 'Renewal date', Type: 'Date Picker', 'Form Field': false },
+];
+
+async function workbook(sheets) {
+  const book = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(sheets)) book.addWorksheet(name).addRows(rows);
+  return Buffer.from(await book.xlsx.writeBuffer());
+}
+
+test('CSV, Excel, JSON and YAML definitions produce the same rows', async () => {
+  const fromCsv = await normalize(upload('props.csv', csv));
+  assert.deepEqual(fromCsv.labels, ['Row 2', 'Row 3']);
+
+  const xlsx = await workbook({ Properties: [
+    ['Name', 'Type', 'Options', 'Group', 'Form Field', 'Display Order'],
+    ['Customer tier', 'Drop-down Select', 'Gold=gold;Silver=silver', 'sales', true, 3],
+    ['Renewal date', 'Date Picker', null, null, false, null],
+  ] });
+  const fromXlsx = await normalize(upload('props.xlsx', xlsx));
+  assert.deepEqual(fromXlsx.rows, fromCsv.rows);
+  assert.deepEqual(fromXlsx.labels, ['Row 2', 'Row 3']);
+
+  const fromJson = await normalize(upload('props.json', JSON.stringify({ properties: specs })));
+  assert.deepEqual(fromJson.rows, fromCsv.rows);
+  assert.deepEqual(fromJson.labels, ['Property list item 1', 'Property list item 2']);
+
+  const yaml = [
+    '- name: Customer tier',
+    '  type: Drop-down Select',
+    '  options: [{ label: Gold, value: gold }, { label: Silver, value: silver }]',
+    '  group: sales',
+    '  form_field: true',
+    '  display_order: 3',
+    '- Name: Renewal date',
+    '  Type: Date Picker',
+    '  Form Field: false',
+  ].join('\n');
+  const fromYaml = await normalize(upload('props.yml', yaml));
+  assert.deepEqual(fromYaml.rows, fromCsv.rows);
+});
+
+test('lists keyed by object, and workbook sheets, name the object their rows target', async () => {
+  const fromJson = await normalize(upload('props.json', JSON.stringify({ contacts: [specs[1]], deals: [specs[1]] })));
+  assert.deepEqual(fromJson.rows.map(r => r.Object), ['contacts', 'deals']);
+  assert.deepEqual(fromJson.labels, ['"contacts" item 1', '"deals" item 1']);
+
+  const xlsx = await workbook({
+    contacts: [['Name', 'Type'], ['Renewal date', 'Date Picker']],
+    deals:    [['Name', 'Type', 'Object'], ['Renewal date', 'Date Picker', 'tickets']],
+  });
+  const fromXlsx = await normalize(upload('props.xlsx', xlsx));
+  assert.deepEqual(fromXlsx.rows.map(r => r.Object), ['contacts', 'tickets']);
+  assert.deepEqual(fromXlsx.labels, ['Sheet "contacts" row 2', 'Sheet "deals" row 2']);
+});
+
+test('files that cannot be read are rejected with a message for the user', async () => {
+  await assert.rejects(parsePropertyFile(upload('props.json', '{ "properties": [')), /^Error: Invalid JSON/);
+  await assert.rejects(parsePropertyFile(upload('props.yaml', 'a: [1')), /^Error: Invalid YAML/);
+  await assert.rejects(parsePropertyFile(upload('props.json', '{ "properties": ["tier"] }')), /Property list item 1 must be an object/);
+  await assert.rejects(parsePropertyFile(upload('props.json', '{ "name": "tier" }')), /must be a list of properties/);
+  await assert.rejects(parsePropertyFile(upload('props.txt', 'Name,Type')), /Unsupported file type/);
+  await assert.rejects(parsePropertyFile(upload('props.xlsx', await workbook({ Sheet1: [['Label', 'Kind'], ['a', 'b']] }))),
+    /Sheet "Sheet1" must have at least the columns: Name, Type/);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { planNewGroups } = require('../server');
+
+const existingGroups = [
+  { name: 'contactinformation', label: 'Contact information', displayOrder: 0 },
+  { name: 'sales', label: 'Sales', displayOrder: 4 },
+];
+
+test('groups the portal lacks are planned once each, in first-seen order, after the existing ones', () => {
+  const rows = [
+    { Group: 'partner_program', GroupLabel: 'Partner program' },
+    { Group: 'sales' },
+    { Group: 'billing_details' },
+    { Group: 'partner_program' },
+    { Group: '' },
+  ];
+  assert.deepEqual(planNewGroups(rows, existingGroups), [
+    { name: 'partner_program', label: 'Partner program', displayOrder: 5 },
+    { name: 'billing_details', label: 'Billing Details', displayOrder: 6 },
+  ]);
+});
+
+test('a label given on a later row of the same group is used', () => {
+  const rows = [{ Group: 'billing_details' }, { Group: 'billing_details', GroupLabel: 'Billing' }];
+  assert.deepEqual(planNewGroups(rows, []), [{ name: 'billing_details', label: 'Billing', displayOrder: 0 }]);
+});
+
+test('nothing is planned when every group exists', () => {
+  assert.deepEqual(planNewGroups([{ Group: 'sales', GroupLabel: 'Renamed' }], existingGroups), []);
+});
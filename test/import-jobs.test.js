@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+process.env.IMPORT_JOB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'import-jobs-'));
+const { isOwnedBySession, importJobs, loadImportJobs, createChunk } = require('../server');
+
+after(() => fs.rmSync(process.env.IMPORT_JOB_DIR, { recursive: true, force: true }));
+
+function storeJob(job) {
+  fs.writeFileSync(path.join(process.env.IMPORT_JOB_DIR, `${job.id}.json`), JSON.stringify(job));
+}
+
+test('a job cut off by a restart comes back paused, its in-flight rows flagged for a check', () => {
+  const now = Date.now();
+  storeJob({
+    id: 'running', status: 'running', stopRequested: 'pause', createdAt: now, updatedAt: now,
+    rows: [{ status: 'created' }, { status: 'creating' }, { status: 'updating' }, { status: 'pending' }],
+  });
+  storeJob({ id: 'stale', status: 'completed', createdAt: 0, updatedAt: 0, rows: [] });
+  fs.writeFileSync(path.join(process.env.IMPORT_JOB_DIR, 'broken.json'), '{ not json');
+
+  loadImportJobs();
+
+  const job = importJobs.get('running');
+  assert.equal(job.status, 'paused');
+  assert.equal(job.stopRequested, null);
+  assert.equal(job.session, null);
+  assert.match(job.error, /server restart/);
+  assert.deepEqual(job.rows.map(r => [r.status, !!r.uncertain]), [
+    ['created', false], ['pending', true], ['pending', true], ['pending', false],
+  ]);
+  // Finished jobs past the retention period are dropped; unreadable files are skipped
+  assert.equal(importJobs.has('stale'), false);
+  assert.equal(importJobs.has('broken'), false);
+});
+
+test('a rejected batch is retried row by row so each error lands on its own row', async (t) => {
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+  const batchSizes = [];
+  axios.defaults.adapter = async (config) => {
+    const { inputs } = JSON.parse(config.data);
+    batchSizes.push(inputs.length);
+    if (inputs.some(i => i.name === 'bad')) {
+      throw new axios.AxiosError('Request failed with status code 400', 'ERR_BAD_REQUEST', config, null,
+        { status: 400, statusText: 'Bad Request', headers: {}, config, data: { message: 'Invalid option' } });
+    }
+    return { status: 200, statusText: 'OK', headers: {}, config, data: { results: inputs.map(({ name }) => ({ name })) } };
+  };
+
+  const row = (name) => ({ internalName: name, body: { name }, property: { Type: 'Single-line text' }, status: 'pending' });
+  const job = { id: 'chunk', session: { accessToken: 'token', expiresAt: Date.now() + 3600000 }, rows: [row('tier'), row('bad'), row('region')] };
+
+  await createChunk(job, 'contacts', job.rows);
+
+  assert.deepEqual(batchSizes, [3, 1, 1, 1]);
+  assert.deepEqual(job.rows.map(r => [r.internalName, r.status, r.error]), [
+    ['tier', 'created', undefined], ['bad', 'failed', 'Invalid option'], ['region', 'created', undefined],
+  ]);
+});
+
+test('jobs are shared across sessions of the same user only', () => {
+  const job = { sessionId: 's1', portalId: 1, userId: 7 };
+  const req = (sessionID, session) => ({ sessionID, session });
+  assert.equal(isOwnedBySession(req('s1', {}), job), true);
+  assert.equal(isOwnedBySession(req('s2', { portalId: 1, userId: 7 }), job), true);
+  assert.equal(isOwnedBySession(req('s2', { portalId: 1, userId: 8 }), job), false);
+  assert.equal(isOwnedBySession(req('s2', { portalId: 2, userId: 7 }), job), false);
+  // Without a known user only the session that started it sees it
+  assert.equal(isOwnedBySession(req('s2', { portalId: 1 }), { ...job, userId: null }), false);
+});
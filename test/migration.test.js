@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffDefinitions, countMigrationStatuses } = require('../server');
+
+const property = (options) => ({
+  name: 'tier', label: 'Tier', type: 'enumeration', fieldType: 'select', groupName: 'info', description: '',
+  options: options.map((value, displayOrder) => ({ label: value, value, displayOrder, hidden: false })),
+});
+
+test('options only the target has are a difference that is not applied unless removals are allowed', () => {
+  const desired = { groups: [], properties: [property(['gold', 'silver'])] };
+  const live    = { groups: [], properties: [property(['gold', 'silver', 'bronze'])] };
+
+  const kept = diffDefinitions(desired, live, false, 'source');
+  const [item] = kept.properties;
+  assert.equal(item.status, 'different');
+  assert.equal(item.patch, null);
+  assert.ok(item.changes.length > 0);
+  assert.match(item.notApplied, /removals are allowed/);
+  assert.deepEqual(countMigrationStatuses([kept]), { missing: 0, identical: 0, different: 0, notApplied: 1 });
+
+  const removed = diffDefinitions(desired, live, true, 'source');
+  assert.equal(removed.properties[0].status, 'different');
+  assert.equal(removed.properties[0].notApplied, undefined);
+  assert.deepEqual(removed.properties[0].patch.options.map(o => o.value), ['gold', 'silver']);
+});
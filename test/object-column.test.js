@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectColumnErrors } = require('../server');
+
+const offline = { session: {} };
+const label = (i) => `Row ${i + 2}`;
+
+test('built-in objects are checked without a connection', async () => {
+  const rows = [{ Object: 'Contacts' }, { Object: 'deal' }, { Object: '0-5' }, { Object: '0-99' }, { Object: '' }];
+  assert.deepEqual(await objectColumnErrors(offline, rows, label), ['Row 5: Unknown object "0-99"']);
+});
+
+test('values that could name a custom object wait for the portal check', async () => {
+  const rows = [{ Object: 'Pets' }, { Object: '2-12345' }];
+  assert.deepEqual(await objectColumnErrors(offline, rows, label), []);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const YAML = require('yaml');
+const { parseObjectDefinition, resolveAssociatedObjects } = require('../server');
+
+const upload = (originalname, content) => ({ originalname, buffer: Buffer.from(content) });
+
+const definition = {
+  name: 'partner',
+  labels: { singular: 'Partner', plural: 'Partners' },
+  description: '  Reseller partners  ',
+  primaryDisplayProperty: 'partner_name',
+  secondaryDisplayProperties: ['tier'],
+  requiredProperties: ['partner_name'],
+  associatedObjects: ['contacts', 'Companies'],
+  properties: [
+    { name: 'Partner name', type: 'Single Line Text' },
+    { name: 'Tier', type: 'Drop-down Select', options: 'Gold;Silver' },
+  ],
+};
+
+// The errors a refused definition reports
+function parseErrors(spec) {
+  try {
+    parseObjectDefinition(upload('object.json', JSON.stringify(spec)));
+  } catch (err) {
+    return err.fileErrors || [err.message];
+  }
+  assert.fail('the definition was accepted');
+}
+
+test('a definition becomes the schema fields and importer rows for its properties', () => {
+  const { definition: schema, properties } = parseObjectDefinition(upload('object.json', JSON.stringify(definition)));
+  assert.deepEqual(schema, {
+    name: 'partner',
+    labels: { singular: 'Partner', plural: 'Partners' },
+    description: 'Reseller partners',
+    primaryDisplayProperty: 'partner_name',
+    secondaryDisplayProperties: ['tier'],
+    requiredProperties: ['partner_name'],
+    searchableProperties: [],
+    associatedObjects: ['contacts', 'Companies'],
+  });
+  assert.deepEqual(properties.map(p => [p.Name, p.Type, p.Options]), [
+    ['Partner name', 'Single Line Text', ''],
+    ['Tier', 'Drop-down Select', 'Gold;Silver'],
+  ]);
+});
+
+test('YAML definitions read the same as JSON', () => {
+  const fromJson = parseObjectDefinition(upload('object.json', JSON.stringify(definition)));
+  const fromYaml = parseObjectDefinition(upload('object.yaml', YAML.stringify(definition)));
+  assert.deepEqual(fromYaml, fromJson);
+});
+
+test('every problem with the schema fields is listed', () => {
+  assert.deepEqual(parseErrors({
+    ...definition,
+    name: '2partner',
+    labels: { singular: 'Partner' },
+    primaryDisplayProperty: 'partner_id',
+    requiredProperties: ['partner_name', 'region'],
+    searchableProperties: 'partner_name',
+    associatedObjects: 'contacts',
+  }), [
+    'name "2partner" must start with a letter and use only letters, numbers and underscores.',
+    'labels.singular and labels.plural are required.',
+    'primaryDisplayProperty "partner_id" is not one of the properties.',
+    'requiredProperties names properties that aren\'t defined: region',
+    'searchableProperties must be a list of property internal names.',
+    'associatedObjects must be a list of object names.',
+  ]);
+});
+
+test('properties are validated like importer rows and may not name an object', () => {
+  assert.deepEqual(parseErrors({
+    ...definition,
+    properties: [
+      { name: 'Partner name', type: 'Single Line Text' },
+      { name: 'Tier', type: 'Text' },
+      { name: 'Partner Name', type: 'Single Line Text' },
+      { name: 'Region', type: 'Single Line Text', object: 'contacts' },
+    ],
+  }), [
+    'Property list item 2: Invalid type "Text". Must be one of: Drop-down Select, Radio Select, Multiple Checkboxes, Single Line Text, Multi-line Text, Phone Number, URL, Rich Text, Number, Date Picker, Date and Time Picker, Single Checkbox, File, HubSpot User, Calculation',
+    'Property list item 3: internal name "partner_name" is used twice',
+    'Property list item 4: Object can\'t be set; the properties belong to the new object',
+  ]);
+});
+
+test('a definition without properties or of the wrong shape is refused', () => {
+  assert.deepEqual(parseErrors({ ...definition, properties: [] }), ['The definition needs a non-empty "properties" list.']);
+  assert.match(parseErrors([definition])[0], /must be an object with name, labels/);
+  assert.throws(() => parseObjectDefinition(upload('object.csv', 'name\npartner')), /must be \.json, \.yaml or \.yml/);
+});
+
+test('associated objects resolve to type IDs, once each', () => {
+  const customObjects = [{ value: '2-555', label: 'Projects', name: 'project' }];
+  assert.deepEqual(resolveAssociatedObjects(['contacts', 'Contact', 'deals', 'projects'], customObjects), ['0-1', '0-3', '2-555']);
+  assert.throws(() => resolveAssociatedObjects(['contacts', 'widgets'], customObjects),
+    (err) => err.statusCode === 400 && err.message === 'Unknown associated objects: widgets');
+});
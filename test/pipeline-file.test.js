@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePipelineFile } = require('../server');
+
+const upload = (content, originalname = 'pipelines.csv') => ({ originalname, buffer: Buffer.from(content) });
+
+// The errors a refused file reports
+function fileErrors(file, typeId) {
+  try {
+    parsePipelineFile(file, typeId);
+  } catch (err) {
+    return err.fileErrors;
+  }
+  assert.fail('the file was accepted');
+}
+
+test('deal stages are grouped rows with probabilities as fractions', () => {
+  const rows = parsePipelineFile(upload([
+    'Pipeline,Stage,Display Order,Probability',
+    'Partner sales,Qualified,0,0.2',
+    'Partner sales,Won,1,100%',
+  ].join('\n')), '0-3');
+
+  assert.deepEqual(rows, [
+    { index: 0, pipeline: 'Partner sales', stage: 'Qualified', displayOrder: 0, probability: 0.2, ticketState: null },
+    { index: 1, pipeline: 'Partner sales', stage: 'Won', displayOrder: 1, probability: 1, ticketState: null },
+  ]);
+});
+
+test('ticket stages take their state in any case', () => {
+  const rows = parsePipelineFile(upload('Pipeline,Stage,Ticket State\nSupport,New,open\nSupport,Done,Closed'), '0-5');
+  assert.deepEqual(rows.map(r => r.ticketState), ['OPEN', 'CLOSED']);
+});
+
+test('a malformed CSV is a file error, not a server error', () => {
+  for (const csv of ['Pipeline,Stage\n"Support,New', 'Pipeline,Stage\nSupport,New,extra']) {
+    const errors = fileErrors(upload(csv), '0-5');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Invalid CSV: /);
+  }
+});
+
+test('files that are not CSV, empty or missing columns are refused as a whole', () => {
+  assert.deepEqual(fileErrors(upload('Pipeline,Stage', 'pipelines.xlsx'), '0-3'), ['Pipeline files must be .csv.']);
+  assert.deepEqual(fileErrors(upload('Pipeline,Stage\n'), '0-3'), ['The CSV file is empty.']);
+  assert.deepEqual(fileErrors(upload('Name,Stage\nSales,New'), '0-3'), ['CSV must have at least the columns: Pipeline, Stage']);
+});
+
+test('every row problem is listed, one line per row', () => {
+  assert.deepEqual(fileErrors(upload([
+    'Pipeline,Stage,Display Order,Probability,Ticket State',
+    'Sales,New,first,0.1,',
+    'Sales,new,,,',
+    ',Won,,120%,OPEN',
+  ].join('\n')), '0-3'), [
+    'Row 2: Display Order "first" must be a whole number',
+    'Row 3: stage "new" is listed twice for pipeline "Sales"; Probability is required for deal stages',
+    'Row 4: Pipeline is required; Probability "120%" must be between 0 and 1, or 0% and 100%; Ticket State only applies to ticket stages',
+  ]);
+});
+
+test('probabilities are refused on ticket stages and states are checked', () => {
+  assert.deepEqual(fileErrors(upload('Pipeline,Stage,Probability,Ticket State\nSupport,New,0.5,WAITING\nSupport,Done,,'), '0-5'), [
+    'Row 2: Probability only applies to deal stages; Ticket State "WAITING" must be OPEN or CLOSED',
+    'Row 3: Ticket State is required for ticket stages',
+  ]);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { countRecords, propertyRecordStats } = require('../server');
+
+// Answers every search with `data` and keeps the request bodies
+function mockSearch(t, data) {
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+  const requests = [];
+  axios.defaults.adapter = async (config) => {
+    requests.push({ url: config.url, body: JSON.parse(config.data) });
+    return { status: 200, statusText: 'OK', headers: {}, config, data };
+  };
+  return requests;
+}
+
+test('the last write is the newest last-modified date among records with a value', async (t) => {
+  const requests = mockSearch(t, {
+    total: 1234,
+    results: [{ id: '9', properties: { hs_lastmodifieddate: '2026-09-30T08:15:00.000Z' } }],
+  });
+
+  const stats = await propertyRecordStats('token', 'deals', 'deal_tier');
+  assert.deepEqual(stats, { total: 1234, lastWrittenAt: '2026-09-30T08:15:00.000Z' });
+  assert.equal(requests[0].url, 'https://api.hubapi.com/crm/v3/objects/deals/search');
+  assert.deepEqual(requests[0].body, {
+    filterGroups: [{ filters: [{ propertyName: 'deal_tier', operator: 'HAS_PROPERTY' }] }],
+    sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'DESCENDING' }],
+    properties: ['hs_lastmodifieddate'],
+    limit: 1,
+  });
+});
+
+test('contacts are sorted by their own last-modified property', async (t) => {
+  const requests = mockSearch(t, {
+    total: 2,
+    results: [{ id: '1', properties: { lastmodifieddate: '2026-10-01T00:00:00.000Z' } }],
+  });
+
+  for (const objectType of ['contacts', '0-1']) {
+    const stats = await propertyRecordStats('token', objectType, 'favorite_color');
+    assert.equal(stats.lastWrittenAt, '2026-10-01T00:00:00.000Z');
+  }
+  assert.ok(requests.every(r => r.body.sorts[0].propertyName === 'lastmodifieddate'));
+});
+
+test('a property no record has a value for was never written', async (t) => {
+  mockSearch(t, { total: 0, results: [] });
+  assert.deepEqual(await propertyRecordStats('token', 'companies', 'legacy_code'), { total: 0, lastWrittenAt: null });
+});
+
+test('counting without filters counts every record of the object', async (t) => {
+  const requests = mockSearch(t, { total: 5000, results: [] });
+
+  assert.equal(await countRecords('token', 'tickets', []), 5000);
+  assert.deepEqual(requests[0].body, { filterGroups: [], limit: 1, properties: [] });
+
+  await countRecords('token', 'tickets', [{ propertyName: 'priority', operator: 'HAS_PROPERTY' }]);
+  assert.deepEqual(requests[1].body.filterGroups, [{ filters: [{ propertyName: 'priority', operator: 'HAS_PROPERTY' }] }]);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { restoreFailureMessage, restorablePropertyBody } = require('../server');
+
+const apiError = (status, message) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { message } },
+});
+
+test('a 409 on restore explains that the name is taken or still reserved', () => {
+  const message = restoreFailureMessage('tier', apiError(409, 'Property already exists'));
+  assert.match(message, /^"tier" can't be restored/);
+  assert.match(message, /already exists/);
+  assert.match(message, /reserves the name/);
+});
+
+test('other restore failures keep HubSpot\'s message', () => {
+  assert.equal(restoreFailureMessage('tier', apiError(400, 'Invalid options')), 'Invalid options');
+  assert.equal(restoreFailureMessage('tier', new Error('socket hang up')), 'socket hang up');
+});
+
+test('every writable field of an archived definition survives, read-only ones are dropped', () => {
+  const writable = {
+    name: 'deal_value_eur',
+    label: 'Deal value (EUR)',
+    type: 'number',
+    fieldType: 'number',
+    groupName: 'dealinformation',
+    description: 'Converted at close',
+    options: [],
+    displayOrder: 4,
+    hasUniqueValue: false,
+    hidden: false,
+    formField: true,
+    calculationFormula: 'amount * 0.92',
+    referencedObjectType: 'OWNER',
+    externalOptions: false,
+    numberDisplayHint: 'currency',
+    showCurrencySymbol: true,
+  };
+  const archived = {
+    ...writable,
+    archived: true,
+    archivedAt: '2026-09-01T10:00:00Z',
+    createdAt: '2025-01-01T10:00:00Z',
+    updatedAt: '2026-08-01T10:00:00Z',
+    createdUserId: '12',
+    hubspotDefined: false,
+    modificationMetadata: { archivable: true, readOnlyDefinition: false, readOnlyValue: false },
+  };
+  assert.deepEqual(restorablePropertyBody(archived), writable);
+});
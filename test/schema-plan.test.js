@@ -0,0 +1,99 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { app } = require('../server');
+
+// The live portal the plan is made against, and the writes made to it
+let portal;
+let writes = [];
+const adapter = axios.defaults.adapter;
+let server, base, cookie;
+
+const schemaFile = (label) => JSON.stringify({
+  version: 1,
+  objects: [{
+    objectType: 'contacts',
+    groups: [{ name: 'partner', label: 'Partner' }],
+    properties: [{ name: 'partner_tier', label, type: 'string', fieldType: 'text', groupName: 'partner' }],
+  }],
+});
+
+before(async () => {
+  axios.defaults.adapter = async (config) => {
+    const { pathname } = new URL(config.url);
+    const reply = (data) => ({ status: 200, statusText: 'OK', headers: {}, config, data });
+    if (pathname === '/oauth/v1/token') return reply({ access_token: 'token', refresh_token: 'refresh', expires_in: 1800 });
+    if (pathname.startsWith('/oauth/v1/access-tokens/')) return reply({ hub_id: 1, user_id: 7 });
+    if (config.method === 'get' && pathname === '/crm/v3/properties/contacts') return reply({ results: portal.properties });
+    if (config.method === 'get' && pathname === '/crm/v3/properties/groups/contacts') return reply({ results: portal.groups });
+    writes.push(`${config.method.toUpperCase()} ${pathname}`);
+    return reply(JSON.parse(config.data || '{}'));
+  };
+  server = app.listen(0);
+  base = `http://localhost:${server.address().port}`;
+  const connect = await fetch(`${base}/oauth/callback?code=abc`, { redirect: 'manual' });
+  cookie = connect.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+  axios.defaults.adapter = adapter;
+  server.close();
+});
+
+beforeEach(() => {
+  writes = [];
+  portal = {
+    groups: [{ name: 'contactinformation', label: 'Contact information', displayOrder: 0 }],
+    properties: [{ name: 'email', label: 'Email', type: 'string', fieldType: 'text', groupName: 'contactinformation', hubspotDefined: true }],
+  };
+});
+
+async function schemaRequest(action, file, planHash) {
+  const form = new FormData();
+  form.append('file', new Blob([file], { type: 'application/json' }), 'schema.json');
+  form.append('allowDeletes', 'false');
+  if (planHash !== undefined) form.append('planHash', planHash);
+  const res = await fetch(`${base}/api/schema-file/${action}`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+  return { status: res.status, data: await res.json() };
+}
+
+test('the same file against the same portal plans to the same hash', async () => {
+  const first  = await schemaRequest('plan', schemaFile('Partner tier'));
+  const second = await schemaRequest('plan', schemaFile('Partner tier'));
+  assert.equal(first.status, 200);
+  assert.match(first.data.planHash, /^[0-9a-f]{40}$/);
+  assert.equal(second.data.planHash, first.data.planHash);
+  assert.deepEqual(writes, []);
+});
+
+test('a changed file plans to a different hash', async () => {
+  const first   = await schemaRequest('plan', schemaFile('Partner tier'));
+  const renamed = await schemaRequest('plan', schemaFile('Partner level'));
+  assert.notEqual(renamed.data.planHash, first.data.planHash);
+});
+
+test('the reviewed plan is applied while the portal still matches it', async () => {
+  const file = schemaFile('Partner tier');
+  const { data: plan } = await schemaRequest('plan', file);
+  const { status, data } = await schemaRequest('apply', file, plan.planHash);
+  assert.equal(status, 200);
+  assert.deepEqual(writes, ['POST /crm/v3/properties/groups/contacts', 'POST /crm/v3/properties/contacts']);
+  assert.ok(data.results.every(r => r.success));
+});
+
+test('nothing is applied when the portal changed after the plan', async () => {
+  const file = schemaFile('Partner tier');
+  const { data: plan } = await schemaRequest('plan', file);
+  portal.groups.push({ name: 'partner', label: 'Partners', displayOrder: 1 });
+
+  const { status, data } = await schemaRequest('apply', file, plan.planHash);
+  assert.equal(status, 409);
+  assert.match(data.error, /changed since the plan was made/);
+  assert.deepEqual(writes, []);
+});
+
+test('nothing is applied without the hash of a reviewed plan', async () => {
+  const { status } = await schemaRequest('apply', schemaFile('Partner tier'));
+  assert.equal(status, 409);
+  assert.deepEqual(writes, []);
+});
@@ -0,0 +1,98 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+process.env.SNAPSHOT_LIMIT = '3';
+const { recordSnapshot, snapshotsFor, diffSnapshots } = require('../server');
+
+after(() => fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true }));
+
+const property = (fields) => ({
+  name: 'tier', label: 'Tier', type: 'enumeration', fieldType: 'select', groupName: 'info', options: [], ...fields,
+});
+const option = (value) => ({ label: value[0].toUpperCase() + value.slice(1), value, displayOrder: 0, hidden: false });
+
+test('added, relabeled, moved, retyped and removed properties are each a change', () => {
+  const before = [
+    property({ name: 'tier' }),
+    property({ name: 'region', label: 'Region' }),
+    property({ name: 'legacy', label: 'Legacy' }),
+  ];
+  const after = [
+    property({ name: 'tier', label: 'Customer tier', groupName: 'sales', updatedUserId: 7, updatedAt: '2026-10-02' }),
+    property({ name: 'region', label: 'Region', type: 'string', fieldType: 'text' }),
+    property({ name: 'score', label: 'Score', createdUserId: 9, createdAt: '2026-10-01' }),
+  ];
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    { kind: 'relabeled', name: 'tier', label: 'Customer tier', from: 'Tier', to: 'Customer tier', userId: 7, at: '2026-10-02' },
+    { kind: 'moved', name: 'tier', label: 'Customer tier', from: 'info', to: 'sales', userId: 7, at: '2026-10-02' },
+    { kind: 'retyped', name: 'region', label: 'Region', from: 'enumeration/select', to: 'string/text', userId: null, at: null },
+    { kind: 'added', name: 'score', label: 'Score', userId: 9, at: '2026-10-01' },
+    { kind: 'removed', name: 'legacy', label: 'Legacy' },
+  ]);
+});
+
+test('options are compared by value and reported by label', () => {
+  const before = [property({ options: [{ label: 'Gold', value: 'gold' }, { label: 'Silver', value: 'silver' }] })];
+  const after  = [property({ options: [{ label: 'Gold medal', value: 'gold' }, { label: 'Bronze', value: 'bronze' }] })];
+
+  assert.deepEqual(diffSnapshots(before, after).map(({ kind, options }) => ({ kind, options })), [
+    { kind: 'options-added', options: ['Bronze'] },
+    { kind: 'options-removed', options: ['Silver'] },
+  ]);
+});
+
+test('identical snapshots have no changes', () => {
+  const properties = [property({ options: [{ label: 'Gold', value: 'gold' }] })];
+  assert.deepEqual(diffSnapshots(properties, properties), []);
+});
+
+test('a load that only moved timestamps does not add a snapshot', async () => {
+  const req = { session: { portalId: 101 }, sessionID: 'session-a' };
+  const first = await recordSnapshot(req, 'contacts', [property({ options: [option('gold')], updatedAt: '2026-10-01' })], 'load');
+  assert.equal(first.changed, true);
+
+  const again = await recordSnapshot(req, 'contacts', [property({ options: [option('gold')], updatedAt: '2026-10-05' })], 'load');
+  assert.equal(again.changed, false);
+  assert.equal(again.snapshot.id, first.snapshot.id);
+  assert.equal('hash' in again.snapshot, false);
+
+  const changed = await recordSnapshot(req, 'contacts', [property({ options: [option('gold'), option('silver')] })], 'manual');
+  assert.equal(changed.changed, true);
+  assert.deepEqual(snapshotsFor(req, 'contacts').map(s => s.trigger), ['load', 'manual']);
+});
+
+test('snapshots are shared across the portal and kept apart from other portals', async () => {
+  const alice = { session: { portalId: 202 }, sessionID: 'session-b' };
+  const bob   = { session: { portalId: 202 }, sessionID: 'session-c' };
+  const other = { session: { portalId: 303 }, sessionID: 'session-d' };
+  await recordSnapshot(alice, 'deals', [property({})], 'manual');
+
+  assert.equal(snapshotsFor(bob, 'deals').length, 1);
+  assert.equal((await recordSnapshot(bob, 'deals', [property({})], 'load')).changed, false);
+  assert.deepEqual(snapshotsFor(other, 'deals'), []);
+});
+
+test('without a portal ID only the session that took them sees them', async () => {
+  const req = { session: {}, sessionID: 'session-e' };
+  await recordSnapshot(req, 'tickets', [property({})], 'manual');
+  assert.equal(snapshotsFor(req, 'tickets').length, 1);
+  assert.deepEqual(snapshotsFor({ session: {}, sessionID: 'session-f' }, 'tickets'), []);
+});
+
+test('the oldest snapshots of an object are pruned past the limit', async () => {
+  const req = { session: { portalId: 404 }, sessionID: 'session-g' };
+  const ids = [];
+  for (const label of ['One', 'Two', 'Three', 'Four', 'Five']) {
+    ids.push((await recordSnapshot(req, 'companies', [property({ label })], 'manual')).snapshot.id);
+  }
+
+  assert.deepEqual(snapshotsFor(req, 'companies').map(s => s.id), ids.slice(2));
+  const files = fs.readdirSync(process.env.SNAPSHOT_DIR);
+  assert.ok(ids.slice(0, 2).every(id => !files.includes(`${id}.json`)));
+  assert.ok(ids.slice(2).every(id => files.includes(`${id}.json`)));
+});
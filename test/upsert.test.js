@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffPropertyDefinition, buildPropertyPatch } = require('../server');
+
+const existing = {
+  name: 'tier',
+  label: 'Tier',
+  type: 'enumeration',
+  fieldType: 'select',
+  groupName: 'contactinformation',
+  description: '',
+  formField: false,
+  options: [
+    { label: 'Gold', value: 'gold', displayOrder: 0 },
+    { label: 'Silver', value: 'silver', displayOrder: 1 },
+  ],
+};
+
+test('a row matching the live property has no differences and no patch', () => {
+  const desired = { ...existing, options: existing.options.map(o => ({ ...o })) };
+  assert.deepEqual(diffPropertyDefinition(existing, desired), []);
+  assert.equal(buildPropertyPatch(existing, desired, false), null);
+});
+
+test('fields the row leaves out are not differences', () => {
+  const { formField: _formField, ...desired } = existing;
+  assert.deepEqual(diffPropertyDefinition({ ...existing, formField: true, hidden: true }, desired), []);
+});
+
+test('changed fields are listed and patched, and options are merged', () => {
+  const desired = {
+    ...existing,
+    label: 'Customer tier',
+    formField: true,
+    options: [{ label: 'Platinum', value: 'platinum' }, { label: 'Gold!', value: 'gold' }],
+  };
+  assert.deepEqual(diffPropertyDefinition(existing, desired), [
+    'label "Tier" → "Customer tier"',
+    'formField false → true',
+    'options added: platinum',
+    'options not in file: silver',
+    'options relabeled: gold',
+  ]);
+
+  const patch = buildPropertyPatch(existing, desired, false);
+  assert.equal(patch.label, 'Customer tier');
+  assert.equal(patch.formField, true);
+  // Options the file leaves out are kept, after the file's, unless removals are allowed
+  assert.deepEqual(patch.options.map(o => [o.value, o.displayOrder]), [['platinum', 0], ['gold', 1], ['silver', 2]]);
+  assert.deepEqual(buildPropertyPatch(existing, desired, true).options.map(o => o.value), ['platinum', 'gold']);
+});
+
+test('a row only dropping options needs removals allowed before anything is patched', () => {
+  const desired = { ...existing, options: [existing.options[0]] };
+  assert.deepEqual(diffPropertyDefinition(existing, desired, 'source'), ['options not in source: silver']);
+  assert.equal(buildPropertyPatch(existing, desired, false), null);
+  assert.deepEqual(buildPropertyPatch(existing, desired, true).options.map(o => o.value), ['gold']);
+});
+
+test('every patchable field shows up as a difference', () => {
+  const desired = { ...existing, numberDisplayHint: 'currency', showCurrencySymbol: true };
+  assert.ok(buildPropertyPatch(existing, desired, false));
+  assert.equal(diffPropertyDefinition(existing, desired).length, 2);
+});
+
+test('type changes and newly required unique values are refused', () => {
+  assert.throws(() => buildPropertyPatch(existing, { ...existing, type: 'string', fieldType: 'text' }, false),
+    /Type cannot be changed from enumeration\/select to string\/text/);
+  assert.throws(() => buildPropertyPatch(existing, { ...existing, hasUniqueValue: true }, false), /Unique values/);
+});
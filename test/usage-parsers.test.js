@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractWorkflowProps, extractListProps, extractReportProps, extractEmailProps, extractFormProps, extractPipelineProps,
+  extractCalculationProps, extractSchemaProps, extractSequenceProps, extractChatflowProps,
+} = require('../server');
+
+// Recorded API payloads (ids and names anonymized) in test/fixtures
+const fixture = (name) => require(`./fixtures/${name}.json`);
+
+// Refs as sorted, de-duplicated "objectType:name" strings; unknown objects show as "*"
+function refKeys(refs) {
+  return [...new Set(refs.map(r => `${r.objectType || '*'}:${r.name}`))].sort();
+}
+
+test('v3 workflow: segment and goal filters, re-enrollment, set/copy/date-stamp actions, branches and tokens', () => {
+  assert.deepEqual(refKeys(extractWorkflowProps(fixture('workflow-v3'))), [
+    '0-1:company_revenue_band',
+    '0-1:engaged_date',
+    '0-1:firstname',
+    '0-1:hs_lead_status',
+    '0-1:last_visit_date',
+    '0-1:lifecyclestage',
+    '0-1:num_visits',
+    '0-1:nurture_stage',
+    '0-2:annualrevenue',
+    '0-2:industry',
+  ]);
+});
+
+test('v4 flow: enrollment criteria, association and property-change branches, copy-property actions and list branches', () => {
+  assert.deepEqual(refKeys(extractWorkflowProps(fixture('workflow-v4'))), [
+    '*:last_won_deal_amount',
+    '0-2:industry',
+    '0-3:amount',
+    '0-3:contract_term_months',
+    '0-3:dealname',
+    '0-3:dealstage',
+    '0-3:handoff_date',
+    '0-3:hubspot_owner_id',
+    '0-3:implementation_owner',
+  ]);
+});
+
+test('list: nested filter branches, associated objects and property-change events', () => {
+  assert.deepEqual(refKeys(extractListProps(fixture('list'))), [
+    '0-1:jobtitle',
+    '0-1:lifecyclestage',
+    '0-2:numberofemployees',
+  ]);
+});
+
+test('report: dimensions, metrics, filters, date range and sorts, including cross-object properties', () => {
+  assert.deepEqual(refKeys(extractReportProps(fixture('report'))), [
+    '0-2:industry',
+    '0-2:region_code',
+    '0-3:amount',
+    '0-3:closedate',
+    '0-3:dealstage',
+    '0-3:hs_deal_stage_probability',
+    '0-3:pipeline',
+  ]);
+});
+
+test('marketing email: tokens in the subject and widgets; owner and site tokens are not properties', () => {
+  assert.deepEqual(refKeys(extractEmailProps(fixture('email'))), [
+    '0-1:firstname',
+    '0-1:support_credits',
+    '0-2:plan_tier',
+  ]);
+});
+
+test('form: fields by object, including fields shown conditionally; text in rich-text blocks is not a field', () => {
+  assert.deepEqual(refKeys(extractFormProps(fixture('form'))), [
+    '0-1:email',
+    '0-1:jobtitle',
+    '0-1:procurement_contact',
+    '0-2:numberofemployees',
+  ]);
+});
+
+test('legacy form: field rows and dependent fields are contact properties', () => {
+  assert.deepEqual(refKeys(extractFormProps(fixture('form-legacy'))), [
+    '0-1:country',
+    '0-1:email',
+    '0-1:firstname',
+    '0-1:vat_number',
+  ]);
+});
+
+test('pipeline: property keys in stage metadata, on the pipeline\'s object', () => {
+  assert.deepEqual(refKeys(extractPipelineProps(fixture('pipeline-custom'), '2-3508482')), [
+    '2-3508482:go_live_date',
+    '2-3508482:kickoff_date',
+  ]);
+  // Stage probabilities, closed flags and labels aren't property references
+  assert.deepEqual(extractPipelineProps(fixture('pipeline-deals'), 'deals'), []);
+});
+
+test('property names in free text, constants and unrelated fields are not references', () => {
+  const negatives = fixture('negatives');
+  assert.deepEqual(extractWorkflowProps(negatives.workflow), []);
+  assert.deepEqual(extractListProps(negatives.list), []);
+  assert.deepEqual(extractReportProps(negatives.report), []);
+  assert.deepEqual(extractEmailProps(negatives.email), []);
+});
+
+test('calculated property: identifiers in the formula, minus functions, keywords, strings and itself', () => {
+  assert.deepEqual(refKeys(extractCalculationProps(fixture('calculated-property'))), [
+    '0-3:amount',
+    '0-3:dealstage',
+    '0-3:hs_deal_stage_probability',
+    '0-3:renewal_uplift',
+  ]);
+  assert.deepEqual(extractCalculationProps(fixture('negatives').calculation), []);
+});
+
+test('custom object schema: required, searchable and display properties, not every defined one', () => {
+  assert.deepEqual(refKeys(extractSchemaProps(fixture('schema'))), [
+    '2-3508482:contract_id',
+    '2-3508482:contract_name',
+    '2-3508482:region',
+    '2-3508482:renewal_date',
+  ]);
+  assert.deepEqual(extractSchemaProps(fixture('negatives').schema), []);
+});
+
+test('sequence: tokens in template and task steps; sender tokens and untokenized text are not properties', () => {
+  assert.deepEqual(refKeys(extractSequenceProps(fixture('sequence'))), [
+    '0-1:firstname',
+    '0-1:renewal_date',
+    '0-2:name',
+  ]);
+  assert.deepEqual(extractSequenceProps(fixture('negatives').sequence), []);
+});
+
+test('chatflow: answers saved to contact properties and tokens in bot messages', () => {
+  assert.deepEqual(refKeys(extractChatflowProps(fixture('chatflow'))), [
+    '0-1:email',
+    '0-1:firstname',
+    '0-1:lead_source_detail',
+    '0-1:team_size_band',
+  ]);
+  assert.deepEqual(extractChatflowProps(fixture('negatives').chatflow), []);
+});
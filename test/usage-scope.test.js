@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalObjectType, scopeUsageContext } = require('../server');
+
+test('object type names, singulars, labels and type IDs resolve to the type ID', () => {
+  assert.equal(canonicalObjectType('contacts'), '0-1');
+  assert.equal(canonicalObjectType('CONTACT'), '0-1');
+  assert.equal(canonicalObjectType('0-1'), '0-1');
+  assert.equal(canonicalObjectType('company'), '0-2');
+  assert.equal(canonicalObjectType('line_items'), '0-8');
+  assert.equal(canonicalObjectType('Line Items'), '0-8');
+  assert.equal(canonicalObjectType('line-item'), '0-8');
+  assert.equal(canonicalObjectType('2-123456'), '2-123456');
+});
+
+test('unknown or missing object types resolve to null', () => {
+  assert.equal(canonicalObjectType('widgets'), null);
+  assert.equal(canonicalObjectType(''), null);
+  assert.equal(canonicalObjectType(undefined), null);
+  assert.equal(canonicalObjectType(12), null);
+});
+
+const context = {
+  sources: { workflows: 3, forms: 1 },
+  warnings: [],
+  references: {
+    '0-1': {
+      email:     { workflows: ['Welcome'], forms: ['Signup'] },
+      lifecycle: { workflows: ['Nurture'] },
+    },
+    '0-2': {
+      domain: { workflows: ['Company enrichment'] },
+    },
+    '*': {
+      email:    { workflows: ['Welcome', 'Re-engage'] },
+      hs_owner: { reports: ['Owner pipeline'] },
+    },
+  },
+};
+
+test('only the object\'s own references and the unattributed ones are kept', () => {
+  const scoped = scopeUsageContext(context, 'contacts');
+  assert.equal(scoped.objectType, '0-1');
+  assert.deepEqual(scoped.propertyUsageDetails, {
+    email:     { workflows: ['Welcome', 'Re-engage'], forms: ['Signup'] },
+    lifecycle: { workflows: ['Nurture'] },
+    hs_owner:  { reports: ['Owner pipeline'] },
+  });
+  assert.deepEqual(scoped.workflowProperties, ['email', 'lifecycle']);
+  assert.deepEqual(scoped.formProperties, ['email']);
+  assert.deepEqual(scoped.reportProperties, ['hs_owner']);
+  assert.deepEqual(scoped.listProperties, []);
+});
+
+test('another object does not see contact references', () => {
+  const scoped = scopeUsageContext(context, '0-2');
+  assert.deepEqual(Object.keys(scoped.propertyUsageDetails).sort(), ['domain', 'email', 'hs_owner']);
+  assert.deepEqual(scoped.propertyUsageDetails.email, { workflows: ['Welcome', 'Re-engage'] });
+});
+
+test('the raw references are dropped and the rest of the context is kept', () => {
+  const scoped = scopeUsageContext(context, 'deals');
+  assert.equal('references' in scoped, false);
+  assert.deepEqual(scoped.sources, context.sources);
+  assert.deepEqual(Object.keys(scoped.propertyUsageDetails).sort(), ['email', 'hs_owner']);
+  assert.deepEqual(context.references['0-1'].email.workflows, ['Welcome'], 'the context is not modified');
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecords, buildPropertyBody, buildValidationRules } = require('../server');
+
+// One normalized row, failing the test if the record doesn't validate
+function row(record) {
+  const { errors, data } = normalizeRecords([record]);
+  assert.deepEqual(errors, []);
+  return data[0];
+}
+
+test('length limits and a pattern become MIN_LENGTH, MAX_LENGTH and REGEX rules', () => {
+  const property = row({ Name: 'Customer code', Type: 'Single Line Text', 'Min Length': '3', 'Max Length': '12', Pattern: '^[A-Z]+-\\d+$' });
+  assert.deepEqual(buildValidationRules(property), [
+    { ruleType: 'MIN_LENGTH', ruleArguments: ['3'] },
+    { ruleType: 'MAX_LENGTH', ruleArguments: ['12'] },
+    { ruleType: 'REGEX', ruleArguments: ['^[A-Z]+-\\d+$'] },
+  ]);
+});
+
+test('number ranges keep decimals and zero', () => {
+  const property = row({ Name: 'Discount', Type: 'Number', 'Min Value': '0', 'Max Value': '0.5' });
+  assert.deepEqual(buildValidationRules(property), [
+    { ruleType: 'MIN_NUMBER', ruleArguments: ['0'] },
+    { ruleType: 'MAX_NUMBER', ruleArguments: ['0.5'] },
+  ]);
+});
+
+test('URL properties always get the URL format rule; plain rows get none', () => {
+  assert.deepEqual(buildValidationRules(row({ Name: 'Website', Type: 'URL' })), [{ ruleType: 'FORMAT', ruleArguments: ['URL'] }]);
+  assert.deepEqual(buildValidationRules(row({ Name: 'Notes', Type: 'Multi-line Text' })), []);
+});
+
+test('unique values go on the property body, not into the rules', () => {
+  const property = row({ Name: 'Customer code', Type: 'Single Line Text', Unique: 'true' });
+  assert.equal(buildPropertyBody(property, 'contactinformation').hasUniqueValue, true);
+  assert.deepEqual(buildValidationRules(property), []);
+});
+
+test('limits the type does not support, or that contradict each other, are row errors', () => {
+  const { errors } = normalizeRecords([
+    { Name: 'Website', Type: 'URL', Unique: 'yes please' },
+    { Name: 'Birthday', Type: 'Date Picker', Unique: 'true', 'Min Value': '1' },
+    { Name: 'Code', Type: 'Single Line Text', 'Min Length': '10', 'Max Length': '2', Pattern: '([a-z' },
+    { Name: 'Score', Type: 'Number', 'Min Length': '1.5' },
+  ]);
+  assert.deepEqual(errors.slice(0, 4), [
+    'Row 2: Unique must be true or false, got "yes please"',
+    'Row 3: Unique is only valid for Single Line Text, URL, Number',
+    'Row 3: Min Value is only valid for Number',
+    'Row 4: Min Length cannot be greater than Max Length',
+  ]);
+  assert.match(errors[4], /^Row 4: Pattern is not a valid regular expression/);
+  assert.equal(errors[5], 'Row 5: Min Length is only valid for Single Line Text, Multi-line Text, URL');
+  assert.equal(errors.length, 6);
+});